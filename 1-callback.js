@@ -41,6 +41,26 @@ getData(function (a) {
   });
 });
 
+/**
+ * USE A CONTROL FLOW LIBRARY
+ *
+ * * lib/flow.js has series, parallel, waterfall, each/eachLimit, map/mapLimit and whilst for error first callbacks.
+ * * The first error short-circuits the flow, and the final callback is always called exactly once.
+ */
+var flow = require('./lib/flow');
+
+// The same chain as above. getData and getMoreData don't pass an error, so each step adapts them to an error first callback.
+flow.waterfall([
+  function (next) { getData(function (a) { next(null, a); }); },
+  function (a, next) { getMoreData(a, function (b) { next(null, b); }); },
+  function (b, next) { getMoreData(b, function (c) { next(null, c); }); },
+  function (c, next) { getMoreData(c, function (d) { next(null, d); }); },
+  function (d, next) { getMoreData(d, function (e) { next(null, e); }); }
+], function (err, e) {
+  if (err) return console.error(err);
+  console.log('No more Callback Hell');
+});
+
 /**
  * NAME YOUR FUNCTIONS
  *
@@ -127,4 +147,108 @@ exports.submit = formSubmit;  // CommonJS module system
 
 // USAGE
 var formUploader = require('formuploader');
-document.querySelector('form').onsubmit = formUploader.submit;
\ No newline at end of file
+document.querySelector('form').onsubmit = formUploader.submit;
+
+/**
+ * TREAT EVENTS AS A STREAM
+ *
+ * * form.onsubmit is called on every submit. A promise settles once, so it can't replace a callback like that.
+ * * An Observable (lib/observable.js) can: it is a stream of events, transformed with map, filter, switchMap, ...
+ * * Unsubscribing tears the whole chain down, so the upload becomes cancellable: switchMap() aborts an upload that
+ *   is still running when the next submit comes in, and takeUntil() stops listening once the form is reset.
+ */
+var { Observable, fromEvent } = require('./lib/observable');
+
+// The upload as an Observable: unsubscribing aborts the request
+function upload(name) {
+  return new Observable(function subscribe(subscriber) {
+    var controller = new AbortController();
+    console.log('uploading ' + name);
+    fetch("http://example.com/upload", { method: "POST", body: name, signal: controller.signal })
+      .then(function (response) { return response.text(); })
+      .then(function (body) {
+        subscriber.next(body);
+        subscriber.complete();
+      }, function (err) {
+        subscriber.error(err);
+      });
+    return function abort() {
+      controller.abort();
+    };
+  });
+}
+
+var form = document.querySelector('form');
+var input = document.querySelector('input');
+var statusMessage = document.querySelector('.status');
+
+fromEvent(form, 'submit')
+  .map(function (submitEvent) { return input.value; })
+  .filter(function (name) { return name !== ''; })
+  .switchMap(upload)
+  .takeUntil(fromEvent(form, 'reset'))
+  .subscribe({
+    next: function (body) { statusMessage.value = body; console.log(body); },
+    error: function (err) { statusMessage.value = err; },
+    complete: function () { console.log('Stopped listening'); }
+  });
+
+input.value = 'Jerry';
+form.submit();
+input.value = 'Elaine';
+form.submit();
+setTimeout(function () { form.reset(); }, 500);
+// <- uploading Jerry
+// <- uploading Elaine
+// <- Uploaded: Elaine
+// <- Stopped listening
+
+/**
+ * DON'T UPLOAD TWICE
+ *
+ * * formSubmit() uploads on every submit, so a double click uploads the same name twice.
+ * * debounceAsync (lib/throttle.js) waits until the submits stop for a moment and uploads once. Every submit still
+ *   gets a promise, which resolves with the result of that one upload.
+ * * throttleAsync uploads at most once per interval instead, and RateLimiter queues calls to stay under N per interval.
+ */
+var { debounceAsync, RateLimiter } = require('./lib/throttle');
+
+function uploadName(name) {
+  console.log('uploading ' + name);
+  return fetch("http://example.com/upload", { method: "POST", body: name })
+    .then(function (response) { return response.text(); });
+}
+
+var debouncedUpload = debounceAsync(uploadName, 300);
+
+var form = document.querySelector('form');
+var statusMessage = document.querySelector('.status');
+form.onsubmit = function formSubmit(submitEvent) {
+  var name = document.querySelector('input').value;
+  debouncedUpload(name).then(function postResponse(body) {
+    statusMessage.value = body;
+    console.log(body);
+  });
+};
+
+// A double click
+form.submit();
+form.submit();
+// <- uploading Jerry
+// <- Uploaded: Jerry
+// <- Uploaded: Jerry
+
+// At most 2 uploads per second: the first two start right away, the third one half a second later.
+var limiter = new RateLimiter({ limit: 2, interval: 1000 });
+var limitedUpload = limiter.wrap(uploadName);
+setTimeout(function () {
+  ['George', 'Elaine', 'Kramer'].forEach(function (name) {
+    limitedUpload(name).then(function (body) { console.log(body); });
+  });
+}, 500);
+// <- uploading George
+// <- uploading Elaine
+// <- Uploaded: George
+// <- Uploaded: Elaine
+// <- uploading Kramer
+// <- Uploaded: Kramer
@@ -11,6 +11,7 @@
  * @Exercise:
  * http://jsbin.com/tuqukakawo/1/edit?js,console,output
  */
+const { withTimeout, TimeoutError } = require('./lib/timeout');
 
 /**
  * PROMISES EXAMPLES
@@ -73,10 +74,11 @@ fetch('foo')
 
 // What if an error happens in one of the reactions passed to .then? You can catch those with .catch.
 // The example in the snippet below logs the error caught when trying to access prop from the undefined a property in res.
+// (Older engines word that message as 'Cannot read property "prop" of undefined'.)
 fetch('foo')
   .then(res => res.a.prop.that.does.not.exist)
   .catch(err => console.error(err.message));
-// <- 'Cannot read property "prop" of undefined'
+// <- "Cannot read properties of undefined (reading 'prop')"
 
 
 // Note that where you tack your reactions onto matters. The following example won’t print the err.message twice – only once.
@@ -85,7 +87,7 @@ fetch('foo')
   .then(res => res.a.prop.that.does.not.exist)
   .catch(err => console.error(err.message))
   .catch(err => console.error(err.message));
-// <- 'Cannot read property "prop" of undefined'
+// <- "Cannot read properties of undefined (reading 'prop')"
 
 
 // In contrast, the snippet found below will print the err.message twice.
@@ -94,8 +96,8 @@ fetch('foo')
 var p = fetch('foo').then(res => res.a.prop.that.does.not.exist);
 p.catch(err => console.error(err.message));
 p.catch(err => console.error(err.message));
-// <- 'Cannot read property "prop" of undefined'
-// <- 'Cannot read property "prop" of undefined'
+// <- "Cannot read properties of undefined (reading 'prop')"
+// <- "Cannot read properties of undefined (reading 'prop')"
 
 
 // Here’s another example that puts that difference the spotlight.
@@ -106,7 +108,7 @@ fetch('foo')
     throw new Error(err.message)
   })
   .catch(err => console.error(err.message));
-// <- 'Cannot read property "prop" of undefined'
+// <- "Cannot read properties of undefined (reading 'prop')"
 
 
 // If the first .catch call didn’t return anything, then nothing would be printed.
@@ -127,6 +129,22 @@ var p3 = p2.catch(err => {
 });
 var p4 = p3.catch(err => console.error(err.message));
 
+// Rejections that nobody handles don't throw anywhere you can see: the runtime only fires an event for them.
+// lib/rejection-tracker.js listens to it and collects the orphaned promises.
+// Listening to that event stops Node from crashing on it, so this tracker only collects. With { strict: true } the
+// first unhandled rejection throws an error with the report instead, and the process still crashes.
+// Only the reasons are printed here, so there's no need to pay for a stack trace of every promise.
+const { createRejectionTracker } = require('./lib/rejection-tracker');
+const tracker = createRejectionTracker({ captureStacks: false }).start();
+
+var p5 = p1.then(res => res.a.prop.that.does.not.exist); // nobody handles this branch
+p4.then(() => setTimeout(() => {
+  console.log(tracker.report().unhandled.map(entry => entry.reason.message));
+  tracker.stop();
+}, 0));
+// <- [ "Cannot read properties of undefined (reading 'prop')" ]
+// With stacks captured (the default), tracker.format() also shows where p5 was created.
+
 /**
  * CREATING NEW PROMISES
  */
@@ -145,14 +163,18 @@ new Promise((resolve, reject) =>
 /**
  * It’s important to note that only the first call made to either resolve/reject will have an impact – once a promise is settled, it’s result can’t change
  */
+// withTimeout (lib/timeout.js) races the delay against a 3 second timer. Whichever settles first decides, and the
+// loser is cleaned up: the timer is cleared, or the delay is stopped through the signal.
 function resolveUnderThreeSeconds(delay) {
-  return new Promise(function (resolve, reject) {
-    setTimeout(resolve, delay);
-    setTimeout(reject, 3000);
-  })
+  return withTimeout(signal => new Promise(function (resolve) {
+    const timer = setTimeout(resolve, delay);
+    signal.addEventListener('abort', () => clearTimeout(timer), { once: true });
+  }), 3000);
 }
 resolveUnderThreeSeconds(2000); // resolves!
-resolveUnderThreeSeconds(7000);// fulfillment took so long, it was rejected.
+resolveUnderThreeSeconds(7000) // fulfillment took so long, it was rejected.
+  .catch(error => console.log(error instanceof TimeoutError, error.message));
+// <- true 'Operation timed out after 3000 ms'
 
 /**
  * Besides returning resolution values, you could also resolve with another promise.
@@ -247,6 +269,38 @@ Promise.all([
   .then(status => console.log(status.join(', ')));
 // nothing happens
 
+// Promise.all starts every operation at once, which is too much for hundreds of urls.
+// mapLimit (lib/pool.js) keeps at most `concurrency` of them in flight and still resolves with the results in input order.
+const { mapLimit } = require('./lib/pool');
+mapLimit(['/', 'foo', 'bar', 'baz'], 2, url => fetch(url))
+  .then(responses => responses.map(response => response.statusText))
+  .then(status => console.log(status.join(', ')));
+// <- 'OK, Not Found, Not Found, Not Found'
+
+
+/**
+ * Sharing one request
+ *
+ * Every fetch('foo') above is a request of its own, even when an identical one is still on its way.
+ * memoizeAsync (lib/memoize.js) lets calls with the same arguments share one promise, while it is in flight and for
+ * `ttl` ms after it fulfilled. Rejections are forgotten right away, so the next call tries again.
+ */
+const { memoizeAsync } = require('./lib/memoize');
+
+const getStatus = memoizeAsync(url => {
+  console.log('fetching ' + url);
+  return fetch(url).then(response => response.statusText);
+}, { ttl: 60000, maxSize: 100 });
+
+Promise.all([getStatus('/'), getStatus('/'), getStatus('foo')])
+  .then(statuses => console.log(statuses.join(', ')));
+// <- fetching /
+// <- fetching foo
+// <- 'OK, OK, Not Found'
+
+// With { staleWhileRevalidate: ms }, an expired value is still handed out for that long while a fresh one is
+// fetched in the background.
+
 
 /**
  * Promise.race()
@@ -271,6 +325,13 @@ var p = Promise.race([
 p.then(response => console.log(response));
 p.catch(error => console.log(error));
 
+// The race above never clears its timer, and the slow fetch keeps going after it lost.
+// withTimeout passes an AbortSignal to the work, so the request is actually aborted when time runs out.
+var p = withTimeout(signal => fetch('/resource-that-may-take-a-while', { signal }), 5000, { message: 'request timeout' });
+p.then(response => console.log(response));
+p.catch(error => console.log(error));
+// <- TimeoutError: request timeout
+
 
 /**
  * How can I use Promises when most of the libraries out there exposes a callback interfaces only?
@@ -287,3 +348,24 @@ function saveToTheDb(value) {
     })
   });
 }
+
+
+// lib/promisify.js does the same wrapping for any error first callback API.
+// promisify() keeps `this`, so promisified methods can still be called on their object.
+const { promisify, promisifyAll, callbackify } = require('./lib/promisify');
+
+promisifyAll(db.values); // adds insertAsync, findAsync, ... next to the callback versions
+db.values.insertAsync({ name: 'Jerry' })
+  .then(user => console.log(user));
+
+// Callbacks with more than one success argument, like request's (err, response, body), resolve with an array
+const requestAsync = promisify(request, { multiArgs: true });
+requestAsync({ uri: 'http://example.com/upload', method: 'POST' })
+  .then(([response, body]) => console.log(response.statusCode, body));
+
+// And the other way around, for code that still expects a callback
+const saveToTheDbCallback = callbackify(saveToTheDb);
+saveToTheDbCallback({ name: 'Jerry' }, function (err, user) {
+  if (err) return console.error(err);
+  console.log(user);
+});
@@ -79,6 +79,9 @@ for (let [key, value] of objectEntries(jane)) {
 // In the following code, I use the control flow library co to asynchronously retrieve two JSON files.
 // Note how, in line (A), execution blocks (waits) until the result of Promise.all() is ready.
 // That means that the code looks synchronous while performing asynchronous operations.
+// If either request fails, co throws the error back into the generator at line (A), where the try/catch handles it.
+// lib/co.js is a small co-compatible runner, so no third-party library is needed.
+const co = require('./lib/co');
 
 co(function* () {
   try {
@@ -95,6 +98,8 @@ co(function* () {
     console.log('Failure to read: ' + e);
   }
 });
+// <- { first: 'Lara', last: 'Croft' }
+// <- { first: 'James', last: 'Bond' }
 
 /**
  * Understanding generators and async handling
@@ -126,6 +131,60 @@ function* getFullName() {
 var gen = getFullName();
 gen.next(); // Initialize generator flow to first `yield`
 
+/**
+ * Sagas: yielding effects instead of calling next()
+ *
+ * Above, getFirstName() and getSecondName() resume the generator themselves, so they only work with the global
+ * `gen`. With lib/saga.js the generator yields effects - plain objects describing a call, like
+ * saga.call(fetchFirstName) - and a runner does the calling and sends the results back in.
+ * The business logic never touches setTimeout or gen.next(), and it can be tested by stepping through it by hand
+ * and comparing what it yields, without running anything.
+ */
+const saga = require('./lib/saga');
+
+function fetchFirstName() {
+  return new Promise(resolve => setTimeout(() => resolve('Jerry'), 200));
+}
+
+function fetchSecondName() {
+  return new Promise(resolve => setTimeout(() => resolve('Seinfeld'), 300));
+}
+
+function* getFullName() {
+  const firstName = yield saga.call(fetchFirstName);
+  const lastName = yield saga.call(fetchSecondName);
+  yield saga.put({ type: 'NAME_LOADED', name: `${firstName} ${lastName}` });
+}
+
+// A test: no timers, no runner
+const assert = require('assert');
+const steps = getFullName();
+assert.deepStrictEqual(steps.next().value, saga.call(fetchFirstName));
+assert.deepStrictEqual(steps.next('Jerry').value, saga.call(fetchSecondName));
+assert.deepStrictEqual(steps.next('Seinfeld').value, saga.put({ type: 'NAME_LOADED', name: 'Jerry Seinfeld' }));
+
+// The real thing: put() hands actions to `dispatch`, take() waits for them
+const runner = saga.createRunner({ dispatch: action => console.log('dispatched', action.type) });
+
+// A watcher forked in the background, and a race between a call and a deadline
+function* greeter() {
+  while (true) {
+    const { name } = yield saga.take('NAME_LOADED');
+    console.log(`Hello ${name}`);
+  }
+}
+
+function* main() {
+  const watcher = yield saga.fork(greeter);
+  const { timeout } = yield saga.race({ name: saga.call(getFullName), timeout: saga.delay(1000) });
+  console.log(timeout ? 'too slow' : 'in time');
+  yield saga.cancel(watcher);
+}
+runner.run(main);
+// <- dispatched NAME_LOADED
+// <- Hello Jerry Seinfeld
+// <- in time
+
 /**
  * Generators with Promises for asynchrony
  * From Talk:
@@ -142,15 +201,14 @@ function *run() {
 
   return yield Promise.all(citiesData);
 }
+// With hundreds of cities, run at most a few queries at a time instead:
+// return yield mapLimit(cities, 4, asyncQueryFn); // mapLimit from lib/pool.js
 
 /**
  * Generators for Async handling
  */
 // Without generator
-function makeAjaxCall(url,cb) {
-  // do some ajax fun
-  // call `cb(result)` when complete
-}
+// makeAjaxCall(url, cb) does some ajax fun and calls `cb(result)` when complete
 
 makeAjaxCall( "http://some.url.1", function(result1){
   var data = JSON.parse( result1 );
@@ -160,6 +218,7 @@ makeAjaxCall( "http://some.url.1", function(result1){
     console.log( "The value you asked for: " + resp.value );
   });
 } );
+// <- The value you asked for: the answer is 42
 
 // With generator
 function request(url) {
@@ -184,6 +243,7 @@ function *main() {
 
 var it = main();
 it.next(); // get it all started
+// <- The value you asked for: the answer is 42
 
 /**
 * Using JavaScript (ES6) generators with Promises to handle async flows
@@ -196,13 +256,15 @@ function* createQuoteFetcher() {
   return `${quote.quoteText} —${quote.quoteAuthor}`
 }
 
+// A rejected promise is sent back into the generator via throw(), so a try/catch around the yield can handle it.
+// See lib/co.js for a complete runner that also accepts arguments and yielded arrays, objects, thunks and generators.
 const coroutine = (gen) => {
   const generator = gen()
 
   const handle = (result) => {
     if (result.done) return Promise.resolve(result.value)
     return Promise.resolve(result.value)
-      .then(res => handle(generator.next(res)))
+      .then(res => handle(generator.next(res)), err => handle(generator.throw(err)))
 	}
 
   return handle(generator.next())
@@ -211,6 +273,17 @@ const coroutine = (gen) => {
 const quoteFetcher = coroutine(createQuoteFetcher)
 quoteFetcher.then(quote => console.log(quote))
 
+// Cancelling a running generator
+// The promise returned by co() has a cancel() method. It calls return() on the generator (so its finally blocks run,
+// just like genObj1.return() further below) and rejects the promise with a CancellationError.
+// co.withSignal(signal, gen) does the same when an AbortController is aborted.
+const cancellableQuote = co(createQuoteFetcher)
+cancellableQuote.catch(err => {
+  if (err instanceof co.CancellationError) console.log('Nobody needs a quote anymore')
+})
+cancellableQuote.cancel()
+// <- Nobody needs a quote anymore
+
 
 // 1. Generators as iterators (data production)
 /**
@@ -275,6 +348,61 @@ for (let x of tree) {
 // e
 
 
+/**
+ * More ways to walk a tree
+ *
+ * lib/binary-tree.js is the BinaryTree from above, plus in-order, post-order and level-order generators,
+ * binary search tree insert/search and conversion to and from level-order arrays.
+ * Each nested yield* adds a generator that every value is handed up through, so on a deep tree the prefix
+ * iteration above gets slow and eventually overflows the stack. traverse() walks with a stack of its own instead.
+ */
+const Tree = require('./lib/binary-tree');
+
+let tree = Tree.fromArray(['a', 'b', 'e', 'c', 'd']);
+console.log([...tree].join(' '), '|', [...tree.inOrder()].join(' '), '|', [...tree.postOrder()].join(' '), '|', [...tree.levelOrder()].join(' '));
+// <- a b c d e | c b d a e | c d b e a | a b e c d
+
+let bst = Tree.fromValues([5, 3, 8, 1, 4]);
+bst.insert(7);
+console.log([...bst.inOrder()], bst.has(7), bst.has(6), JSON.stringify(bst));
+// <- [1, 3, 4, 5, 7, 8] true false [5,3,8,1,4,7]
+
+// What a binary search tree turns into when fed sorted values: a list, each node the right child of the one before
+let deep = new Tree(0);
+for (let node = deep, i = 1; i < 100000; i++) {
+  node = node.right = new Tree(i);
+}
+try {
+  Array.from(deep.inOrder());
+} catch (e) {
+  console.log(e.message);
+}
+// <- Maximum call stack size exceeded
+console.log(Array.from(deep.traverse('in')).length);
+// <- 100000
+
+// Trees that are too big to load at once, e.g. stored in a database: walkAsync() loads a node when it gets to it.
+const storage = {
+  1: { value: 'a', left: 2, right: 3 },
+  2: { value: 'b', left: null, right: null },
+  3: { value: 'e', left: null, right: null }
+};
+const load = id => new Promise(resolve => setTimeout(() => {
+  console.log('loaded', id);
+  resolve(storage[id]);
+}, 10));
+
+async function findFirst(value) {
+  for await (const x of Tree.walkAsync(1, load, 'pre')) {
+    if (x === value) return console.log('found', x);
+  }
+}
+findFirst('b');
+// <- loaded 1
+// <- loaded 2
+// <- found b
+
+
 /**
  * You can only yield in generators -- yielding in callbacks doesn’t work
  */
@@ -475,3 +603,101 @@ console.log(gen.next().value); // 2
 console.log(gen.next().value); // 3
 console.log(gen.next().value); // 5
 console.log(gen.next().value); // 8
+
+/**
+ * Lazy iterator chains
+ *
+ * Calling gen.next().value by hand gets old fast. lib/iter.js chains array-like operations onto any iterable
+ * instead, and they are lazy: fibonacci() only runs as far as take(5) needs it to. Once take() has its values it
+ * closes the chain, which runs the generator's finally block.
+ */
+const Iter = require('./lib/iter');
+
+function* fibonacci() {
+  let [prev, curr] = [0, 1];
+  try {
+    while (true) {
+      yield curr;
+      [prev, curr] = [curr, prev + curr];
+    }
+  } finally {
+    console.log('fibonacci closed');
+  }
+}
+const isEven = n => n % 2 === 0;
+const sq = n => n * n;
+
+console.log(Iter.from(fibonacci()).filter(isEven).map(sq).take(5).toArray());
+// <- fibonacci closed
+// <- [4, 64, 1156, 20736, 372100]
+
+console.log(Iter.range(1, 4).zip('abc').toArray());
+// <- [[1, 'a'], [2, 'b'], [3, 'c']]
+console.log(Iter.range(7).chunk(3).toArray());
+// <- [[0, 1, 2], [3, 4, 5], [6]]
+console.log(Iter.range(5).window(3).toArray());
+// <- [[0, 1, 2], [1, 2, 3], [2, 3, 4]]
+console.log(Iter.from(['x y', 'z']).flatMap(s => s.split(' ')).toArray());
+// <- ['x', 'y', 'z']
+console.log(Iter.cycle(['red', 'green']).take(5).toArray().join(' '));
+// <- red green red green red
+
+/**
+ * Channels (CSP)
+ *
+ * dataConsumer above only gets values from whoever holds its generator object and calls next().
+ * lib/csp.js puts a channel in between: processes put values in and take them out without knowing about each
+ * other. put() waits until the value is taken (or fits in the channel's buffer), take() until there is a value.
+ * Both return promises, so a process is a generator run by go() (which is co), or an async function.
+ */
+const { chan, buffers, put, take, alts, close, timeout, go, CLOSED } = require('./lib/csp');
+
+const ping = chan();
+const pong = chan();
+
+go(function* player() {
+  for (let i = 1; i <= 3; i++) {
+    yield put(ping, i);
+    console.log('returned', yield take(pong));
+  }
+  close(ping);
+});
+
+go(function* echo() {
+  let value;
+  while ((value = yield take(ping)) !== CLOSED) {
+    yield put(pong, value * 10);
+  }
+  console.log('ping closed');
+});
+// <- returned 10
+// <- returned 20
+// <- returned 30
+// <- ping closed
+
+// A buffered channel lets puts complete before anyone takes. A sliding buffer keeps only the latest values,
+// a dropping one (buffers.dropping) the first ones.
+async function latestReadings() {
+  const readings = chan(buffers.sliding(2));
+  for (const reading of [14, 15, 17, 16]) {
+    await put(readings, reading);
+  }
+  close(readings);
+  for await (const reading of readings) {
+    console.log('reading', reading);
+  }
+}
+latestReadings();
+// <- reading 17
+// <- reading 16
+
+// alts() waits on several channels and does whichever operation is ready first. With a timeout() channel that
+// is a deadline: it closes after the given time, so taking from it gives CLOSED.
+async function fetchWithDeadline() {
+  const responses = chan();
+  setTimeout(() => put(responses, 'slow response'), 200);
+  const { value, channel } = await alts([responses, timeout(100)]);
+  console.log(channel === responses ? value : 'timed out');
+}
+fetchWithDeadline();
+// <- timed out
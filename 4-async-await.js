@@ -41,6 +41,9 @@ async function myFunction() {
   }
 }
 
+doAsyncOp();
+// <- 1
+
 /**
  * Chaining Operations
  */
@@ -64,6 +67,9 @@ async function doAsyncOp() {
   // You don’t even need the await keyword on that return statement because either way it will return a promise resolving to the final value.
 }
 
+doAsyncOp().then(val => console.log(val));
+// <- 4
+
 /**
  * Parallel Operations
  */
@@ -77,21 +83,29 @@ function doAsyncOp() {
 }
 
 // Using Async functions -- You still need to use Promise directly.
-function doAsyncOp() {
-  var vals = await
-  Promise.all([asynchronousOperation(), asynchronousOperation()]);
+async function doAsyncOp() {
+  var vals = await Promise.all([asynchronousOperation(), asynchronousOperation()]);
   vals.forEach(console.log.bind(console));
   return vals;
 }
 
+doAsyncOp();
+// Note that forEach passes the index and the array too, and console.log prints all of them:
+// <- 1 0 [ 1, 1 ]
+// <- 1 1 [ 1, 1 ]
+
+/**
+ * await* (withdrawn proposal)
+ */
 // There is a proposal in ES7 to make the above function simpler (Dated Nov 22, 2015)
 // The idea is that await* EXPRESSION would be converted to await Promise.all(EXPRESSION) behind the scenes, which allows us to be more terse and avoid using the Promise API directly.
 // In this case the previous example would look like this:
 async function doAsyncOp() {
-  var vals = await * [asynchronousOperation(), asynchronousOperation()];
+  var vals = await * [asynchronousOperation(), asynchronousOperation()]; // SyntaxError
   vals.forEach(console.log.bind(console));
   return vals;
 }
+// The proposal was dropped, so this never became valid syntax. Use await Promise.all([...]) instead.
 
 /**
  * Handling Rejections
@@ -118,6 +132,121 @@ async function doAsyncOp() {
   }
 }
 
+doAsyncOp().then(val => console.log(val));
+// <- 3
+
+/**
+ * Retrying transient failures
+ */
+// A rejection isn't always final: a dropped connection or a busy server usually works on the next try.
+// retry (lib/retry.js) calls the operation again with exponential backoff (100ms, 200ms, 400ms, ... plus jitter).
+// If every attempt fails, it rejects with a RetryError whose `errors` holds each attempt's error.
+const { retry, RetryError } = require('./lib/retry');
+
+async function doAsyncOp() {
+  try {
+    return await retry(attempt => asynchronousOperation(attempt), {
+      retries: 4,
+      shouldRetry: err => err.status !== 404, // no point in asking again for something that doesn't exist
+      onRetry: (err, attempt, delay) => console.log(`Attempt ${attempt} failed, retrying in ${delay}ms`)
+    });
+  } catch (err) {
+    if (err instanceof RetryError) {
+      err.errors.forEach(e => console.error(e));
+    }
+    throw err;
+  }
+}
+
+doAsyncOp().then(val => console.log(val));
+// <- 2
+
+/**
+ * Sharing a resource
+ */
+// Async functions take turns at every await. If each one reads a value, awaits something and writes the value back,
+// they can all read before any of them writes, and the updates overwrite each other.
+// A Mutex (lib/lock.js) lets one caller at a time through runExclusive(); the others wait in line, first come first served.
+// The same file has Semaphore(n), to let n callers through at once, and RWLock, for many readers or one writer.
+const { Mutex } = require('./lib/lock');
+
+const account = {
+  balance: 0,
+  read() {
+    return new Promise(resolve => setTimeout(resolve, 10, this.balance));
+  },
+  write(value) {
+    return new Promise(resolve => setTimeout(() => {
+      this.balance = value;
+      resolve();
+    }, 10));
+  }
+};
+
+async function deposit(amount) {
+  const balance = await account.read();
+  await account.write(balance + amount);
+}
+
+const mutex = new Mutex();
+function safeDeposit(amount) {
+  return mutex.runExclusive(() => deposit(amount));
+}
+
+async function depositTenTimes(depositFn) {
+  account.balance = 0;
+  await Promise.all(Array.from({ length: 10 }, () => depositFn(1)));
+  return account.balance;
+}
+
+depositTenTimes(deposit)
+  .then(balance => {
+    console.log('without a lock:', balance);
+    return depositTenTimes(safeDeposit);
+  })
+  .then(balance => console.log('with a lock:', balance));
+// <- without a lock: 1
+// <- with a lock: 10
+
+/**
+ * A long-lived task queue
+ */
+// The examples above run once and are done. A server keeps getting work: a TaskQueue (lib/task-queue.js) runs it a few
+// jobs at a time, higher priorities first, and can be paused and resumed. onEmpty() and onIdle() say when it has caught up.
+const { TaskQueue, JsonFileStore } = require('./lib/task-queue');
+
+const queue = new TaskQueue({ concurrency: 1, autoStart: false });
+queue.add(async () => console.log('low priority', await asynchronousOperation()));
+queue.add(async () => console.log('high priority', await asynchronousOperation(1)), { priority: 10 });
+queue.resume();
+queue.onIdle().then(() => console.log('idle'));
+// <- high priority 2
+// <- low priority 1
+// <- idle
+
+// Jobs that should survive a restart are a type and JSON data, with a handler for the type, and go in a store.
+// Here the first queue is paused when the "process" stops, and the second one picks its jobs up from the file.
+const jobsFile = require('path').join(require('os').tmpdir(), `task-queue-${process.pid}.json`);
+const handlers = {
+  double: async (val, { progress }) => {
+    progress(50);
+    return 2 * await asynchronousOperation(val - 1);
+  }
+};
+
+new TaskQueue({ store: new JsonFileStore(jobsFile), handlers, autoStart: false }).add('double', 21);
+
+setTimeout(async () => {
+  const restarted = new TaskQueue({ store: new JsonFileStore(jobsFile), handlers });
+  restarted.on('progress', (job, percent) => console.log(`${job.type} ${job.data}: ${percent}%`));
+  restarted.on('completed', (job, result) => console.log(`${job.type} ${job.data}: ${result}`));
+  await restarted.restore();
+  await restarted.onIdle();
+  require('fs').unlinkSync(jobsFile);
+}, 100);
+// <- double 21: 50%
+// <- double 21: 42
+
 /**
  * Broken Promises
  */
@@ -156,3 +285,6 @@ async function x() {
 
   return val;
 }
+
+x().catch(err => console.log(err.message));
+// <- I just think an error should be here
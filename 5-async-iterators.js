@@ -0,0 +1,299 @@
+/**
+ * Async Iterators and Async Generators (ES2018)
+ *
+ * @Reference:
+ * http://exploringjs.com/es2018-es2019/ch_asynchronous-iteration.html
+ * https://jakearchibald.com/2017/async-iterators-and-generators/
+ * https://github.com/tc39/proposal-async-iteration
+ * https://nodejs.org/api/stream.html#streams-compatibility-with-async-generators-and-async-iterators
+ */
+const { map, filter, take, buffer, merge, zip, fromEvents, fromStream, toStream, toArray } = require('./lib/async-iterables');
+
+/**
+ * The async iteration protocol
+ *
+ * A sync iterator's next() returns { value, done } right away. That doesn't work for data that arrives over time:
+ * by the time next() is called we may not know yet whether there is a next value, let alone what it is.
+ * An async iterator's next() returns a promise for { value, done } instead, and an async iterable is an object
+ * with a [Symbol.asyncIterator]() method that returns one.
+ */
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+const slowNumbers = {
+  [Symbol.asyncIterator]() {
+    let i = 0;
+    return {
+      next() {
+        i++;
+        return delay(100, i <= 3 ? { value: i, done: false } : { value: undefined, done: true });
+      }
+    };
+  }
+};
+
+const asyncIterator = slowNumbers[Symbol.asyncIterator]();
+asyncIterator.next()
+  .then(result => {
+    console.log(result);
+    return asyncIterator.next();
+  })
+  .then(result => console.log(result));
+// <- { value: 1, done: false }
+// <- { value: 2, done: false }
+
+/**
+ * for await...of
+ *
+ * for await...of calls next(), waits for the promise, runs the loop body with the value and repeats until done.
+ * It can only be used where await can: inside async functions (and at the top level of ES modules).
+ */
+async function printAll(asyncIterable) {
+  for await (const x of asyncIterable) {
+    console.log(x);
+  }
+}
+
+// slowNumbers from above, minus the waiting
+const slowNumbers = {
+  [Symbol.asyncIterator]() {
+    const values = [1, 2, 3];
+    return {
+      next: () => Promise.resolve(values.length ? { value: values.shift(), done: false } : { value: undefined, done: true })
+    };
+  }
+};
+printAll(slowNumbers);
+// <- 1
+// <- 2
+// <- 3
+
+// for await also accepts sync iterables. Their values are awaited, so an array of promises works too.
+async function printResponses() {
+  for await (const response of [fetch('/'), fetch('foo')]) {
+    console.log(response.status);
+  }
+}
+printResponses();
+// <- 200
+// <- 404
+
+/**
+ * Async generators
+ *
+ * An async generator is to an async iterator what a generator is to an iterator: the easy way to write one.
+ * Inside `async function*` you can use both await and yield. Calling it returns an async generator object,
+ * and each next() returns a promise for the next { value, done }.
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function* countdown(from) {
+  for (let i = from; i > 0; i--) {
+    await delay(100);
+    yield i;
+  }
+  return 'liftoff';
+}
+
+// next() can be called without waiting for the previous result: the requests are queued and settled in order.
+const genObj = countdown(2);
+Promise.all([genObj.next(), genObj.next(), genObj.next()])
+  .then(results => results.forEach(result => console.log(result)));
+// <- { value: 2, done: false }
+// <- { value: 1, done: false }
+// <- { value: 'liftoff', done: true }
+
+/**
+ * Closing an async generator early
+ *
+ * Leaving a for await...of loop early (break, return, throw) calls the iterator's return(), just like for...of.
+ * The generator resumes in its finally clause, which is the place to release whatever it holds: a file handle, a
+ * database cursor, a network connection.
+ */
+async function* readLines() {
+  try {
+    yield 'first line';
+    yield 'second line';
+    yield 'third line';
+  } finally {
+    console.log('closing the file');
+  }
+}
+
+async function readFirstLine() {
+  for await (const line of readLines()) {
+    console.log(line);
+    break;
+  }
+}
+readFirstLine();
+// <- first line
+// <- closing the file
+
+/**
+ * Composing async iterables
+ *
+ * Arrays have map, filter and slice, async iterables don't (yet). lib/async-iterables.js has lazy versions:
+ * each one is an async generator that pulls from its source only as far as its own consumer pulls from it.
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function* naturalNumbers() {
+  let n = 1;
+  try {
+    while (true) {
+      await delay(10);
+      yield n++;
+    }
+  } finally {
+    console.log('stopped at', n - 1);
+  }
+}
+
+// An endless source is fine as long as something stops asking: take() closes it after the third even square.
+const evenSquares = take(map(filter(naturalNumbers(), n => n % 2 === 0), n => n * n), 3);
+toArray(evenSquares)
+  .then(squares => {
+    console.log(squares);
+
+    // buffer() groups values, e.g. to write rows in batches instead of one at a time
+    return toArray(buffer(['a', 'b', 'c', 'd', 'e'], 2));
+  })
+  .then(batches => console.log(batches));
+// <- stopped at 6
+// <- [4, 16, 36]
+// <- [['a', 'b'], ['c', 'd'], ['e']]
+
+/**
+ * Combining async iterables
+ *
+ * merge() yields values from several sources as they arrive. zip() waits for one value from each and yields them
+ * together, like Promise.all for every step.
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function* ticker(name, ms, count) {
+  for (let i = 1; i <= count; i++) {
+    await delay(ms);
+    yield `${name}${i}`;
+  }
+}
+
+toArray(merge(ticker('fast', 100, 3), ticker('slow', 250, 2)))
+  .then(values => console.log(values.join(' ')));
+// <- fast1 fast2 slow1 fast3 slow2
+
+toArray(zip(ticker('fast', 100, 3), ticker('slow', 250, 2), ['x', 'y', 'z']))
+  .then(tuples => console.log(tuples));
+// <- [['fast1', 'slow1', 'x'], ['fast2', 'slow2', 'y']]
+
+/**
+ * Events as async iterables
+ *
+ * An event emitter pushes values, for await pulls them. fromEvents() sits in between and queues the events that
+ * arrive while the loop body is still busy, so none get lost.
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const { EventEmitter } = require('events');
+const orders = new EventEmitter();
+
+async function processOrders() {
+  for await (const order of fromEvents(orders, 'order', { endEvent: 'close' })) {
+    await delay(50); // slower than the orders come in
+    console.log('processed order', order.id);
+  }
+  console.log('no more orders');
+}
+processOrders();
+
+orders.emit('order', { id: 1 });
+orders.emit('order', { id: 2 });
+setTimeout(() => {
+  orders.emit('order', { id: 3 });
+  orders.emit('close');
+}, 10);
+// <- processed order 1
+// <- processed order 2
+// <- processed order 3
+// <- no more orders
+
+/**
+ * Streams
+ *
+ * Node's readable streams are async iterables: for await reads them chunk by chunk, and respects backpressure -
+ * the stream doesn't read ahead further than its buffer while the loop body is busy.
+ * The other way round, toStream() (Readable.from) turns any async iterable into a readable stream, and an async
+ * generator that takes a source can be used as a transform step in stream.pipeline().
+ */
+const { pipeline } = require('stream/promises');
+const { Writable } = require('stream');
+
+async function* words() {
+  yield 'word1';
+  yield 'word2';
+  yield 'word3';
+}
+
+async function* upperCase(source) {
+  for await (const chunk of source) {
+    yield String(chunk).toUpperCase();
+  }
+}
+
+const written = [];
+pipeline(
+  toStream(words()),
+  upperCase,
+  new Writable({
+    objectMode: true,
+    write(chunk, encoding, callback) {
+      written.push(chunk);
+      callback();
+    }
+  })
+).then(() => console.log(written));
+// <- ['WORD1', 'WORD2', 'WORD3']
+
+// fromStream() destroys the stream when the loop stops early, so the file is closed right away.
+const fs = require('fs');
+async function readFirstChunk() {
+  const file = fs.createReadStream(__filename, { encoding: 'utf8', highWaterMark: 8 });
+  for await (const chunk of fromStream(file)) {
+    console.log('read', chunk.length, 'characters');
+    break;
+  }
+  console.log(file.destroyed);
+}
+readFirstChunk();
+// <- read 8 characters
+// <- true
+
+/**
+ * Paginated fetch
+ *
+ * createQuoteFetcher in 3-generators.js fetches one quote, with a generator and a coroutine runner.
+ * An API that pages its results is a stream of quotes spread over several requests. As an async generator
+ * the paging becomes an implementation detail: the consumer just loops, and a page is only requested once the
+ * quotes of the previous one have been used up.
+ */
+async function* createQuoteFetcher() {
+  let page = 1;
+  while (page !== null) {
+    console.log('fetching page', page);
+    const response = await fetch(`http://api.forismatic.com/api/1.0/?method=getQuotes&lang=en&format=json&page=${page}`);
+    const { quotes, nextPage } = await response.json();
+    yield* quotes;
+    page = nextPage;
+  }
+}
+
+async function printQuotes() {
+  for await (const quote of take(createQuoteFetcher(), 3)) {
+    console.log(`${quote.quoteText} —${quote.quoteAuthor}`);
+  }
+}
+printQuotes();
+// <- fetching page 1
+// <- Any fool can write code that a computer can understand. Good programmers write code that humans can understand. —Martin Fowler
+// <- Simplicity is prerequisite for reliability. —Edsger W. Dijkstra
+// <- fetching page 2
+// <- Make it work, make it right, make it fast. —Kent Beck
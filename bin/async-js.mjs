@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * Browse and run the tutorial examples from a terminal.
+ *
+ * Usage (`npm link` installs the async-js command, or run `node bin/async-js.mjs` instead):
+ *   async-js                                  # pick examples from a menu
+ *   async-js list [chapter]                   # list the example ids
+ *   async-js run generators/return-terminates # run an example
+ *   async-js step generators/sending-values   # step through its generator by hand
+ *
+ * Generator examples (the ones that expose `generator`, and the `args` to call it with if it takes any, see
+ * examples/generators.mjs) don't stop after running: you get a fresh generator object and drive it yourself, the
+ * way the tutorial does with genObj.next('a'). Async generators work the same, each step waits for its result.
+ *
+ *   > next
+ *   dataConsumer.next()
+ *   Started
+ *   { value: undefined, done: false }
+ *   > next a
+ *   dataConsumer.next('a')
+ *   1. a
+ *   { value: undefined, done: false }
+ *
+ * Values after next, return and throw are parsed as JSON when possible (`next 42`, `return {"a":1}`) and
+ * taken as strings otherwise. `throw Problem!` throws new Error('Problem!') into the generator.
+ */
+
+import readline from 'readline';
+import util from 'util';
+import { chapters, listExamples, getExample, runExample } from '../examples/index.mjs';
+
+const STEP_HELP = `Commands:
+  next [value]      resume the generator, sending value to the paused yield
+  return [value]    finish the generator as if there was a return statement at the paused yield
+  throw [message]   throw new Error(message) at the paused yield
+  restart           start over with a new generator object
+  source            print the generator function
+  run               run the whole example again
+  help              this text
+  quit              leave (Ctrl-D works too)`;
+
+function usage() {
+  return `Usage:
+  async-js                  pick examples from a menu
+  async-js list [chapter]   list the example ids (chapters: ${chapters.map(chapter => chapter.id).join(', ')})
+  async-js run <id>         run an example, then step through its generator if it has one
+  async-js step <id>        step through the generator of an example by hand`;
+}
+
+// Reads the answers to our prompts one line at a time, whether stdin is a terminal or a pipe.
+function createPrompter(input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({ input, output, terminal: input.isTTY });
+  const lines = rl[Symbol.asyncIterator]();
+
+  return {
+    async ask(prompt) {
+      output.write(prompt);
+      const { value, done } = await lines.next();
+      if (done) {
+        output.write('\n');
+        return null;
+      }
+      // Piped input isn't echoed, which makes for a confusing transcript.
+      if (!input.isTTY) {
+        output.write(value + '\n');
+      }
+      return value.trim();
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+function parseValue(text) {
+  if (text === '') {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+function printList(chapterId) {
+  chapters
+    .filter(chapter => chapterId === undefined || chapter.id === chapterId)
+    .forEach(chapter => {
+      console.log(`${chapter.title} (${chapter.file})`);
+      listExamples(chapter.id).forEach(example => {
+        const marker = getExample(example.id).generator ? ' [step]' : '';
+        console.log(`  ${example.id.padEnd(40)} ${example.title}${marker}`);
+      });
+    });
+}
+
+async function run(example) {
+  console.log(`--- ${example.title} (${example.id})`);
+  try {
+    await runExample(example.id);
+  } catch (err) {
+    console.log('Uncaught ' + (err instanceof Error ? err.stack : util.inspect(err)));
+  }
+}
+
+/**
+ * Lets the user drive the example's generator by hand until they quit or stdin ends.
+ */
+async function step(example, prompter) {
+  const genFunc = example.generator;
+  const args = example.args || [];
+  const call = `${genFunc.name}(${args.map(arg => util.inspect(arg)).join(', ')})`;
+  // An async generator's next() returns a promise; showing `Promise { <pending> }` wouldn't teach much.
+  const isAsync = Object.prototype.toString.call(genFunc) === '[object AsyncGeneratorFunction]';
+  const prefix = isAsync ? 'await ' : '';
+  let genObj = genFunc(...args);
+  console.log(`--- Stepping through ${call} (type help for the commands)`);
+
+  for (;;) {
+    const line = await prompter.ask('> ');
+    if (line === null || line === 'quit' || line === 'q') {
+      return;
+    }
+
+    const [, command, rest = ''] = /^(\S*)\s*(.*)$/.exec(line);
+    switch (command) {
+      case '':
+        break;
+      case 'next':
+      case 'return': {
+        const value = parseValue(rest);
+        console.log(`${prefix}${genFunc.name}.${command}(${rest === '' ? '' : util.inspect(value)})`);
+        try {
+          console.log(await genObj[command](value));
+        } catch (err) {
+          console.log('Uncaught ' + err);
+        }
+        break;
+      }
+      case 'throw': {
+        const error = new Error(rest);
+        console.log(`${prefix}${genFunc.name}.throw(new Error(${util.inspect(rest)}))`);
+        try {
+          console.log(await genObj.throw(error));
+        } catch (err) {
+          // The generator didn't catch it, so it is done now.
+          console.log('Uncaught ' + err);
+        }
+        break;
+      }
+      case 'restart':
+        genObj = genFunc(...args);
+        console.log(`--- New generator object from ${call}`);
+        break;
+      case 'source':
+        console.log(genFunc.toString());
+        break;
+      case 'run':
+        await run(example);
+        break;
+      case 'help':
+        console.log(STEP_HELP);
+        break;
+      default:
+        console.log(`Unknown command ${command}. Type help for the commands.`);
+    }
+  }
+}
+
+// The menu: lists everything, then runs whatever is picked until the user quits.
+async function browse(prompter) {
+  const examples = listExamples();
+  let chapter;
+  examples.forEach((example, index) => {
+    if (example.chapter !== chapter) {
+      chapter = example.chapter;
+      console.log(chapters.find(each => each.id === chapter).title);
+    }
+    const marker = getExample(example.id).generator ? ' [step]' : '';
+    console.log(`  ${String(index + 1).padStart(2)}. ${example.title}${marker}`);
+  });
+
+  for (;;) {
+    const answer = await prompter.ask('\nExample number or id (q to quit): ');
+    if (answer === null || answer === 'q' || answer === 'quit') {
+      return;
+    }
+    const picked = /^\d+$/.test(answer) ? examples[Number(answer) - 1] : getExample(answer);
+    if (!picked) {
+      console.log(`No example ${answer}`);
+      continue;
+    }
+    const example = getExample(picked.id);
+    await run(example);
+    if (example.generator) {
+      await step(example, prompter);
+    }
+  }
+}
+
+async function main(args) {
+  const [command, id] = args;
+
+  if (command === 'list') {
+    if (id !== undefined && !chapters.some(chapter => chapter.id === id)) {
+      throw new Error(`No chapter ${id}. Chapters: ${chapters.map(chapter => chapter.id).join(', ')}`);
+    }
+    return printList(id);
+  }
+
+  if (command !== undefined && command !== 'run' && command !== 'step') {
+    console.log(usage());
+    process.exitCode = command === 'help' || command === '--help' ? 0 : 2;
+    return;
+  }
+
+  let example;
+  if (command !== undefined) {
+    example = getExample(id);
+    if (!example) {
+      throw new Error(`No example ${id}. Use \`async-js list\` to see the ids.`);
+    }
+    if (command === 'step' && !example.generator) {
+      throw new Error(`${id} has no generator to step through. Use \`async-js run ${id}\`.`);
+    }
+  }
+
+  if (command === 'run' && !example.generator) {
+    return run(example);
+  }
+
+  const prompter = createPrompter();
+  try {
+    if (command === undefined) {
+      await browse(prompter);
+    } else {
+      if (command === 'run') {
+        await run(example);
+      }
+      await step(example, prompter);
+    }
+  } finally {
+    prompter.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,325 @@
+/**
+ * Async function examples
+ *
+ * The sections of 4-async-await.js as self-contained examples. In the tutorial file `doAsyncOp` is declared
+ * about ten times in a row, so only the last declaration of each section ever runs. Here every variant is its own
+ * function, and run() calls them.
+ */
+
+import { retry, RetryError } from '../lib/retry.js';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { Mutex } from '../lib/lock.js';
+import { TaskQueue, JsonFileStore } from '../lib/task-queue.js';
+
+export const syntax = {
+  id: 'async-await/syntax',
+  title: 'Async Functions Syntax',
+  async run({ asynchronousOperation, somethingThatReturnsAPromise }) {
+    async function doAsyncOp() {
+      var val = await asynchronousOperation();
+      console.log(val);
+      return val;
+    }
+
+    // Equivalent function using ES6 Promises
+    function doAsyncOpWithPromises() {
+      return asynchronousOperation().then(function (val) {
+        console.log(val);
+        return val;
+      });
+    }
+
+    // If the promise resolves, we can immediately interact with it on the next line.
+    // And if it rejects, then an error is thrown. So try/catch actually works again!
+    async function myFunction() {
+      try {
+        let result = await somethingThatReturnsAPromise();
+        console.log(result); // cool, we have a result
+      } catch (err) {
+        console.log(err); // oh noes, we got an error
+      }
+    }
+
+    await doAsyncOp();
+    // 1
+    await doAsyncOpWithPromises();
+    // 1
+    await myFunction();
+    // cool
+  }
+};
+
+export const chaining = {
+  id: 'async-await/chaining',
+  title: 'Chaining Operations',
+  async run({ asynchronousOperation }) {
+    // Using Promises
+    function doAsyncOpWithPromises() {
+      return asynchronousOperation().then(function (val) {
+        return asynchronousOperation(val);
+      }).then(function (val) {
+        return asynchronousOperation(val);
+      }).then(function (val) {
+        return asynchronousOperation(val);
+      });
+    }
+
+    // Using Async functions - we just act like asynchronousOperation is synchronous
+    async function doAsyncOp() {
+      var val = await asynchronousOperation();
+      val = await asynchronousOperation(val);
+      val = await asynchronousOperation(val);
+      return await asynchronousOperation(val);
+    }
+
+    console.log(await doAsyncOpWithPromises());
+    // 4
+    console.log(await doAsyncOp());
+    // 4
+  }
+};
+
+export const parallel = {
+  id: 'async-await/parallel',
+  title: 'Parallel Operations',
+  async run({ asynchronousOperation }) {
+    // Using Promise.all()
+    function doAsyncOpWithPromises() {
+      return Promise.all([asynchronousOperation(), asynchronousOperation()])
+        .then(function (vals) {
+          vals.forEach(val => console.log(val));
+          return vals;
+        });
+    }
+
+    // Using Async functions -- You still need to use Promise directly.
+    async function doAsyncOp() {
+      var vals = await Promise.all([asynchronousOperation(), asynchronousOperation()]);
+      vals.forEach(val => console.log(val));
+      return vals;
+    }
+
+    await doAsyncOpWithPromises();
+    // 1
+    // 1
+    await doAsyncOp();
+    // 1
+    // 1
+  }
+};
+
+export const awaitStar = {
+  id: 'async-await/await-star',
+  title: 'await* (withdrawn proposal)',
+  run() {
+    // await* EXPRESSION was proposed as a shorthand for await Promise.all(EXPRESSION). It never became valid syntax.
+    try {
+      new Function(`return async function doAsyncOp() {
+        var vals = await * [asynchronousOperation(), asynchronousOperation()];
+        return vals;
+      }`);
+    } catch (err) {
+      console.log(`${err.name}: ${err.message}`);
+    }
+    // SyntaxError
+  }
+};
+
+export const handlingRejections = {
+  id: 'async-await/handling-rejections',
+  title: 'Handling Rejections',
+  async run({ asynchronousOperation }) {
+    const failingOperation = () => Promise.reject(new Error('operation failed'));
+
+    // Using promises
+    function doAsyncOpWithPromises() {
+      return asynchronousOperation().then(function (val) {
+        return failingOperation(val);
+      }).then(function (val) {
+        return asynchronousOperation(val);
+      }).catch(function (err) {
+        console.error(err.message);
+      });
+    }
+
+    // Using async functions
+    async function doAsyncOp() {
+      try {
+        var val = await asynchronousOperation();
+        val = await failingOperation(val);
+        return await asynchronousOperation(val);
+      } catch (err) {
+        console.error(err.message);
+      }
+    }
+
+    await doAsyncOpWithPromises();
+    // operation failed
+    await doAsyncOp();
+    // operation failed
+  }
+};
+
+export const retrying = {
+  id: 'async-await/retrying',
+  title: 'Retrying transient failures',
+  async run({ asynchronousOperation }) {
+    // Fails twice, then works
+    let calls = 0;
+    const flakyOperation = val => ++calls < 3 ? Promise.reject(new Error('busy')) : asynchronousOperation(val);
+
+    async function doAsyncOp() {
+      try {
+        return await retry(attempt => flakyOperation(attempt), {
+          retries: 4,
+          minDelay: 10,
+          jitter: false,
+          onRetry: (err, attempt, delay) => console.log(`Attempt ${attempt} failed, retrying in ${delay}ms`)
+        });
+      } catch (err) {
+        if (err instanceof RetryError) {
+          err.errors.forEach(e => console.error(e));
+        }
+        throw err;
+      }
+    }
+
+    console.log(await doAsyncOp());
+    // Attempt 1 failed, retrying in 10ms
+    // Attempt 2 failed, retrying in 20ms
+    // 4
+  }
+};
+
+export const sharingAResource = {
+  id: 'async-await/sharing-a-resource',
+  title: 'Sharing a resource',
+  async run() {
+    const account = {
+      balance: 0,
+      read() {
+        return new Promise(resolve => setTimeout(resolve, 10, this.balance));
+      },
+      write(value) {
+        return new Promise(resolve => setTimeout(() => {
+          this.balance = value;
+          resolve();
+        }, 10));
+      }
+    };
+
+    async function deposit(amount) {
+      const balance = await account.read();
+      await account.write(balance + amount);
+    }
+
+    const mutex = new Mutex();
+    function safeDeposit(amount) {
+      return mutex.runExclusive(() => deposit(amount));
+    }
+
+    async function depositTenTimes(depositFn) {
+      account.balance = 0;
+      await Promise.all(Array.from({ length: 10 }, () => depositFn(1)));
+      return account.balance;
+    }
+
+    console.log('without a lock:', await depositTenTimes(deposit));
+    console.log('with a lock:', await depositTenTimes(safeDeposit));
+    // without a lock: 1
+    // with a lock: 10
+  }
+};
+
+export const taskQueue = {
+  id: 'async-await/task-queue',
+  title: 'A long-lived task queue',
+  async run({ asynchronousOperation }) {
+    const queue = new TaskQueue({ concurrency: 1, autoStart: false });
+    queue.add(async () => console.log('low priority', await asynchronousOperation()));
+    queue.add(async () => console.log('high priority', await asynchronousOperation(1)), { priority: 10 });
+    queue.resume();
+    await queue.onIdle();
+    console.log('idle');
+    // high priority 2
+    // low priority 1
+    // idle
+
+    // Jobs with a type are saved in the store until they are done. The first queue never starts, as if the process
+    // had stopped; the second one restores its job from the file.
+    const jobsFile = path.join(os.tmpdir(), `task-queue-${process.pid}.json`);
+    const handlers = {
+      double: async (val, { progress }) => {
+        progress(50);
+        return 2 * await asynchronousOperation(val - 1);
+      }
+    };
+    const stopped = new TaskQueue({ store: new JsonFileStore(jobsFile), handlers, autoStart: false });
+    stopped.add('double', 21);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const restarted = new TaskQueue({ store: new JsonFileStore(jobsFile), handlers });
+    restarted.on('progress', (job, percent) => console.log(`${job.type} ${job.data}: ${percent}%`));
+    restarted.on('completed', (job, result) => console.log(`${job.type} ${job.data}: ${result}`));
+    await restarted.restore();
+    await restarted.onIdle();
+    fs.unlinkSync(jobsFile);
+    // double 21: 50%
+    // double 21: 42
+  }
+};
+
+export const brokenPromises = {
+  id: 'async-await/broken-promises',
+  title: 'Broken Promises',
+  async run() {
+    var somethingIsBad = true;
+
+    // Using promises: reject, or throw inside the Promise constructor or within a then or catch callback
+    function doAsyncOpWithPromises() {
+      return new Promise(function (resolve, reject) {
+        if (somethingIsBad) {
+          reject(new Error('something is bad'));
+        }
+        resolve('nothing is bad');
+      });
+    }
+
+    // Using async functions: you can throw an error anywhere and it will be caught by the promise
+    async function doAsyncOp() {
+      if (somethingIsBad) {
+        throw new Error('something is bad');
+      }
+      return 'nothing is bad';
+    }
+
+    async function x() {
+      var val = await doAsyncOp().catch(() => 'recovered');
+
+      // this one will work just fine
+      throw new Error('I just think an error should be here');
+    }
+
+    await doAsyncOpWithPromises().catch(err => console.log(err.message));
+    // something is bad
+    await doAsyncOp().catch(err => console.log(err.message));
+    // something is bad
+    await x().catch(err => console.log(err.message));
+    // I just think an error should be here
+  }
+};
+
+// In tutorial order
+export default [
+  syntax,
+  chaining,
+  parallel,
+  awaitStar,
+  handlingRejections,
+  retrying,
+  sharingAResource,
+  taskQueue,
+  brokenPromises
+];
@@ -0,0 +1,281 @@
+/**
+ * Async iterator examples
+ *
+ * The sections of 5-async-iterators.js as self-contained examples. The tutorial file declares `delay` in
+ * almost every section, here it is declared once.
+ */
+
+import { EventEmitter } from 'events';
+import { Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import { map, filter, take, buffer, merge, zip, fromEvents, fromStream, toStream, toArray } from '../lib/async-iterables.js';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+export const protocol = {
+  id: 'async-iterators/protocol',
+  title: 'The async iteration protocol',
+  run() {
+    const slowNumbers = {
+      [Symbol.asyncIterator]() {
+        let i = 0;
+        return {
+          next() {
+            i++;
+            return delay(100, i <= 3 ? { value: i, done: false } : { value: undefined, done: true });
+          }
+        };
+      }
+    };
+
+    const asyncIterator = slowNumbers[Symbol.asyncIterator]();
+    return asyncIterator.next()
+      .then(result => {
+        console.log(result);
+        return asyncIterator.next();
+      })
+      .then(result => console.log(result));
+    // { value: 1, done: false }
+    // { value: 2, done: false }
+  }
+};
+
+export const forAwaitOf = {
+  id: 'async-iterators/for-await-of',
+  title: 'for await...of',
+  async run({ fetch }) {
+    async function printAll(asyncIterable) {
+      for await (const x of asyncIterable) {
+        console.log(x);
+      }
+    }
+
+    const slowNumbers = {
+      [Symbol.asyncIterator]() {
+        const values = [1, 2, 3];
+        return {
+          next: () => Promise.resolve(values.length ? { value: values.shift(), done: false } : { value: undefined, done: true })
+        };
+      }
+    };
+    await printAll(slowNumbers);
+    // 1
+    // 2
+    // 3
+
+    // for await also accepts sync iterables. Their values are awaited, so an array of promises works too.
+    for await (const response of [fetch('/'), fetch('foo')]) {
+      console.log(response.status);
+    }
+    // 200
+    // 404
+  }
+};
+
+async function* countdown(from) {
+  for (let i = from; i > 0; i--) {
+    await delay(100);
+    yield i;
+  }
+  return 'liftoff';
+}
+
+export const asyncGenerators = {
+  id: 'async-iterators/async-generators',
+  title: 'Async generators',
+  generator: countdown,
+  args: [2],
+  run() {
+    // next() can be called without waiting for the previous result: the requests are queued and settled in order.
+    const genObj = countdown(2);
+    return Promise.all([genObj.next(), genObj.next(), genObj.next()])
+      .then(results => results.forEach(result => console.log(result)));
+    // { value: 2, done: false }
+    // { value: 1, done: false }
+    // { value: 'liftoff', done: true }
+  }
+};
+
+export const closingEarly = {
+  id: 'async-iterators/closing-early',
+  title: 'Closing an async generator early',
+  async run() {
+    async function* readLines() {
+      try {
+        yield 'first line';
+        yield 'second line';
+        yield 'third line';
+      } finally {
+        console.log('closing the file');
+      }
+    }
+
+    for await (const line of readLines()) {
+      console.log(line);
+      break;
+    }
+    // first line
+    // closing the file
+  }
+};
+
+export const composing = {
+  id: 'async-iterators/composing',
+  title: 'Composing async iterables',
+  async run() {
+    async function* naturalNumbers() {
+      let n = 1;
+      try {
+        while (true) {
+          await delay(10);
+          yield n++;
+        }
+      } finally {
+        console.log('stopped at', n - 1);
+      }
+    }
+
+    // An endless source is fine as long as something stops asking: take() closes it after the third even square.
+    const evenSquares = take(map(filter(naturalNumbers(), n => n % 2 === 0), n => n * n), 3);
+    console.log(await toArray(evenSquares));
+    // stopped at 6
+    // [4, 16, 36]
+
+    // buffer() groups values, e.g. to write rows in batches instead of one at a time
+    console.log(await toArray(buffer(['a', 'b', 'c', 'd', 'e'], 2)));
+    // [['a', 'b'], ['c', 'd'], ['e']]
+  }
+};
+
+export const combining = {
+  id: 'async-iterators/combining',
+  title: 'Combining async iterables',
+  async run() {
+    async function* ticker(name, ms, count) {
+      for (let i = 1; i <= count; i++) {
+        await delay(ms);
+        yield `${name}${i}`;
+      }
+    }
+
+    console.log((await toArray(merge(ticker('fast', 100, 3), ticker('slow', 250, 2)))).join(' '));
+    // fast1 fast2 slow1 fast3 slow2
+
+    console.log(await toArray(zip(ticker('fast', 100, 3), ticker('slow', 250, 2), ['x', 'y', 'z'])));
+    // [['fast1', 'slow1', 'x'], ['fast2', 'slow2', 'y']]
+  }
+};
+
+export const events = {
+  id: 'async-iterators/events',
+  title: 'Events as async iterables',
+  run() {
+    const orders = new EventEmitter();
+
+    async function processOrders() {
+      for await (const order of fromEvents(orders, 'order', { endEvent: 'close' })) {
+        await delay(50); // slower than the orders come in
+        console.log('processed order', order.id);
+      }
+      console.log('no more orders');
+    }
+    const processed = processOrders();
+
+    orders.emit('order', { id: 1 });
+    orders.emit('order', { id: 2 });
+    setTimeout(() => {
+      orders.emit('order', { id: 3 });
+      orders.emit('close');
+    }, 10);
+    // processed order 1
+    // processed order 2
+    // processed order 3
+    // no more orders
+
+    return processed;
+  }
+};
+
+export const streams = {
+  id: 'async-iterators/streams',
+  title: 'Streams',
+  async run() {
+    async function* words() {
+      yield 'word1';
+      yield 'word2';
+      yield 'word3';
+    }
+
+    async function* upperCase(source) {
+      for await (const chunk of source) {
+        yield String(chunk).toUpperCase();
+      }
+    }
+
+    const written = [];
+    await pipeline(
+      toStream(words()),
+      upperCase,
+      new Writable({
+        objectMode: true,
+        write(chunk, encoding, callback) {
+          written.push(chunk);
+          callback();
+        }
+      })
+    );
+    console.log(written);
+    // ['WORD1', 'WORD2', 'WORD3']
+
+    // fromStream() destroys the stream when the loop stops early, so the file is closed right away.
+    const file = fs.createReadStream(fileURLToPath(import.meta.url), { encoding: 'utf8', highWaterMark: 8 });
+    for await (const chunk of fromStream(file)) {
+      console.log('read', chunk.length, 'characters');
+      break;
+    }
+    console.log(file.destroyed);
+    // read 8 characters
+    // true
+  }
+};
+
+export const paginatedFetch = {
+  id: 'async-iterators/paginated-fetch',
+  title: 'Paginated fetch',
+  async run({ fetch }) {
+    async function* createQuoteFetcher() {
+      let page = 1;
+      while (page !== null) {
+        console.log('fetching page', page);
+        const response = await fetch(`http://api.forismatic.com/api/1.0/?method=getQuotes&lang=en&format=json&page=${page}`);
+        const { quotes, nextPage } = await response.json();
+        yield* quotes;
+        page = nextPage;
+      }
+    }
+
+    for await (const quote of take(createQuoteFetcher(), 3)) {
+      console.log(`${quote.quoteText} —${quote.quoteAuthor}`);
+    }
+    // fetching page 1
+    // Any fool can write code that a computer can understand. Good programmers write code that humans can understand. —Martin Fowler
+    // Simplicity is prerequisite for reliability. —Edsger W. Dijkstra
+    // fetching page 2
+    // Make it work, make it right, make it fast. —Kent Beck
+  }
+};
+
+// In tutorial order
+export default [
+  protocol,
+  forAwaitOf,
+  asyncGenerators,
+  closingEarly,
+  composing,
+  combining,
+  events,
+  streams,
+  paginatedFetch
+];
@@ -0,0 +1,268 @@
+/**
+ * Callback examples
+ *
+ * The sections of 1-callback.js as self-contained examples. Every example gets the fixtures
+ * (fetch, request, $, document, ...) passed to run(), so nothing depends on globals.
+ */
+
+import flow from '../lib/flow.js';
+import { Observable, fromEvent } from '../lib/observable.js';
+import { debounceAsync, RateLimiter } from '../lib/throttle.js';
+
+export const examples = {
+  id: 'callbacks/examples',
+  title: 'Callback examples',
+  run({ $ }) {
+    // Note that the item in the click method's parameter is a function, not a variable. The item is a callback function
+    $('#btn_1').click(function () {
+      console.log('Btn 1 Clicked');
+    });
+    $('#btn_1').click(); // trigger it
+
+    // forEach()
+    var friends = ['Mike', 'Stacy', 'Andy', 'Rick'];
+    friends.forEach(function (eachName, index) {
+      // Inside callback function.
+      console.log(index + 1 + '. ' + eachName); // 1. Mike, 2. Stacy, 3. Andy, 4. Rick
+    });
+  }
+};
+
+export const callbackHell = {
+  id: 'callbacks/callback-hell',
+  title: 'Callback hell',
+  run({ getData, getMoreData }) {
+    return new Promise(done => {
+      getData(function (a) {
+        getMoreData(a, function (b) {
+          getMoreData(b, function (c) {
+            getMoreData(c, function (d) {
+              getMoreData(d, function (e) {
+                console.log('Callback Hell');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+};
+
+export const controlFlowLibrary = {
+  id: 'callbacks/control-flow-library',
+  title: 'Use a control flow library',
+  run({ getData, getMoreData }) {
+    return new Promise(done => {
+      flow.waterfall([
+        function (next) { getData(function (a) { next(null, a); }); },
+        function (a, next) { getMoreData(a, function (b) { next(null, b); }); },
+        function (b, next) { getMoreData(b, function (c) { next(null, c); }); },
+        function (c, next) { getMoreData(c, function (d) { next(null, d); }); },
+        function (d, next) { getMoreData(d, function (e) { next(null, e); }); }
+      ], function (err, e) {
+        if (err) console.error(err);
+        else console.log('No more Callback Hell');
+        done();
+      });
+    });
+  }
+};
+
+export const nameYourFunctions = {
+  id: 'callbacks/name-your-functions',
+  title: 'Name your functions',
+  run({ document, request }) {
+    return new Promise(done => {
+      var form = document.querySelector('form');
+      form.onsubmit = function formSubmit(submitEvent) {
+        var name = document.querySelector('input').value;
+        request({
+          uri: 'http://example.com/upload',
+          body: name,
+          method: 'POST'
+        }, function postResponse(err, response, body) {
+          var statusMessage = document.querySelector('.status');
+          if (err) statusMessage.value = err;
+          else statusMessage.value = body;
+          console.log(statusMessage.value);
+          done();
+        });
+      };
+      form.submit();
+    });
+  }
+};
+
+export const keepYourCodeShallow = {
+  id: 'callbacks/keep-your-code-shallow',
+  title: 'Keep your code shallow',
+  run({ document, request }) {
+    return new Promise(done => {
+      // Get rid of triple level nesting which was there earlier.
+      function formSubmit(submitEvent) {
+        var name = document.querySelector('input').value;
+        request({
+          uri: 'http://example.com/upload',
+          body: name,
+          method: 'POST'
+        }, postResponse);
+      }
+
+      function postResponse(err, response, body) {
+        var statusMessage = document.querySelector('.status');
+        if (err) statusMessage.value = err;
+        else statusMessage.value = body;
+        console.log(statusMessage.value);
+        done();
+      }
+
+      document.querySelector('form').onsubmit = formSubmit;
+      document.querySelector('form').submit();
+    });
+  }
+};
+
+export const modularize = {
+  id: 'callbacks/modularize',
+  title: 'Modularize',
+  run({ document, request }) {
+    return new Promise(done => {
+      // formuploader.js
+      const formUploader = (function () {
+        function formSubmit(submitEvent) {
+          var name = document.querySelector('input').value;
+          request({
+            uri: 'http://example.com/upload',
+            body: name,
+            method: 'POST'
+          }, postResponse);
+        }
+
+        function postResponse(err, response, body) {
+          var statusMessage = document.querySelector('.status');
+          if (err) statusMessage.value = err;
+          else statusMessage.value = body;
+          console.log(statusMessage.value);
+          done();
+        }
+
+        return { submit: formSubmit }; // exports.submit = formSubmit;
+      })();
+
+      // USAGE
+      document.querySelector('form').onsubmit = formUploader.submit;
+      document.querySelector('form').submit();
+    });
+  }
+};
+
+export const eventsAsStreams = {
+  id: 'callbacks/events-as-streams',
+  title: 'Treat events as a stream',
+  run({ document, fetch }) {
+    return new Promise(done => {
+      // The upload as an Observable: unsubscribing aborts the request
+      function upload(name) {
+        return new Observable(function subscribe(subscriber) {
+          var controller = new AbortController();
+          console.log('uploading ' + name);
+          fetch('http://example.com/upload', { method: 'POST', body: name, signal: controller.signal })
+            .then(function (response) { return response.text(); })
+            .then(function (body) {
+              subscriber.next(body);
+              subscriber.complete();
+            }, function (err) {
+              subscriber.error(err);
+            });
+          return function abort() {
+            controller.abort();
+          };
+        });
+      }
+
+      var form = document.querySelector('form');
+      var input = document.querySelector('input');
+      var statusMessage = document.querySelector('.status');
+
+      fromEvent(form, 'submit')
+        .map(function (submitEvent) { return input.value; })
+        .filter(function (name) { return name !== ''; })
+        .switchMap(upload)
+        .takeUntil(fromEvent(form, 'reset'))
+        .subscribe({
+          next: function (body) { statusMessage.value = body; console.log(body); },
+          error: function (err) { statusMessage.value = err; },
+          complete: function () { console.log('Stopped listening'); done(); }
+        });
+
+      input.value = 'Jerry';
+      form.submit();
+      input.value = 'Elaine';
+      form.submit();
+      setTimeout(function () { form.reset(); }, 500);
+      // uploading Jerry
+      // uploading Elaine
+      // Uploaded: Elaine
+      // Stopped listening
+    });
+  }
+};
+
+export const dontUploadTwice = {
+  id: 'callbacks/dont-upload-twice',
+  title: "Don't upload twice",
+  async run({ document, fetch }) {
+    function uploadName(name) {
+      console.log('uploading ' + name);
+      return fetch('http://example.com/upload', { method: 'POST', body: name })
+        .then(function (response) { return response.text(); });
+    }
+
+    var debouncedUpload = debounceAsync(uploadName, 300);
+
+    var form = document.querySelector('form');
+    var statusMessage = document.querySelector('.status');
+    var uploads = [];
+    form.onsubmit = function formSubmit(submitEvent) {
+      var name = document.querySelector('input').value;
+      uploads.push(debouncedUpload(name).then(function postResponse(body) {
+        statusMessage.value = body;
+        console.log(body);
+      }));
+    };
+
+    // A double click
+    form.submit();
+    form.submit();
+    await Promise.all(uploads);
+    // uploading Jerry
+    // Uploaded: Jerry
+    // Uploaded: Jerry
+
+    // At most 2 uploads per second: the first two start right away, the third one half a second later.
+    var limiter = new RateLimiter({ limit: 2, interval: 1000 });
+    var limitedUpload = limiter.wrap(uploadName);
+    await Promise.all(['George', 'Elaine', 'Kramer'].map(function (name) {
+      return limitedUpload(name).then(function (body) { console.log(body); });
+    }));
+    // uploading George
+    // uploading Elaine
+    // Uploaded: George
+    // Uploaded: Elaine
+    // uploading Kramer
+    // Uploaded: Kramer
+  }
+};
+
+// In tutorial order
+export default [
+  examples,
+  callbackHell,
+  controlFlowLibrary,
+  nameYourFunctions,
+  keepYourCodeShallow,
+  modularize,
+  eventsAsStreams,
+  dontUploadTwice
+];
@@ -0,0 +1,676 @@
+/**
+ * Generator examples
+ *
+ * The sections of 3-generators.js as self-contained examples. In the tutorial file the sections share one scope,
+ * so `genFunc`, `genObj1` and `genFunc1` are declared over and over and the file doesn't even parse.
+ * Here every example has its own scope.
+ *
+ * Examples that are SyntaxErrors on purpose keep the offending code in a string and show the error compile() gives.
+ *
+ * Examples built around one generator declare it at the top level and expose it as `generator`, so that
+ * bin/async-js.mjs can hand its next(), return() and throw() to the reader.
+ */
+
+import util from 'util';
+import co from '../lib/co.js';
+import Iter from '../lib/iter.js';
+import BinaryTree from '../lib/binary-tree.js';
+import { chan, buffers, put, take, alts, close, timeout, go, CLOSED } from '../lib/csp.js';
+import * as saga from '../lib/saga.js';
+
+// Compiles `source` and logs the SyntaxError it causes.
+function compile(source) {
+  try {
+    new Function(source);
+    console.log('compiles fine');
+  } catch (err) {
+    console.log(`${err.name}: ${err.message}`);
+  }
+}
+
+// Two things distinguish genFunc from a normal function declaration:
+//   It starts with the “keyword” function*.
+//   It is paused in the middle via yield.
+function* genFunc() {
+  console.log('First');
+  yield;                  // (A)
+  console.log('Second');  // (B)
+}
+
+export const basics = {
+  id: 'generators/basics',
+  title: 'Generators',
+  generator: genFunc,
+  run() {
+    // Calling genFunc does not execute it. Instead, it returns a generator object that lets us control genFunc’s execution:
+    let genObj = genFunc();
+
+    console.log(genObj.next());
+    // First
+    // { value: undefined, done: false }
+
+    console.log(genObj.next());
+    // Second
+    // { value: undefined, done: true }
+  }
+};
+
+export const iterables = {
+  id: 'generators/iterables',
+  title: 'Implementing iterables via generators',
+  run() {
+    function* objectEntries(obj) {
+      let propKeys = Reflect.ownKeys(obj);
+
+      for (let propKey of propKeys) {
+        yield [propKey, obj[propKey]];
+      }
+    }
+
+    let jane = { first: 'Jane', last: 'Doe' };
+    for (let [key, value] of objectEntries(jane)) {
+      console.log(`${key}: ${value}`);
+    }
+    // first: Jane
+    // last: Doe
+  }
+};
+
+export const blockingOnAsyncCalls = {
+  id: 'generators/blocking-on-async-calls',
+  title: 'Blocking on asynchronous function calls',
+  run({ getFile }) {
+    return co(function* () {
+      try {
+        let [croftStr, bondStr] = yield Promise.all([ // A
+          getFile('http://localhost:8000/croft.json'),
+          getFile('http://localhost:8000/bond.json')
+        ]);
+        let croftJson = JSON.parse(croftStr);
+        let bondJson = JSON.parse(bondStr);
+
+        console.log(croftJson);
+        console.log(bondJson);
+      } catch (e) {
+        console.log('Failure to read: ' + e);
+      }
+    });
+    // { first: 'Lara', last: 'Croft' }
+    // { first: 'James', last: 'Bond' }
+  }
+};
+
+export const asyncHandling = {
+  id: 'generators/async-handling',
+  title: 'Understanding generators and async handling',
+  run() {
+    return new Promise(done => {
+      function getFirstName() {
+        setTimeout(function () {
+          gen.next('Jerry');
+        }, 2000);
+      }
+
+      function getSecondName() {
+        setTimeout(function () {
+          gen.next('Seinfeld');
+        }, 3000);
+      }
+
+      function* getFullName() {
+        var firstName = yield getFirstName();
+        var lastName = yield getSecondName();
+        console.log(firstName + ' ' + lastName); // Jerry Seinfeld
+        done();
+      }
+
+      var gen = getFullName();
+      gen.next(); // Initialize generator flow to first `yield`
+    });
+  }
+};
+
+export const sagas = {
+  id: 'generators/sagas',
+  title: 'Sagas: yielding effects instead of calling next()',
+  run() {
+    function fetchFirstName() {
+      return new Promise(resolve => setTimeout(() => resolve('Jerry'), 200));
+    }
+
+    function fetchSecondName() {
+      return new Promise(resolve => setTimeout(() => resolve('Seinfeld'), 300));
+    }
+
+    function* getFullName() {
+      const firstName = yield saga.call(fetchFirstName);
+      const lastName = yield saga.call(fetchSecondName);
+      yield saga.put({ type: 'NAME_LOADED', name: `${firstName} ${lastName}` });
+    }
+
+    const steps = getFullName();
+    console.log(util.isDeepStrictEqual(steps.next().value, saga.call(fetchFirstName)));
+    console.log(util.isDeepStrictEqual(steps.next('Jerry').value, saga.call(fetchSecondName)));
+    // true
+    // true
+
+    const runner = saga.createRunner({ dispatch: action => console.log('dispatched', action.type) });
+
+    function* greeter() {
+      while (true) {
+        const { name } = yield saga.take('NAME_LOADED');
+        console.log(`Hello ${name}`);
+      }
+    }
+
+    function* main() {
+      const watcher = yield saga.fork(greeter);
+      const { timeout } = yield saga.race({ name: saga.call(getFullName), timeout: saga.delay(1000) });
+      console.log(timeout ? 'too slow' : 'in time');
+      yield saga.cancel(watcher);
+    }
+    return runner.run(main).toPromise();
+    // dispatched NAME_LOADED
+    // Hello Jerry Seinfeld
+    // in time
+  }
+};
+
+export const promisesForAsynchrony = {
+  id: 'generators/promises-for-asynchrony',
+  title: 'Generators with Promises for asynchrony',
+  run({ asyncQueryFn }) {
+    function* run() {
+      var cities = ['Chicago', 'San Francisco', 'Los Angeles', 'Santa Barbara'];
+
+      var citiesData = cities.map(city => asyncQueryFn(city));
+
+      return yield Promise.all(citiesData);
+    }
+
+    return co(run).then(citiesData => console.log(citiesData.map(data => data.city).join(', ')));
+    // Chicago, San Francisco, Los Angeles, Santa Barbara
+  }
+};
+
+export const asyncWithoutPromises = {
+  id: 'generators/async-without-promises',
+  title: 'Generators for Async handling',
+  run({ makeAjaxCall }) {
+    return new Promise(done => {
+      // With generator
+      function request(url) {
+        // this is where we're hiding the asynchronicity, away from the main code of our generator
+        makeAjaxCall(url, function (response) {
+          it.next(response);
+        });
+      }
+
+      function* main() {
+        var result1 = yield request('http://some.url.1');
+        var data = JSON.parse(result1);
+
+        var result2 = yield request('http://some.url.2?id=' + data.id);
+        var resp = JSON.parse(result2);
+        console.log('The value you asked for: ' + resp.value);
+        done();
+      }
+
+      var it = main();
+      it.next(); // get it all started
+      // The value you asked for: the answer is 42
+    });
+  }
+};
+
+export const quoteFetcher = {
+  id: 'generators/quote-fetcher',
+  title: 'Using generators with Promises to handle async flows',
+  run({ fetch }) {
+    function* createQuoteFetcher() {
+      const response = yield fetch('http://api.forismatic.com/api/1.0/?method=getQuote&lang=en&format=json');
+      const quote = yield response.json();
+      return `${quote.quoteText} —${quote.quoteAuthor}`;
+    }
+
+    const coroutine = (gen) => {
+      const generator = gen();
+
+      const handle = (result) => {
+        if (result.done) return Promise.resolve(result.value);
+        return Promise.resolve(result.value)
+          .then(res => handle(generator.next(res)), err => handle(generator.throw(err)));
+      };
+
+      return handle(generator.next());
+    };
+
+    const fetched = coroutine(createQuoteFetcher).then(quote => console.log(quote));
+
+    // Cancelling a running generator
+    const cancellableQuote = co(createQuoteFetcher);
+    const cancelled = cancellableQuote.catch(err => {
+      if (err instanceof co.CancellationError) console.log('Nobody needs a quote anymore');
+    });
+    cancellableQuote.cancel();
+    // Nobody needs a quote anymore
+
+    return Promise.all([fetched, cancelled]);
+  }
+};
+
+function* foo() {
+  yield 'a';
+  yield 'b';
+}
+
+function* bar() {
+  yield 'x';
+  yield* foo(); // yield* is used for making recursive generator calls.
+  yield 'y';
+}
+
+export const recursionViaYieldStar = {
+  id: 'generators/recursion-via-yield-star',
+  title: 'Recursion via yield*',
+  generator: bar,
+  run() {
+    // Collect all values yielded by bar() in an array
+    let arr = [...bar()];
+    console.log(arr);
+    // ['x', 'a', 'b', 'y']
+  }
+};
+
+export const iteratingOverTrees = {
+  id: 'generators/iterating-over-trees',
+  title: 'Iterating over trees',
+  run() {
+    class BinaryTree {
+      constructor(value, left = null, right = null) {
+        this.value = value;
+        this.left = left;
+        this.right = right;
+      }
+
+      // Prefix iteration
+      *[Symbol.iterator]() {
+        yield this.value;
+        if (this.left) {
+          yield* this.left;
+        }
+        if (this.right) {
+          yield* this.right;
+        }
+      }
+    }
+
+    let tree = new BinaryTree('a',
+      new BinaryTree('b',
+        new BinaryTree('c'),
+        new BinaryTree('d')),
+      new BinaryTree('e'));
+
+    for (let x of tree) {
+      console.log(x);
+    }
+    // a b c d e
+  }
+};
+
+export const walkingTrees = {
+  id: 'generators/walking-trees',
+  title: 'More ways to walk a tree',
+  async run() {
+    let tree = BinaryTree.fromArray(['a', 'b', 'e', 'c', 'd']);
+    console.log([...tree].join(' '), '|', [...tree.inOrder()].join(' '), '|', [...tree.postOrder()].join(' '), '|', [...tree.levelOrder()].join(' '));
+    // a b c d e | c b d a e | c d b e a | a b e c d
+
+    let bst = BinaryTree.fromValues([5, 3, 8, 1, 4]);
+    bst.insert(7);
+    console.log([...bst.inOrder()], bst.has(7), bst.has(6), JSON.stringify(bst));
+    // [1, 3, 4, 5, 7, 8] true false [5,3,8,1,4,7]
+
+    // What a binary search tree turns into when fed sorted values: a list, each node the right child of the one before
+    let deep = new BinaryTree(0);
+    for (let node = deep, i = 1; i < 100000; i++) {
+      node = node.right = new BinaryTree(i);
+    }
+    try {
+      Array.from(deep.inOrder());
+    } catch (e) {
+      console.log(e.message);
+    }
+    console.log(Array.from(deep.traverse('in')).length);
+    // Maximum call stack size exceeded
+    // 100000
+
+    const storage = {
+      1: { value: 'a', left: 2, right: 3 },
+      2: { value: 'b', left: null, right: null },
+      3: { value: 'e', left: null, right: null }
+    };
+    const load = id => new Promise(resolve => setTimeout(() => {
+      console.log('loaded', id);
+      resolve(storage[id]);
+    }, 10));
+
+    for await (const x of BinaryTree.walkAsync(1, load, 'pre')) {
+      if (x === 'b') {
+        console.log('found', x);
+        break;
+      }
+    }
+    // loaded 1
+    // loaded 2
+    // found b
+  }
+};
+
+export const yieldInCallbacks = {
+  id: 'generators/yield-in-callbacks',
+  title: 'You can only yield in generators -- yielding in callbacks doesn’t work',
+  run() {
+    compile(`function* genFunc() {
+      ['a', 'b'].forEach(x => yield x);
+    }`);
+    // SyntaxError
+
+    // Refactored
+    function* genFunc() {
+      for (let x of ['a', 'b']) {
+        yield x; // OK
+      }
+    }
+    console.log([...genFunc()]);
+    // ['a', 'b']
+  }
+};
+
+function* dataConsumer() {
+  console.log('Started');
+  console.log(`1. ${yield}`); // (A)
+  console.log(`2. ${yield}`);
+  return 'result';
+}
+
+export const sendingValues = {
+  id: 'generators/sending-values',
+  title: 'Sending values via next()',
+  generator: dataConsumer,
+  run() {
+    let genObj = dataConsumer();
+
+    console.log(genObj.next());
+    // Started
+    // { value: undefined, done: false }
+
+    console.log(genObj.next('a'));
+    // 1. a
+    // { value: undefined, done: false }
+
+    console.log(genObj.next('b'));
+    // 2. b
+    // { value: 'result', done: true }
+  }
+};
+
+function* g() {
+  yield;
+}
+
+export const firstNext = {
+  id: 'generators/first-next',
+  title: 'The first next()',
+  generator: g,
+  run() {
+    // The value sent with the first next() is dropped: there is no yield waiting for it yet.
+    console.log(g().next('hello'));
+    // { value: undefined, done: false }
+  }
+};
+
+export const yieldBindsLoosely = {
+  id: 'generators/yield-binds-loosely',
+  title: 'yield binds loosely',
+  run() {
+    // `yield a + b + c` is treated as `yield (a + b + c)`, not as `(yield a) + b + c`.
+    function* add(a, b, c) {
+      yield a + b + c;
+    }
+    console.log(add(1, 2, 3).next().value);
+    // 6
+
+    // Many operators bind more tightly than yield and you have to put yield in parentheses if you want to use it as an operand.
+    compile(`function* g() { console.log('Hello' + yield); }`); // SyntaxError
+    compile(`function* g() { console.log('Hello' + yield 123); }`); // SyntaxError
+    compile(`function* g() { console.log('Hello' + (yield)); }`); // OK
+    compile(`function* g() { console.log('Hello' + (yield 123)); }`); // OK
+  }
+};
+
+function* genFunc1() {
+  try {
+    console.log('Started');
+    yield; // (A)
+  } finally {
+    console.log('Exiting');
+  }
+}
+
+export const returnTerminates = {
+  id: 'generators/return-terminates',
+  title: 'return() terminates the generator',
+  generator: genFunc1,
+  run() {
+    let genObj1 = genFunc1();
+    console.log(genObj1.next());
+    // Started
+    // { value: undefined, done: false }
+
+    console.log(genObj1.return('Result'));
+    // Exiting
+    // { value: 'Result', done: true }
+
+    // Returning from a newborn generator is allowed!
+    function* genFunc() {
+    }
+    console.log(genFunc().return('yes'));
+    // { value: 'yes', done: true }
+  }
+};
+
+// You can prevent return() from terminating the generator if you yield inside the finally clause
+function* genFunc2() {
+  try {
+    console.log('Started');
+    yield;
+  } finally {
+    yield 'Not done, yet!';
+  }
+}
+
+export const preventingTermination = {
+  id: 'generators/preventing-termination',
+  title: 'Preventing termination',
+  generator: genFunc2,
+  run() {
+    let genObj2 = genFunc2();
+
+    console.log(genObj2.next());
+    // Started
+    // { value: undefined, done: false }
+
+    console.log(genObj2.return('Result'));
+    // { value: 'Not done, yet!', done: false }
+
+    console.log(genObj2.next());
+    // { value: 'Result', done: true }
+  }
+};
+
+// The tutorial calls this one genFunc1 as well
+function* genFunc3() {
+  try {
+    console.log('Started');
+    yield; // (A)
+  } catch (error) {
+    console.log('Caught: ' + error);
+  }
+}
+
+export const throwSignalsError = {
+  id: 'generators/throw-signals-error',
+  title: 'throw() signals an error',
+  generator: genFunc3,
+  run() {
+    let genObj1 = genFunc3();
+    console.log(genObj1.next());
+    // Started
+    // { value: undefined, done: false }
+
+    console.log(genObj1.throw(new Error('Problem!')));
+    // Caught: Error: Problem!
+    // { value: undefined, done: true }
+
+    // Throwing an exception in a newborn generator (that hasn’t started yet) is allowed:
+    function* genFunc() {
+    }
+    try {
+      genFunc().throw(new Error('Problem!'));
+    } catch (err) {
+      console.log(err.toString());
+    }
+    // Error: Problem!
+  }
+};
+
+function* fibonacci() {
+  let [prev, curr] = [0, 1];
+  while (true) {
+    yield curr;
+    [prev, curr] = [curr, prev + curr];
+  }
+}
+
+export const fibonacciExample = {
+  id: 'generators/fibonacci',
+  title: 'Infinite Fibonacci sequence using generators',
+  generator: fibonacci,
+  run() {
+    var gen = fibonacci();
+    console.log(gen.next().value); // 1
+    console.log(gen.next().value); // 1
+    console.log(gen.next().value); // 2
+    console.log(gen.next().value); // 3
+    console.log(gen.next().value); // 5
+    console.log(gen.next().value); // 8
+  }
+};
+
+export const lazyIterators = {
+  id: 'generators/lazy-iterators',
+  title: 'Lazy iterator chains',
+  run() {
+    function* fibonacci() {
+      let [prev, curr] = [0, 1];
+      try {
+        while (true) {
+          yield curr;
+          [prev, curr] = [curr, prev + curr];
+        }
+      } finally {
+        console.log('fibonacci closed');
+      }
+    }
+    const isEven = n => n % 2 === 0;
+    const sq = n => n * n;
+
+    // Once take() has its values it closes the chain, which runs the generator's finally block.
+    console.log(Iter.from(fibonacci()).filter(isEven).map(sq).take(5).toArray());
+    // fibonacci closed
+    // [4, 64, 1156, 20736, 372100]
+
+    console.log(Iter.range(1, 4).zip('abc').toArray());
+    // [[1, 'a'], [2, 'b'], [3, 'c']]
+    console.log(Iter.range(7).chunk(3).toArray());
+    // [[0, 1, 2], [3, 4, 5], [6]]
+    console.log(Iter.range(5).window(3).toArray());
+    // [[0, 1, 2], [1, 2, 3], [2, 3, 4]]
+    console.log(Iter.from(['x y', 'z']).flatMap(s => s.split(' ')).toArray());
+    // ['x', 'y', 'z']
+    console.log(Iter.cycle(['red', 'green']).take(5).toArray().join(' '));
+    // red green red green red
+  }
+};
+
+export const channels = {
+  id: 'generators/channels',
+  title: 'Channels (CSP)',
+  async run() {
+    const ping = chan();
+    const pong = chan();
+
+    go(function* player() {
+      for (let i = 1; i <= 3; i++) {
+        yield put(ping, i);
+        console.log('returned', yield take(pong));
+      }
+      close(ping);
+    });
+
+    await go(function* echo() {
+      let value;
+      while ((value = yield take(ping)) !== CLOSED) {
+        yield put(pong, value * 10);
+      }
+      console.log('ping closed');
+    });
+    // returned 10
+    // returned 20
+    // returned 30
+    // ping closed
+
+    const readings = chan(buffers.sliding(2));
+    for (const reading of [14, 15, 17, 16]) {
+      await put(readings, reading);
+    }
+    close(readings);
+    for await (const reading of readings) {
+      console.log('reading', reading);
+    }
+    // reading 17
+    // reading 16
+
+    const responses = chan();
+    setTimeout(() => put(responses, 'slow response'), 200);
+    const { value, channel } = await alts([responses, timeout(100)]);
+    console.log(channel === responses ? value : 'timed out');
+    // timed out
+  }
+};
+
+// In tutorial order
+export default [
+  basics,
+  iterables,
+  blockingOnAsyncCalls,
+  asyncHandling,
+  sagas,
+  promisesForAsynchrony,
+  asyncWithoutPromises,
+  quoteFetcher,
+  recursionViaYieldStar,
+  iteratingOverTrees,
+  walkingTrees,
+  yieldInCallbacks,
+  sendingValues,
+  firstNext,
+  yieldBindsLoosely,
+  returnTerminates,
+  preventingTermination,
+  throwSignalsError,
+  fibonacciExample,
+  lazyIterators,
+  channels
+];
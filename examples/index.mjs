@@ -0,0 +1,74 @@
+/**
+ * Example registry
+ *
+ * Every section of the tutorial files as a self-contained example, addressable by id:
+ *
+ *   import { listExamples, runExample } from './examples/index.mjs';
+ *
+ *   listExamples();                               // [{ id: 'callbacks/examples', title, chapter }, ...]
+ *   await runExample('generators/return-terminates');
+ *
+ * An example is an object { id, title, run(fixtures) }. run() gets the stand-ins for fetch, request, db, $ and
+ * friends (see fixtures/index.js) and returns, or resolves, once everything it started has finished.
+ */
+
+import fixtures from '../fixtures/index.js';
+import callbacks from './callbacks.mjs';
+import promises from './promises.mjs';
+import generators from './generators.mjs';
+import asyncAwait from './async-await.mjs';
+import asyncIterators from './async-iterators.mjs';
+
+export const chapters = [
+  { id: 'callbacks', title: 'Callbacks', file: '1-callback.js', examples: callbacks },
+  { id: 'promises', title: 'Promises', file: '2-promises.js', examples: promises },
+  { id: 'generators', title: 'Generators', file: '3-generators.js', examples: generators },
+  { id: 'async-await', title: 'Async Functions', file: '4-async-await.js', examples: asyncAwait },
+  { id: 'async-iterators', title: 'Async Iterators and Generators', file: '5-async-iterators.js', examples: asyncIterators }
+];
+
+const byId = new Map();
+chapters.forEach(chapter => chapter.examples.forEach(example => {
+  if (byId.has(example.id)) {
+    throw new Error(`Duplicate example id ${example.id}`);
+  }
+  byId.set(example.id, Object.assign({ chapter: chapter.id }, example));
+}));
+
+/**
+ * All examples in tutorial order, optionally only those of one chapter.
+ */
+export function listExamples(chapterId) {
+  return Array.from(byId.values())
+    .filter(example => chapterId === undefined || example.chapter === chapterId)
+    .map(({ id, title, chapter }) => ({ id, title, chapter }));
+}
+
+/**
+ * The example with the given id, or undefined.
+ */
+export function getExample(id) {
+  return byId.get(id);
+}
+
+/**
+ * Runs the example with the given id against a fresh fixture server. Resolves once the example is done.
+ */
+export async function runExample(id) {
+  const example = getExample(id);
+  if (!example) {
+    throw new Error(`Unknown example ${id}. Use listExamples() to see the available ids.`);
+  }
+
+  const stubs = {};
+  const close = await fixtures.install(stubs);
+  // A rejection the example leaves unhandled on purpose shouldn't take the whole process down.
+  const onUnhandled = reason => console.log('Unhandled rejection: ' + (reason instanceof Error ? reason.message : reason));
+  process.on('unhandledRejection', onUnhandled);
+  try {
+    return await example.run(stubs);
+  } finally {
+    process.removeListener('unhandledRejection', onUnhandled);
+    await close();
+  }
+}
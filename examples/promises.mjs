@@ -0,0 +1,380 @@
+/**
+ * Promise examples
+ *
+ * The sections of 2-promises.js as self-contained examples. run() resolves once everything the example
+ * started has settled, so examples can be run one after the other without their output getting mixed up.
+ */
+
+import { promisify, promisifyAll, callbackify } from '../lib/promisify.js';
+import { mapLimit } from '../lib/pool.js';
+import { withTimeout, TimeoutError } from '../lib/timeout.js';
+import { createRejectionTracker } from '../lib/rejection-tracker.js';
+import { memoizeAsync } from '../lib/memoize.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export const promisesExamples = {
+  id: 'promises/examples',
+  title: 'Promises examples',
+  run({ fetch }) {
+    var p = fetch('foo'); // Fetch API is a simplification of XMLHttpRequest
+    p.then(res => {
+      console.log('handle response', res.status);
+    });
+    p.catch(error => {
+      console.log('handle error', error);
+    });
+    return p;
+  }
+};
+
+export const thenRejectionHandler = {
+  id: 'promises/then-rejection-handler',
+  title: '.then can register a reaction to rejections as its second argument',
+  run({ fetch }) {
+    return fetch('foo').then(
+      res => {
+        console.log('handle response', res.status);
+      },
+      err => {
+        console.log('handle error', err);
+      }
+    );
+  }
+};
+
+export const newPromiseEveryTime = {
+  id: 'promises/new-promise-every-time',
+  title: '.then and .catch return a new promise every time',
+  run({ fetch }) {
+    // here both callbacks are chained onto `fetch('foo')`
+    const a = fetch('foo').then(res => {
+    }, error => {
+    });
+
+    // even though semantics are different, this one is also the same
+    var p2 = fetch('foo');
+    p2.then(res => {
+    });
+    p2.catch(error => {
+    });
+
+    // here, though `.catch` is chained onto `.then` and not onto the original promise
+    const b = fetch('foo')
+      .then(res => {
+      })
+      .catch(error => {
+      });
+
+    return Promise.all([a, p2, b]).then(() => console.log('every branch settled'));
+  }
+};
+
+export const promiseCatch = {
+  id: 'promises/catch',
+  title: 'PROMISE catch()',
+  run({ fetch }) {
+    // What if an error happens in one of the reactions passed to .then? You can catch those with .catch.
+    const a = fetch('foo')
+      .then(res => res.a.prop.that.does.not.exist)
+      .catch(err => console.error(err.message));
+    // <- "Cannot read properties of undefined (reading 'prop')"
+
+    // Note that where you tack your reactions onto matters. The following example won’t print the err.message twice – only once.
+    const b = fetch('foo')
+      .then(res => res.a.prop.that.does.not.exist)
+      .catch(err => console.error(err.message))
+      .catch(err => console.error(err.message));
+    // <- "Cannot read properties of undefined (reading 'prop')"
+
+    // In contrast, this one prints the err.message twice: both .catch branch off of p.
+    var p = fetch('foo').then(res => res.a.prop.that.does.not.exist);
+    const c = p.catch(err => console.error(err.message));
+    const d = p.catch(err => console.error(err.message));
+    // <- "Cannot read properties of undefined (reading 'prop')"
+    // <- "Cannot read properties of undefined (reading 'prop')"
+
+    // The second catch is triggered this time because it’s bound to the rejection branch on the first .catch.
+    const e = fetch('foo')
+      .then(res => res.a.prop.that.does.not.exist)
+      .catch(err => {
+        throw new Error(err.message);
+      })
+      .catch(err => console.error(err.message));
+    // <- "Cannot read properties of undefined (reading 'prop')"
+
+    // If the first .catch call didn’t return anything, then nothing would be printed.
+    const f = fetch('foo')
+      .then(res => res.a.prop.that.does.not.exist)
+      .catch(err => {
+      })
+      .catch(err => console.error(err.message));
+    // nothing happens
+
+    return Promise.all([a, b, c, d, e, f]);
+  }
+};
+
+export const chainedReferences = {
+  id: 'promises/chained-references',
+  title: 'CHAINED REFERENCES',
+  run({ fetch }) {
+    const tracker = createRejectionTracker({ captureStacks: false }).start();
+
+    // You can save a reference to any point in the promise chain.
+    var p1 = fetch('foo');
+    var p2 = p1.then(res => res.a.prop.that.does.not.exist);
+    var p3 = p2.catch(err => {
+    });
+    var p4 = p3.catch(err => console.error(err.message));
+
+    var p5 = p1.then(res => res.a.prop.that.does.not.exist); // nobody handles this branch
+    return p4
+      .then(() => delay(0))
+      .then(() => {
+        console.log(tracker.report().unhandled.map(entry => entry.reason.message));
+        // <- [ "Cannot read properties of undefined (reading 'prop')" ]
+        tracker.stop();
+      });
+  }
+};
+
+export const creatingPromises = {
+  id: 'promises/creating-promises',
+  title: 'CREATING NEW PROMISES',
+  run() {
+    new Promise(resolve => resolve()); // promise is fulfilled
+    new Promise((resolve, reject) => reject()).catch(() => {}); // promise is rejected
+
+    const a = new Promise(resolve => resolve({ foo: 'bar' }))
+      .then(result => console.log(result));
+    // <- { foo: 'bar' }
+
+    const b = new Promise((resolve, reject) =>
+      reject(new Error('failed to deliver on my promise to you')))
+      .catch(reason => console.log(reason.toString()));
+    // <- Error: failed to deliver on my promise to you
+
+    return Promise.all([a, b]);
+  }
+};
+
+export const settleOnce = {
+  id: 'promises/settle-once',
+  title: 'Only the first call made to either resolve/reject has an impact',
+  run() {
+    function resolveUnderThreeSeconds(delay) {
+      return withTimeout(signal => new Promise(function (resolve) {
+        const timer = setTimeout(resolve, delay);
+        signal.addEventListener('abort', () => clearTimeout(timer), { once: true });
+      }), 3000);
+    }
+    const a = resolveUnderThreeSeconds(2000) // resolves!
+      .then(() => console.log('resolved after 2 seconds'));
+    const b = resolveUnderThreeSeconds(7000) // fulfillment took so long, it was rejected.
+      .catch(error => console.log(error instanceof TimeoutError, error.message));
+    // <- resolved after 2 seconds
+    // <- true 'Operation timed out after 3000 ms'
+    return Promise.all([a, b]);
+  }
+};
+
+export const resolveWithPromise = {
+  id: 'promises/resolve-with-promise',
+  title: 'Resolving with another promise',
+  run() {
+    // p is rejected in three seconds. p2 is resolved with p after one second, and so it follows p.
+    var p = new Promise(function (resolve, reject) {
+      setTimeout(() => reject(new Error('fail')), 3000);
+    });
+    var p2 = new Promise(function (resolve, reject) {
+      setTimeout(() => resolve(p), 1000);
+    });
+    p.catch(() => {});
+    p2.then(result => console.log(result), () => {});
+    return p2.catch(error => console.log(error.toString()));
+    // <- Error: fail
+  }
+};
+
+export const settlingAPromise = {
+  id: 'promises/settling',
+  title: 'SETTLING A PROMISE',
+  run() {
+    var p = new Promise(function (resolve, reject) {
+      setTimeout(() => resolve(100), 2000);
+    });
+    p.then(result => console.log(result));
+    // <- 100
+
+    // Two seconds later the new branch gets executed right away, since p has already fulfilled.
+    return new Promise(resolve => {
+      setTimeout(() => resolve(p.then(result => console.log(result * 20))), 4000);
+    });
+    // <- 2000
+  }
+};
+
+export const payingWithAPromise = {
+  id: 'promises/paying-with-a-promise',
+  title: 'Paying a Promise with another Promise',
+  run() {
+    var p = Promise.resolve()
+      .then(data => new Promise(function (resolve, reject) {
+        setTimeout(Math.random() > 0.5 ? resolve : reject, 1000);
+      }));
+
+    const okay = p.then(data => console.log('okay!'), () => {});
+    const boo = p.catch(data => console.log('boo!'));
+    return Promise.all([okay, boo]);
+  }
+};
+
+export const transformingValues = {
+  id: 'promises/transforming-values',
+  title: 'Transforming values in Promises',
+  run() {
+    const a = Promise.resolve([1, 2, 3])
+      .then(values => values.map(value => value * 2))
+      .then(values => console.log(values));
+    // <- [2, 4, 6]
+
+    // A .catch branch that goes smoothly is fulfilled with the returned value; one that throws masks the original error.
+    const b = Promise.reject(new Error('Database ds.214.53.4.12 connection timeout!'))
+      .catch(error => {
+        throw new Error('Internal Server Error');
+      })
+      .catch(error => console.info(error.toString()));
+    // <- Error: Internal Server Error
+
+    return Promise.all([a, b]);
+  }
+};
+
+export const promiseAll = {
+  id: 'promises/all',
+  title: 'Promise.all()',
+  run({ fetch }) {
+    const a = Promise.all([
+      fetch('/'),
+      fetch('foo')
+    ])
+      .then(responses => responses.map(response => response.statusText))
+      .then(status => console.log(status.join(', ')));
+    // <- 'OK, Not Found'
+
+    // Note that even if a single dependency is rejected, the Promise.all method will be rejected entirely as well.
+    const b = Promise.all([
+      Promise.reject(),
+      fetch('/'),
+      fetch('foo')
+    ])
+      .then(responses => responses.map(response => response.statusText))
+      .then(status => console.log(status.join(', ')))
+      .catch(() => {});
+    // nothing happens
+
+    // mapLimit keeps at most 2 requests in flight and still resolves with the results in input order.
+    const c = mapLimit(['/', 'foo', 'bar', 'baz'], 2, url => fetch(url))
+      .then(responses => responses.map(response => response.statusText))
+      .then(status => console.log(status.join(', ')));
+    // <- 'OK, Not Found, Not Found, Not Found'
+
+    return Promise.all([a, b, c]);
+  }
+};
+
+export const sharingOneRequest = {
+  id: 'promises/sharing-one-request',
+  title: 'Sharing one request',
+  run({ fetch }) {
+    const getStatus = memoizeAsync(url => {
+      console.log('fetching ' + url);
+      return fetch(url).then(response => response.statusText);
+    }, { ttl: 60000, maxSize: 100 });
+
+    return Promise.all([getStatus('/'), getStatus('/'), getStatus('foo')])
+      .then(statuses => console.log(statuses.join(', ')));
+    // <- fetching /
+    // <- fetching foo
+    // <- 'OK, OK, Not Found'
+  }
+};
+
+export const promiseRace = {
+  id: 'promises/race',
+  title: 'Promise.race()',
+  run({ fetch }) {
+    const a = Promise.race([
+      fetch('/'),
+      fetch('foo')
+    ])
+      .then(response => console.log(response.statusText));
+    // <- 'OK', or maybe 'Not Found'.
+
+    // Rejections will also finish the race. withTimeout does the same, but clears its timer and aborts the losing fetch.
+    var p = withTimeout(signal => fetch('/resource-that-may-take-a-while', { signal }), 5000, { message: 'request timeout' });
+    const b = p.then(response => console.log(response), error => console.log(error.toString()));
+    // <- TimeoutError: request timeout
+
+    return Promise.all([a, b]);
+  }
+};
+
+export const callbackApis = {
+  id: 'promises/callback-apis',
+  title: 'Using Promises with callback interfaces',
+  run({ db, request }) {
+    function saveToTheDb(value) {
+      return new Promise(function (resolve, reject) {
+        db.values.insert(value, function (err, user) { // remember error first
+          if (err) {
+            return reject(err);
+          }
+          resolve(user);
+        });
+      });
+    }
+
+    // lib/promisify.js does the same wrapping for any error first callback API.
+    promisifyAll(db.values);
+    const a = db.values.insertAsync({ name: 'Jerry' })
+      .then(user => console.log(user));
+    // <- { _id: 1, name: 'Jerry' }
+
+    const requestAsync = promisify(request, { multiArgs: true });
+    const b = requestAsync({ uri: 'http://example.com/upload', method: 'POST', body: 'Jerry' })
+      .then(([response, body]) => console.log(response.statusCode, body));
+    // <- 200 Uploaded: Jerry
+
+    const c = a.then(() => new Promise(resolve => {
+      callbackify(saveToTheDb)({ name: 'Elaine' }, function (err, user) {
+        if (err) console.error(err);
+        else console.log(user);
+        resolve();
+      });
+    }));
+    // <- { _id: 2, name: 'Elaine' }
+
+    return Promise.all([a, b, c]);
+  }
+};
+
+// In tutorial order
+export default [
+  promisesExamples,
+  thenRejectionHandler,
+  newPromiseEveryTime,
+  promiseCatch,
+  chainedReferences,
+  creatingPromises,
+  settleOnce,
+  resolveWithPromise,
+  settlingAPromise,
+  payingWithAPromise,
+  transformingValues,
+  promiseAll,
+  sharingOneRequest,
+  promiseRace,
+  callbackApis
+];
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * Doc tests
+ *
+ * The examples say what they print right next to the code. This script runs every section
+ * (see fixtures/sections.js) and checks that it really prints that.
+ *
+ * Annotations it understands:
+ * * `// <- value` lines after a statement: console output of the statement
+ * * `// OUTPUT:` (or `// Output:`) followed by `//` lines: console output, and the value of the statement
+ *   just above when it has one, the way a REPL shows it
+ * * `//` lines directly after a single line statement, e.g. `// { value: 'yes', done: true }` after
+ *   `genFunc().return('yes');`: the same as OUTPUT, without the header
+ * * a comment at the end of a console.log line: what that line prints, e.g. `console.log(gen.next().value); // 1`
+ *   (a list like `// 1. Mike, 2. Stacy` stands for consecutive lines). It is only compared with the output of that
+ *   very line, and if the line never runs - `console.log(result); // cool, we have a result` in a function
+ *   the section doesn't call - the comment is prose and ignored.
+ * * `// SyntaxError`: the section is not supposed to compile
+ * * `// TypeError: message` (any `...Error`, with or without message) on its own line: the statement above throws
+ *
+ * Comment lines in a block of `// <-` lines that don't start with `<-` themselves are prose too, e.g. a
+ * `// Note that ...` between a statement and its output.
+ *
+ * Some annotations describe what older engines did, like the TypeError Firefox used to throw for
+ * `g().next('hello')`. They stay in the text as written and are listed in EXPECTED_FAILURES: they are checked
+ * as expected failures, reported but not counted, and the run only fails if one of them starts to match.
+ *
+ * Output is compared ignoring whitespace and quote style, so `[2, 4, 6]` matches `[ 2, 4, 6 ]` and
+ * `'OK, Not Found'` matches `OK, Not Found`. `<- 'OK', or maybe 'Not Found'` accepts either value.
+ * Expectations have to show up in order, other output in between is fine.
+ *
+ * Usage:
+ *   node fixtures/doctest.js                  # all the tutorial files
+ *   node fixtures/doctest.js 3-generators.js  # one file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitSections, runSection } = require('./sections');
+
+const ROOT = path.join(__dirname, '..');
+const FILES = ['1-callback.js', '2-promises.js', '3-generators.js', '4-async-await.js', '5-async-iterators.js'];
+
+const ERROR = /^(\w*Error)(?::\s*(.*))?$/;
+const OUTPUT_HEADER = /^OUTPUT:$/i;
+// Comments that mark a position in the code rather than output, like `// (A)`
+const MARKER = /^\([A-Z]\)$/;
+
+// Annotations (by file and text) that no longer hold on current engines, see above.
+const EXPECTED_FAILURES = [
+  { file: '3-generators.js', text: "TypeError: attempt to send 'hello' to newborn generator" }
+];
+
+/**
+ * Finds the annotations of a section.
+ * Returns { syntaxError, expectations: [{ line, kind: 'output' | 'error', text | name, message, inline }],
+ * show: [line numbers] }. `inline` expectations are about the output of their own line only.
+ */
+function parseAnnotations(section) {
+  const lines = section.code.split('\n');
+  const expectations = [];
+  const show = [];
+  let syntaxError = false;
+
+  // `<- Error: fail` is output (a logged error), the other forms can also expect an exception.
+  const add = (line, text, isOutput = false, inline = false) => {
+    const error = !isOutput && ERROR.exec(text);
+    if (error && error[1] === 'SyntaxError') {
+      syntaxError = true;
+    } else if (error) {
+      expectations.push({ line, kind: 'error', name: error[1], message: error[2] || '' });
+    } else if (text && text !== 'nothing happens' && !MARKER.test(text)) {
+      expectations.push({ line, kind: 'output', text, inline });
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const lineNumber = section.line + i;
+    const inline = /^(.*\S)\s*\/\/\s*(.+)$/.exec(line);
+
+    if (inline && !isComment(inline[1])) {
+      if (ERROR.test(clean(inline[2]))) {
+        add(lineNumber, clean(inline[2]));
+      } else if (/\bconsole\.\w+\(/.test(inline[1])) {
+        add(lineNumber, clean(inline[2]), false, true);
+      }
+      continue;
+    }
+    if (!/^\/\//.test(line) || i === 0) continue;
+
+    const previous = lines[i - 1];
+    const first = clean(line.slice(2));
+    const isArrow = first.startsWith('<-');
+    const isHeader = OUTPUT_HEADER.test(first);
+    const followsStatement = /;\s*$/.test(previous) && !/^\s/.test(previous) && !isComment(previous);
+    if (!isArrow && !isHeader && !followsStatement) continue;
+    // Prose in front of `<-` lines; they are picked up on their own.
+    if (!isArrow && !isHeader && arrowsFollow(lines, i)) continue;
+
+    // A REPL style block: the statement above gets its value printed too.
+    if (!isArrow && followsStatement) show.push(lineNumber - 1);
+
+    let j = isHeader ? i + 1 : i;
+    for (; j < lines.length && /^\/\//.test(lines[j]); j++) {
+      const text = clean(lines[j].slice(2));
+      if (isArrow && !text.startsWith('<-')) break;
+      add(section.line + j, isArrow ? clean(text.slice(2)) : text, isArrow);
+    }
+    i = j - 1;
+  }
+
+  return { syntaxError, expectations, show };
+}
+
+// Whether the block of `//` lines that `lines[i]` is part of goes on with `<-` lines.
+function arrowsFollow(lines, i) {
+  for (let j = i + 1; j < lines.length && /^\/\//.test(lines[j]); j++) {
+    if (clean(lines[j].slice(2)).startsWith('<-')) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks the result of running a section (with tagged lines, see runSection()) against its annotations.
+ * Returns a list of problems (empty when it passed). Expectations marked `expectedFailure` are left out of it:
+ * the ones that failed as expected are listed in `problems.expectedFailures` instead, and one that matched is a
+ * problem.
+ */
+function check(annotations, { stdout, stderr, code }) {
+  const problems = [];
+  problems.expectedFailures = [];
+  const failedToCompile = /^SyntaxError:/m.test(stderr);
+
+  if (annotations.syntaxError) {
+    if (!failedToCompile) problems.push('expected a SyntaxError, but the section compiled');
+    return problems;
+  }
+  if (failedToCompile) {
+    return [`unexpected ${firstLine(stderr)}`];
+  }
+
+  const output = stdout.split('\n')
+    .map(line => {
+      const tab = line.indexOf('\t');
+      return { line: Number(line.slice(0, tab)), text: line.slice(tab + 1) };
+    })
+    .filter(({ text }) => text && !/^\s+at /.test(text))
+    .map(({ line, text }) => ({ line, text: normalize(text) }));
+  let position = 0;
+
+  annotations.expectations.forEach(expectation => {
+    let problem = null;
+    if (expectation.kind === 'error') {
+      const wanted = expectation.name + (expectation.message ? ': ' + expectation.message : '');
+      if (!stderr.includes(wanted)) {
+        problem = `line ${expectation.line}: expected ${wanted} to be thrown`;
+      }
+    } else if (expectation.inline && !output.some(({ line }) => line === expectation.line)) {
+      // The line never ran, so the comment is prose
+      return;
+    } else {
+      const found = findOutput(output, position, expectation.text, expectation.inline ? expectation.line : null);
+      if (found === -1) {
+        problem = `line ${expectation.line}: expected output ${expectation.text}`;
+      } else {
+        position = found;
+      }
+    }
+    if (!expectation.expectedFailure) {
+      if (problem) problems.push(problem);
+    } else if (problem) {
+      problems.expectedFailures.push(problem);
+    } else {
+      problems.push(`line ${expectation.line}: matches now, take it off EXPECTED_FAILURES`);
+    }
+  });
+
+  const expectsError = annotations.expectations.some(expectation => expectation.kind === 'error' && !expectation.expectedFailure);
+  if (code !== 0 && !expectsError) {
+    problems.push(`exited with code ${code}: ${firstLine(stderr)}`);
+  }
+  return problems;
+}
+
+// Looks for `expected` from `start` on, in the output of `fromLine` only if it's given. Returns the position after
+// the match, or -1.
+function findOutput(output, start, expected, fromLine = null) {
+  const alternatives = expected.split(/,?\s+or maybe\s+|,?\s+or\s+/).map(normalize);
+  // "1. Mike, 2. Stacy, 3. Andy" can stand for several lines of output
+  const maxLines = expected.split(',').length;
+
+  for (let i = start; i < output.length; i++) {
+    if (fromLine !== null && output[i].line !== fromLine) continue;
+    for (let count = 1; count <= maxLines && i + count <= output.length; count++) {
+      const lines = output.slice(i, i + count);
+      if (fromLine !== null && lines.some(({ line }) => line !== fromLine)) break;
+      const actual = lines.map(({ text }) => text).join(',');
+      if (alternatives.includes(actual)) {
+        return i + count;
+      }
+    }
+  }
+  return -1;
+}
+
+function normalize(text) {
+  return text.replace(/[\s'"`\u200b]/g, '').replace(/\.$/, '');
+}
+
+function clean(text) {
+  return text.replace(/\u200b/g, '').trim();
+}
+
+function isComment(text) {
+  return /^\s*(\/\/|\/\*|\*)/.test(text);
+}
+
+function firstLine(text) {
+  return text.trim().split('\n')[0];
+}
+
+/**
+ * Runs the doc tests of `file`. Resolves with the number of failed sections.
+ */
+function testFile(file) {
+  const sections = splitSections(fs.readFileSync(file, 'utf8'));
+  const expectedFailures = EXPECTED_FAILURES.filter(failure => failure.file === path.basename(file));
+  let failures = 0;
+
+  return sections.reduce((previous, section) => previous.then(() => {
+    const annotations = parseAnnotations(section);
+    if (!annotations.syntaxError && annotations.expectations.length === 0) {
+      return;
+    }
+    annotations.expectations.forEach(expectation => {
+      const text = expectation.kind === 'error'
+        ? expectation.name + (expectation.message ? ': ' + expectation.message : '')
+        : expectation.text;
+      expectation.expectedFailure = expectedFailures.some(failure => failure.text === text);
+    });
+    return runSection(file, section.index, { show: annotations.show, tagLines: true }).then(result => {
+      const problems = check(annotations, result);
+      const label = `${path.basename(file)}:${section.line} ${section.title}`;
+      problems.expectedFailures.forEach(problem => console.log(`  xfail ${label}\n          ${problem}`));
+      if (problems.length === 0) {
+        if (problems.expectedFailures.length === 0) console.log(`  ok    ${label}`);
+        return;
+      }
+      failures++;
+      console.log(`  FAIL  ${label}`);
+      problems.forEach(problem => console.log(`          ${problem}`));
+    });
+  }), Promise.resolve()).then(() => failures);
+}
+
+function main(args) {
+  const files = (args.length ? args : FILES).map(file => path.resolve(ROOT, file));
+  let failures = 0;
+
+  return files.reduce((previous, file) => previous.then(() => {
+    console.log(path.basename(file));
+    return testFile(file).then(count => {
+      failures += count;
+    });
+  }), Promise.resolve()).then(() => {
+    console.log(failures ? `\n${failures} section(s) failed` : '\nAll annotations match');
+    process.exitCode = failures ? 1 : 0;
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseAnnotations,
+  check,
+  testFile
+};
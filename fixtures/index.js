@@ -0,0 +1,162 @@
+/**
+ * Fixtures
+ *
+ * Local stand-ins for everything the examples use but never define: fetch, request, db, $, document,
+ * getFile, makeAjaxCall, asynchronousOperation and friends. fetch and request talk to the in-process
+ * fixture server (fixtures/server.js), so the examples make real HTTP requests with predictable answers.
+ *
+ * Usage:
+ *   const fixtures = require('./fixtures');
+ *   fixtures.install().then(() => { ...run an example... });
+ */
+
+const { startServer, toLocalUrl } = require('./server');
+
+const nativeFetch = globalThis.fetch;
+
+/**
+ * Starts the fixture server and defines the stand-ins as globals on `target`.
+ * Resolves with a function that stops the server again.
+ */
+function install(target = globalThis) {
+  return startServer().then(server => {
+    Object.assign(target, createFixtures(server.url));
+    return server.close;
+  });
+}
+
+/**
+ * The stand-ins, bound to the fixture server at `serverUrl`.
+ */
+function createFixtures(serverUrl) {
+  // Fetch API, with every url sent to the fixture server
+  function fetch(url, options) {
+    return nativeFetch(toLocalUrl(String(url), serverUrl), options);
+  }
+
+  // The request library: request({ uri, body, method }, function (err, response, body) { ... })
+  function request(options, callback) {
+    const { uri, url, method = 'GET', body } = typeof options === 'string' ? { uri: options } : options;
+    fetch(uri || url, { method, body: method === 'GET' ? undefined : body })
+      .then(res => res.text().then(text => ({
+        statusCode: res.status,
+        statusMessage: res.statusText,
+        headers: Object.fromEntries(res.headers),
+        body: text
+      })))
+      // The callback runs outside of the promise chain, like it would with the real library.
+      .then(response => setTimeout(callback, 0, null, response, response.body),
+        err => setTimeout(callback, 0, err));
+  }
+
+  // Reads a file over HTTP and resolves with its text
+  function getFile(url) {
+    return fetch(url).then(res => res.text());
+  }
+
+  // makeAjaxCall(url, cb) calls `cb(result)` with the response text when complete
+  function makeAjaxCall(url, cb) {
+    request(url, (err, response, body) => cb(err ? null : body));
+  }
+
+  return {
+    fetch,
+    request,
+    getFile,
+    makeAjaxCall,
+    db: createDb(),
+    $: createJQuery(),
+    document: createDocument(),
+    alert: message => console.log(message),
+
+    // Callback hell in 1-callback.js: getData(cb) and getMoreData(value, cb) pass on numbers
+    getData: cb => setTimeout(cb, 10, 1),
+    getMoreData: (value, cb) => setTimeout(cb, 10, value + 1),
+
+    // 3-generators.js and 4-async-await.js
+    asyncQueryFn: city => delay(10, { city, temperature: city.length * 3 }),
+    asynchronousOperation: (val = 0) => delay(10, val + 1),
+    somethingThatReturnsAPromise: () => delay(10, 'cool'),
+    somethingIsBad: false
+  };
+}
+
+function delay(ms, value) {
+  return new Promise(resolve => setTimeout(resolve, ms, value));
+}
+
+// A db client with error first callbacks, like the one saveToTheDb() wraps in 2-promises.js
+function createDb() {
+  function collection() {
+    const rows = [];
+    return {
+      insert(value, cb) {
+        const row = Object.assign({ _id: rows.length + 1 }, value);
+        rows.push(row);
+        setTimeout(cb, 5, null, row);
+      },
+      find(query, cb) {
+        const keys = Object.keys(query);
+        setTimeout(cb, 5, null, rows.filter(row => keys.every(key => row[key] === query[key])));
+      }
+    };
+  }
+  return { values: collection() };
+}
+
+// Just enough jQuery for $("#btn_1").click(handler): click() without a handler triggers the handlers.
+function createJQuery() {
+  const handlers = {};
+  return function $(selector) {
+    const list = handlers[selector] || (handlers[selector] = []);
+    return {
+      click(handler) {
+        if (handler) {
+          list.push(handler);
+        } else {
+          list.forEach(fn => fn.call(this, { type: 'click', target: selector }));
+        }
+        return this;
+      }
+    };
+  };
+}
+
+// Just enough DOM for the upload form in 1-callback.js: a form (with submit() and reset()), an input and a
+// status field. The form's events go to its on<type> handler and to its addEventListener() listeners.
+function createDocument() {
+  const listeners = { submit: [], reset: [] };
+  const elements = {
+    form: {
+      onsubmit: null,
+      onreset: null,
+      addEventListener(type, listener) {
+        listeners[type].push(listener);
+      },
+      removeEventListener(type, listener) {
+        listeners[type] = listeners[type].filter(other => other !== listener);
+      },
+      submit() {
+        this._dispatch('submit');
+      },
+      reset() {
+        this._dispatch('reset');
+      },
+      _dispatch(type) {
+        const event = { type, target: this, preventDefault() {} };
+        if (this['on' + type]) this['on' + type](event);
+        listeners[type].slice().forEach(listener => listener.call(this, event));
+      }
+    },
+    input: { value: 'Jerry' },
+    '.status': { value: '' }
+  };
+  return {
+    querySelector: selector => elements[selector] || null
+  };
+}
+
+module.exports = {
+  install,
+  createFixtures
+};
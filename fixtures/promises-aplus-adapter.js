@@ -0,0 +1,24 @@
+/**
+ * Promises/A+ adapter
+ *
+ * The Promises/A+ compliance suite (https://github.com/promises-aplus/promises-tests) runs its 872 tests against
+ * any implementation through this small interface. This one plugs in lib/my-promise.js:
+ *
+ *   npm run test:aplus
+ */
+
+const MyPromise = require('../lib/my-promise');
+
+module.exports = {
+  resolved: value => MyPromise.resolve(value),
+  rejected: reason => MyPromise.reject(reason),
+  deferred() {
+    let resolve;
+    let reject;
+    const promise = new MyPromise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+};
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Runs the examples of a tutorial file, one section at a time, with the fixtures installed.
+ *
+ * Usage:
+ *   node fixtures/run.js 2-promises.js            # every section of the file
+ *   node fixtures/run.js 2-promises.js race       # only the sections whose title contains "race"
+ *   node fixtures/run.js 2-promises.js 12         # only section number 12
+ *
+ * Each section runs in its own process (see fixtures/sections.js). Math.random is seeded, so examples like
+ * "Paying a Promise with another Promise" print the same thing every time.
+ */
+
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+const { createRequire } = require('module');
+const fixtures = require('./index');
+const { readSections, runSection, showStatementValues } = require('./sections');
+
+// A small linear congruential generator, so that "random" examples are reproducible.
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// The line of `file` that made the console call this is called from, or 0 if it didn't come from there.
+function callerLine(file) {
+  const frame = new Error().stack.split('\n').find(line => line.includes(file + ':'));
+  const match = frame && new RegExp(`${escapeRegExp(file)}:(\\d+):\\d+`).exec(frame);
+  return match ? Number(match[1]) : 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Runs inside the child process: installs the fixtures and evaluates one section as a script.
+// With `tagLines`, every line of output starts with the number of the source line that logged it and a tab.
+function runInThisProcess(file, index, { show = [], tagLines = false } = {}) {
+  const section = readSections(file)[index];
+  if (!section) {
+    process.stderr.write(`${file} has no section ${index}\n`);
+    process.exit(2);
+  }
+
+  Math.random = seededRandom(1);
+  // Everything the example logs goes to stdout, in order. stderr is for problems with the example itself.
+  if (tagLines) {
+    console.log = (...args) => {
+      const line = callerLine(file);
+      process.stdout.write(util.format(...args).split('\n').map(text => `${line}\t${text}`).join('\n') + '\n');
+    };
+  }
+  console.error = console.warn = console.info = console.log;
+  // An unhandled rejection shouldn't crash the example - in a browser it's only a console warning.
+  process.on('unhandledRejection', reason => {
+    process.stderr.write('Unhandled rejection: ' + (reason instanceof Error ? reason.message : String(reason)) + '\n');
+  });
+
+  return fixtures.install().then(() => {
+    const moduleExports = {};
+    const localRequire = createRequire(file);
+    global.module = { exports: moduleExports };
+    global.exports = moduleExports;
+    global.__filename = file;
+    global.__dirname = path.dirname(file);
+    // `require('formuploader')` in 1-callback.js loads the module the same section just defined.
+    global.require = id => id === 'formuploader' ? global.module.exports : localRequire(id);
+    global.__show = value => console.log(util.inspect(value));
+
+    try {
+      new vm.Script(section.prelude + '\n' + showStatementValues(section, show), {
+        filename: file,
+        lineOffset: section.line - 2
+      }).runInThisContext();
+    } catch (err) {
+      process.stderr.write(`${err.name}: ${err.message}\n`);
+      process.exitCode = 1;
+    }
+  });
+}
+
+function main(args) {
+  if (args[0] === '--section') {
+    const showAt = args.indexOf('--show');
+    return runInThisProcess(args[1], Number(args[2]), {
+      show: showAt === -1 ? [] : args[showAt + 1].split(',').map(Number),
+      tagLines: args.includes('--tag-lines')
+    });
+  }
+
+  const [file, filter] = args;
+  if (!file) {
+    console.error('Usage: node fixtures/run.js <file> [section number or title]');
+    process.exit(2);
+  }
+  const sections = readSections(file).filter(section => filter === undefined ||
+    String(section.index) === filter ||
+    section.title.toLowerCase().includes(filter.toLowerCase()));
+
+  return sections.reduce((previous, section) => previous.then(() => {
+    console.log(`\n=== ${path.basename(file)}:${section.line} ${section.title} ===`);
+    return runSection(file, section.index).then(({ stdout, stderr }) => {
+      process.stdout.write(stdout);
+      process.stderr.write(stderr);
+    });
+  }), Promise.resolve());
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
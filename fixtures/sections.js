@@ -0,0 +1,140 @@
+/**
+ * Example sections
+ *
+ * The tutorial files are a sequence of sections, each one starting with a top level block comment:
+ *
+ *   /**
+ *    * Promise.race()
+ *    * ...
+ *    *\/
+ *
+ * The files can't run as a whole: names like `genFunc` and `genObj1` are declared over and over, and some
+ * sections are SyntaxErrors on purpose. Each section on its own is a complete example though.
+ * splitSections() cuts a file into those sections, and runSection() runs one of them in a fresh node
+ * process with the fixtures installed, so that examples never see each other's variables or timers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const RUNNER = path.join(__dirname, 'run.js');
+
+// Top level requires of the repo's own modules (`const co = require('./lib/co');`) are shared by all sections of a file.
+const LOCAL_REQUIRE = /^(?:const|let|var)\s+[^=]+=\s*require\((['"])\.\.?\/[^'"]+\1\);?\s*$/;
+
+/**
+ * Splits the source of a tutorial file into its sections.
+ * Returns [{ index, title, line, code, prelude }], where `line` is the 1-based line the section starts at and
+ * `prelude` holds the file's shared requires. Sections without any code are left out.
+ */
+function splitSections(source) {
+  const lines = source.split('\n');
+  const prelude = [];
+  const starts = [];
+
+  lines.forEach((line, i) => {
+    if (line.startsWith('/**')) starts.push(i);
+    if (LOCAL_REQUIRE.test(line)) prelude.push(line.trim());
+  });
+  if (starts[0] !== 0) starts.unshift(0);
+
+  return starts
+    .map((start, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1] : lines.length;
+      const body = lines.slice(start, end);
+      return {
+        title: titleOf(body),
+        line: start + 1,
+        // Shared requires are blanked out instead of removed, so line numbers in errors stay right.
+        code: body.map(line => LOCAL_REQUIRE.test(line) ? '' : line).join('\n'),
+        prelude: prelude.join(' ')
+      };
+    })
+    .filter(section => hasCode(section.code))
+    .map((section, index) => Object.assign({ index }, section));
+}
+
+/**
+ * Reads and splits a tutorial file.
+ */
+function readSections(file) {
+  return splitSections(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Runs section number `index` of `file` in a child process.
+ * Resolves with { stdout, stderr, code } once the example is done, i.e. once it has no timers or requests left.
+ *
+ * `show` lists line numbers of statements whose value should be printed too, the way a REPL would
+ * (see showStatementValues()). With `tagLines`, every line of stdout starts with the number of the line that
+ * logged it and a tab (0 when it wasn't logged by the section itself).
+ */
+function runSection(file, index, { timeout = 30000, show = [], tagLines = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const args = [RUNNER, '--section', path.resolve(file), String(index)];
+    if (show.length) args.push('--show', show.join(','));
+    if (tagLines) args.push('--tag-lines');
+    const child = spawn(process.execPath, args, {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill(), timeout);
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr, code });
+    });
+  });
+}
+
+/**
+ * Rewrites the statements on the given (1-based, file relative) lines of `section` so that their value gets printed:
+ * `genObj.next();` becomes `__show(genObj.next());` and `let arr = [...bar()];` gets a `__show(arr);` after it.
+ * Lines that aren't a single line statement are left alone.
+ */
+function showStatementValues(section, show) {
+  const lines = section.code.split('\n');
+  show.forEach(lineNumber => {
+    const i = lineNumber - section.line;
+    const line = lines[i];
+    if (line === undefined) return;
+    const declaration = /^\s*(?:let|var|const)\s+([\w$]+)\s*=.*;\s*(\/\/.*)?$/.exec(line);
+    const expression = /^(\s*)([^\s/].*?);\s*(\/\/.*)?$/.exec(line);
+    if (declaration) {
+      lines[i] = line.replace(/;\s*(\/\/.*)?$/, `; __show(${declaration[1]});`);
+    } else if (expression && !/^(?:return|throw|if|for|while|function|class|let|var|const)\b/.test(expression[2])) {
+      lines[i] = `${expression[1]}__show(${expression[2]});`;
+    }
+  });
+  return lines.join('\n');
+}
+
+function titleOf(lines) {
+  for (const line of lines) {
+    const text = line.replace(/^\s*(\/\*\*|\*\/|\*|\/\/)?\s*/, '').trim();
+    if (text) return text;
+  }
+  return '';
+}
+
+function hasCode(code) {
+  const withoutComments = code
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/^\s*\/\/.*$/gm, '');
+  return withoutComments.trim().length > 0;
+}
+
+module.exports = {
+  splitSections,
+  readSections,
+  runSection,
+  showStatementValues
+};
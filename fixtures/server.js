@@ -0,0 +1,125 @@
+/**
+ * Fixture server
+ *
+ * A tiny in-process HTTP server that answers every request the examples make:
+ * * /                                  - 200 OK
+ * * /croft.json, /bond.json            - the JSON files read in 3-generators.js
+ * * /resource-that-may-take-a-while    - answers after 6 seconds, to lose the race against a 5 second timeout
+ * * example.com/upload                 - echoes the uploaded body
+ * * api.forismatic.com/api/1.0/        - a quote, for createQuoteFetcher, or with method=getQuotes&page=N
+ *                                        a page of them, for the paginated fetch in 5-async-iterators.js
+ * * some.url.1, some.url.2             - the JSON strings makeAjaxCall() fetches in 3-generators.js
+ * * anything else                      - 404 Not Found
+ *
+ * Requests for other hosts are sent here with the host as the first path segment, see toLocalUrl().
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const SLOW_RESPONSE_DELAY = 6000;
+
+const quote = {
+  quoteText: 'Any fool can write code that a computer can understand. Good programmers write code that humans can understand.',
+  quoteAuthor: 'Martin Fowler'
+};
+
+const quotes = [
+  quote,
+  { quoteText: 'Simplicity is prerequisite for reliability.', quoteAuthor: 'Edsger W. Dijkstra' },
+  { quoteText: 'Make it work, make it right, make it fast.', quoteAuthor: 'Kent Beck' },
+  { quoteText: 'Premature optimization is the root of all evil.', quoteAuthor: 'Donald Knuth' },
+  { quoteText: 'Talk is cheap. Show me the code.', quoteAuthor: 'Linus Torvalds' }
+];
+const QUOTES_PER_PAGE = 2;
+
+const routes = {
+  '/': (req, res) => send(res, 200, 'OK'),
+  '/croft.json': (req, res) => sendFile(res, 'croft.json'),
+  '/bond.json': (req, res) => sendFile(res, 'bond.json'),
+  '/resource-that-may-take-a-while': (req, res) => {
+    const timer = setTimeout(() => send(res, 200, 'Finally!'), SLOW_RESPONSE_DELAY);
+    // Nobody is listening anymore once the client gave up on the request.
+    req.on('close', () => clearTimeout(timer));
+  },
+  '/example.com/upload': (req, res) => readBody(req, body => send(res, 200, 'Uploaded: ' + body)),
+  '/api.forismatic.com/api/1.0/': (req, res) => {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    if (params.get('method') !== 'getQuotes') {
+      return send(res, 200, JSON.stringify(quote), 'application/json');
+    }
+    // Pages start at 1. nextPage is null on the last one.
+    const page = Number(params.get('page')) || 1;
+    const start = (page - 1) * QUOTES_PER_PAGE;
+    const nextPage = start + QUOTES_PER_PAGE < quotes.length ? page + 1 : null;
+    send(res, 200, JSON.stringify({ quotes: quotes.slice(start, start + QUOTES_PER_PAGE), nextPage }), 'application/json');
+  },
+  '/some.url.1/': (req, res) => send(res, 200, JSON.stringify({ id: 42 }), 'application/json'),
+  '/some.url.2/': (req, res) => {
+    const id = new URL(req.url, 'http://localhost').searchParams.get('id');
+    send(res, 200, JSON.stringify({ value: 'the answer is ' + id }), 'application/json');
+  }
+};
+
+function send(res, status, body, contentType = 'text/plain') {
+  // Connection: close keeps sockets from holding the process open once the example is done.
+  res.writeHead(status, { 'Content-Type': contentType, 'Connection': 'close' });
+  res.end(body);
+}
+
+function sendFile(res, name) {
+  fs.readFile(path.join(__dirname, name), 'utf8', (err, contents) => {
+    if (err) return send(res, 500, err.message);
+    send(res, 200, contents, 'application/json');
+  });
+}
+
+function readBody(req, cb) {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => cb(body));
+}
+
+/**
+ * Starts the server on a free port. Resolves with { url, close }.
+ * The server doesn't keep the process alive on its own, so a script exits once its own work is done.
+ */
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const route = routes[pathname];
+      if (!route) return send(res, 404, 'Not Found');
+      route(req, res);
+    });
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      server.unref();
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+/**
+ * Maps any url the examples use onto the fixture server. Relative urls and localhost keep their path,
+ * other hosts become the first path segment: http://example.com/upload -> <server>/example.com/upload
+ */
+function toLocalUrl(url, serverUrl) {
+  // Parsed by hand, because the URL parser rejects made up hosts like some.url.1 (it takes them for IPv4 addresses).
+  const [, host = '', pathname = '', search = ''] = /^(?:[a-z]+:)?(?:\/\/([^/?#:]+)(?::\d+)?)?([^?#]*)(\?[^#]*)?/i.exec(url);
+  const isLocal = host === '' || host === 'localhost' || host === '127.0.0.1';
+  const localPath = (pathname.startsWith('/') ? '' : '/') + pathname;
+  return serverUrl + (isLocal ? '' : '/' + host) + localPath + search;
+}
+
+module.exports = {
+  startServer,
+  toLocalUrl
+};
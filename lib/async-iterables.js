@@ -0,0 +1,277 @@
+/**
+ * Async iterable helpers
+ *
+ * Array-like operations for async iterables - async generators, Node streams, paginated APIs - so that
+ * `for await...of` loops can be composed instead of nested:
+ *
+ *   const quotes = take(filter(fetchQuotes(), quote => quote.quoteAuthor !== ''), 3);
+ *   for await (const quote of quotes) console.log(quote.quoteText);
+ *
+ * Every helper is lazy: nothing is read from the source until somebody asks for the next value. Every helper
+ * also accepts sync iterables (arrays, generators), like `for await` itself.
+ *
+ * When a consumer stops early (break, return or throw in a `for await` loop, or take() having enough) the
+ * helpers call return() on their sources, so the `finally` blocks of source generators run and streams are
+ * closed.
+ *
+ * @Reference:
+ * https://exploringjs.com/es2018-es2019/ch_asynchronous-iteration.html
+ * https://nodejs.org/api/stream.html#streams-compatibility-with-async-generators-and-async-iterators
+ * https://github.com/tc39/proposal-async-iterator-helpers
+ */
+
+const { Readable } = require('stream');
+
+/**
+ * Yields `fn(value, index)` for every value of `source`. `fn` may be async.
+ */
+async function* map(source, fn) {
+  let index = 0;
+  for await (const value of source) {
+    yield await fn(value, index++);
+  }
+}
+
+/**
+ * Yields the values of `source` for which `predicate(value, index)` is truthy. `predicate` may be async.
+ */
+async function* filter(source, predicate) {
+  let index = 0;
+  for await (const value of source) {
+    if (await predicate(value, index++)) {
+      yield value;
+    }
+  }
+}
+
+/**
+ * Yields the first `count` values of `source`, then closes it.
+ */
+async function* take(source, count) {
+  if (count <= 0) {
+    return;
+  }
+  let taken = 0;
+  for await (const value of source) {
+    yield value;
+    if (++taken >= count) {
+      return;
+    }
+  }
+}
+
+/**
+ * Groups the values of `source` into arrays of `size`. The last array has whatever was left over.
+ */
+async function* buffer(source, size) {
+  if (!(size >= 1)) {
+    throw new RangeError('Expected size to be at least 1, got ' + size);
+  }
+  let batch = [];
+  for await (const value of source) {
+    batch.push(value);
+    if (batch.length === size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+/**
+ * Yields the values of all `sources` as they arrive, whichever source they come from. Ends once every source
+ * ended, and rejects (closing the other sources) as soon as one of them does.
+ *
+ * The other sources are in the middle of a next() by then. An async generator only gets to return() once that is
+ * done, which may be never, so merge() asks them to close without waiting for them.
+ */
+async function* merge(...sources) {
+  const iterators = sources.map(getIterator);
+  // One pending next() per source that hasn't ended yet
+  const pending = new Map();
+  const pull = iterator => {
+    const next = Promise.resolve(iterator.next()).then(result => ({ iterator, result }));
+    // Once merge() is done nobody waits for it, and a rejection then would go unhandled
+    next.catch(() => {});
+    pending.set(iterator, next);
+  };
+  iterators.forEach(pull);
+
+  try {
+    while (pending.size > 0) {
+      const { iterator, result } = await Promise.race(pending.values());
+      if (result.done) {
+        pending.delete(iterator);
+      } else {
+        pull(iterator);
+        yield result.value;
+      }
+    }
+  } finally {
+    closeAll(Array.from(pending.keys())).catch(() => {});
+  }
+}
+
+/**
+ * Yields arrays with one value from each of `sources`, in step, and ends as soon as one of them ends.
+ */
+async function* zip(...sources) {
+  const iterators = sources.map(getIterator);
+  let open = iterators;
+  try {
+    while (true) {
+      const results = await Promise.all(iterators.map(iterator => iterator.next()));
+      const ended = results.filter(result => result.done);
+      if (ended.length > 0) {
+        open = iterators.filter((iterator, i) => !results[i].done);
+        return;
+      }
+      yield results.map(result => result.value);
+    }
+  } finally {
+    await closeAll(open);
+  }
+}
+
+/**
+ * Turns the `eventName` events of an EventEmitter or EventTarget into an async iterable of their payloads.
+ *
+ * Events that arrive while nobody is waiting are queued, so none are lost between two iterations.
+ *
+ * Options:
+ * * endEvent - the event that ends the iteration, like 'end' or 'close'
+ * * errorEvent - the event that makes the iteration throw (default 'error')
+ * * signal - an AbortSignal; aborting ends the iteration
+ */
+function fromEvents(target, eventName, { endEvent, errorEvent = 'error', signal } = {}) {
+  const queue = [];
+  const waiting = [];
+  let finished = false;
+  let failure = null;
+
+  const isEventTarget = typeof target.addEventListener === 'function';
+  const listen = (name, listener) => isEventTarget ? target.addEventListener(name, listener) : target.on(name, listener);
+  const unlisten = (name, listener) => isEventTarget ? target.removeEventListener(name, listener) : target.removeListener(name, listener);
+
+  const onEvent = (...args) => {
+    const value = args.length > 1 ? args : args[0];
+    if (waiting.length > 0) {
+      waiting.shift().resolve({ value, done: false });
+    } else {
+      queue.push(value);
+    }
+  };
+  const onEnd = () => finish();
+  const onError = error => finish(error instanceof Event ? new Error(`${errorEvent} event`) : error);
+
+  function finish(error) {
+    if (finished) return;
+    finished = true;
+    failure = error || null;
+    unlisten(eventName, onEvent);
+    if (endEvent) unlisten(endEvent, onEnd);
+    if (errorEvent) unlisten(errorEvent, onError);
+    if (signal) signal.removeEventListener('abort', onEnd);
+    while (waiting.length > 0) {
+      const { resolve, reject } = waiting.shift();
+      if (failure) reject(failure);
+      else resolve({ value: undefined, done: true });
+    }
+  }
+
+  listen(eventName, onEvent);
+  if (endEvent) listen(endEvent, onEnd);
+  // An EventEmitter without an 'error' listener throws, so only listen if someone could emit one.
+  if (errorEvent) listen(errorEvent, onError);
+  if (signal) {
+    if (signal.aborted) finish();
+    else signal.addEventListener('abort', onEnd, { once: true });
+  }
+
+  return {
+    next() {
+      if (queue.length > 0) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      }
+      if (finished) {
+        if (failure) {
+          const error = failure;
+          failure = null;
+          return Promise.reject(error);
+        }
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    return(value) {
+      queue.length = 0;
+      finish();
+      return Promise.resolve({ value, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+}
+
+/**
+ * A Node Readable as an async iterable of its chunks. Readables are async iterable already; this also makes
+ * sure the stream is destroyed when the consumer stops early.
+ */
+async function* fromStream(readable) {
+  try {
+    for await (const chunk of readable) {
+      yield chunk;
+    }
+  } finally {
+    if (!readable.destroyed) readable.destroy();
+  }
+}
+
+/**
+ * An async (or sync) iterable as a Node Readable, in object mode unless `options` say otherwise. The stream pulls
+ * from the iterable only as fast as it is read, and closes the iterable if it is destroyed early.
+ */
+function toStream(iterable, options) {
+  return Readable.from(iterable, options);
+}
+
+/**
+ * Collects all the values of `source` into an array.
+ */
+async function toArray(source) {
+  const values = [];
+  for await (const value of source) {
+    values.push(value);
+  }
+  return values;
+}
+
+function getIterator(source) {
+  if (source && typeof source[Symbol.asyncIterator] === 'function') {
+    return source[Symbol.asyncIterator]();
+  }
+  if (source && typeof source[Symbol.iterator] === 'function') {
+    return source[Symbol.iterator]();
+  }
+  throw new TypeError('Expected an async or sync iterable, got ' + source);
+}
+
+function closeAll(iterators) {
+  return Promise.all(iterators.map(iterator => typeof iterator.return === 'function' ? iterator.return() : undefined));
+}
+
+module.exports = {
+  map,
+  filter,
+  take,
+  buffer,
+  merge,
+  zip,
+  fromEvents,
+  fromStream,
+  toStream,
+  toArray
+};
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { map, filter, take, buffer, merge, zip, fromEvents, fromStream, toStream, toArray } = require('./async-iterables');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(resolve, ms, value));
+const never = () => new Promise(() => {});
+
+// An async generator that yields `values` and records whether it was closed
+function source(values, { wait = 0 } = {}) {
+  const state = { closed: false, pulled: 0 };
+  state.iterable = (async function* () {
+    try {
+      for (const value of values) {
+        await delay(wait);
+        state.pulled++;
+        yield value;
+      }
+    } finally {
+      state.closed = true;
+    }
+  })();
+  return state;
+}
+
+test('map(), filter() and take() compose lazily', async () => {
+  const numbers = source([1, 2, 3, 4, 5, 6]);
+  const result = take(filter(map(numbers.iterable, async (n, i) => n * 10 + i), n => n % 2 === 1), 2);
+  assert.strictEqual(numbers.pulled, 0);
+  assert.deepStrictEqual(await toArray(result), [21, 43]);
+  assert.strictEqual(numbers.pulled, 4);
+  assert.strictEqual(numbers.closed, true);
+});
+
+test('take(0) reads nothing, and sync iterables work too', async () => {
+  const numbers = source([1]);
+  assert.deepStrictEqual(await toArray(take(numbers.iterable, 0)), []);
+  assert.strictEqual(numbers.pulled, 0);
+  assert.deepStrictEqual(await toArray(map([1, 2], n => n + 1)), [2, 3]);
+});
+
+test('buffer() groups values and rejects a size below 1', async () => {
+  assert.deepStrictEqual(await toArray(buffer([1, 2, 3, 4, 5], 2)), [[1, 2], [3, 4], [5]]);
+  await assert.rejects(toArray(buffer([1], 0)), RangeError);
+});
+
+test('merge() yields values as they arrive', async () => {
+  const slow = source(['slow 1', 'slow 2'], { wait: 30 });
+  const fast = source(['fast 1', 'fast 2', 'fast 3'], { wait: 5 });
+  const values = await toArray(merge(slow.iterable, fast.iterable));
+  assert.deepStrictEqual(values.slice(0, 3), ['fast 1', 'fast 2', 'fast 3']);
+  assert.deepStrictEqual(values.slice(3), ['slow 1', 'slow 2']);
+  await assert.rejects(merge(42).next(), TypeError);
+});
+
+test('merge() does not wait for a busy source to close when the consumer stops', async () => {
+  const closed = [];
+  async function* hanging() {
+    try {
+      yield 'first';
+      await never();
+    } finally {
+      closed.push('hanging');
+    }
+  }
+  const other = source(['a', 'b', 'c'], { wait: 5 });
+
+  for await (const value of merge(hanging(), other.iterable)) {
+    if (value === 'a') break;
+  }
+  await delay(20);
+  assert.strictEqual(other.closed, true);
+  assert.deepStrictEqual(closed, []);
+});
+
+test('merge() rejects with the first error, and a later one from a source it dropped goes nowhere', async () => {
+  async function* failing(ms, message) {
+    await delay(ms);
+    throw new Error(message);
+  }
+  const unhandled = [];
+  const onUnhandled = reason => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  try {
+    await assert.rejects(toArray(merge(failing(5, 'first'), failing(10, 'second'))), /first/);
+    await delay(30);
+    assert.deepStrictEqual(unhandled, []);
+  } finally {
+    process.removeListener('unhandledRejection', onUnhandled);
+  }
+});
+
+test('zip() pairs values in step, ends with the shortest and closes the rest', async () => {
+  const letters = source(['a', 'b', 'c']);
+  assert.deepStrictEqual(await toArray(zip([1, 2], letters.iterable)), [[1, 'a'], [2, 'b']]);
+  assert.strictEqual(letters.closed, true);
+});
+
+test('fromEvents() queues events until they are read and ends on endEvent', async () => {
+  const emitter = new EventEmitter();
+  const events = fromEvents(emitter, 'data', { endEvent: 'end' });
+  emitter.emit('data', 1);
+  emitter.emit('data', 2, 'two');
+  setTimeout(() => {
+    emitter.emit('data', 3);
+    emitter.emit('end');
+  }, 5);
+  assert.deepStrictEqual(await toArray(events), [1, [2, 'two'], 3]);
+  assert.strictEqual(emitter.listenerCount('data'), 0);
+});
+
+test('fromEvents() throws on errorEvent and stops on an aborted signal', async () => {
+  const emitter = new EventEmitter();
+  const failing = fromEvents(emitter, 'data');
+  setTimeout(() => emitter.emit('error', new Error('boom')), 5);
+  await assert.rejects(toArray(failing), /boom/);
+
+  const target = new EventTarget();
+  const controller = new AbortController();
+  const events = fromEvents(target, 'ping', { signal: controller.signal });
+  setTimeout(() => {
+    target.dispatchEvent(new Event('ping'));
+    controller.abort();
+  }, 5);
+  const received = await toArray(events);
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].type, 'ping');
+});
+
+test('fromStream() destroys the stream when the consumer stops early', async () => {
+  const readable = Readable.from(['a', 'b', 'c']);
+  assert.deepStrictEqual(await toArray(take(fromStream(readable), 1)), ['a']);
+  assert.strictEqual(readable.destroyed, true);
+});
+
+test('toStream() turns an iterable into an object mode Readable', async () => {
+  const readable = toStream(map([1, 2, 3], n => n * 2));
+  assert.strictEqual(readable.readableObjectMode, true);
+  assert.deepStrictEqual(await toArray(readable), [2, 4, 6]);
+});
@@ -0,0 +1,272 @@
+/**
+ * Binary trees
+ *
+ * The BinaryTree of 3-generators.js, grown up. Besides the prefix iteration of the tutorial it walks the tree
+ * in-order, post-order and level by level, searches and inserts like a binary search tree, and converts to and
+ * from arrays.
+ *
+ * preOrder(), inOrder() and postOrder() are written the way the tutorial writes its iterator, with yield*.
+ * That is the clearest way to put it, but every level of the tree adds a generator to the chain that each value
+ * is passed up through. That makes a degenerate tree (a linked list, like a BST fed sorted values) slow to walk,
+ * and deep enough it overflows the stack. traverse() does the same walks with an explicit stack instead, and it
+ * is what for-of uses.
+ *
+ * BinaryTree.walkAsync() walks trees whose nodes live somewhere else - a database, a file, an API - and are only
+ * loaded when the walk gets to them.
+ *
+ * @Reference:
+ * http://exploringjs.com/es6/ch_generators.html#_iterating-over-trees
+ * https://en.wikipedia.org/wiki/Tree_traversal
+ */
+
+const defaultCompare = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+
+// The order in which traverse() visits a node (SELF) and its subtrees
+const ORDERS = {
+  pre: ['self', 'left', 'right'],
+  in: ['left', 'self', 'right'],
+  post: ['left', 'right', 'self']
+};
+
+class BinaryTree {
+  constructor(value, left = null, right = null) {
+    this.value = value;
+    this.left = left;
+    this.right = right;
+  }
+
+  /**
+   * Builds a tree from its level-order array, where null (or undefined) marks a missing child:
+   * [1, 2, 3, null, 4] is 1 with the children 2 and 3, and 4 as the right child of 2.
+   * Returns null for an empty array. A value that comes after every node already has both of its children,
+   * like the 2 in [1, null, null, 2], has no parent to go under and throws a RangeError.
+   */
+  static fromArray(values) {
+    const isHole = value => value === null || value === undefined;
+    if (values.length === 0 || isHole(values[0])) {
+      return null;
+    }
+    const root = new BinaryTree(values[0]);
+    const parents = [root];
+    let i = 1;
+    while (i < values.length) {
+      const parent = parents.shift();
+      if (!parent) {
+        const orphan = values.findIndex((value, index) => index >= i && !isHole(value));
+        if (orphan === -1) {
+          break;
+        }
+        throw new RangeError(`The value at index ${orphan} has no parent: every node before it already has both children`);
+      }
+      for (const side of ['left', 'right']) {
+        if (i < values.length && !isHole(values[i])) {
+          parent[side] = new BinaryTree(values[i]);
+          parents.push(parent[side]);
+        }
+        i++;
+      }
+    }
+    return root;
+  }
+
+  /**
+   * Builds a binary search tree by inserting `values` one by one.
+   */
+  static fromValues(values, compare = defaultCompare) {
+    let root = null;
+    for (const value of values) {
+      if (root === null) root = new BinaryTree(value);
+      else root.insert(value, compare);
+    }
+    return root;
+  }
+
+  /**
+   * Walks a tree that is loaded node by node. `load(key)` returns (a promise for) the node with that key as
+   * { value, left, right }, where left and right are the keys of the children, or null. A node is only loaded
+   * once the walk reaches it, and stopping the walk early stops the loading.
+   *
+   *   for await (const value of BinaryTree.walkAsync(rootId, id => db.nodes.findById(id), 'in')) { ... }
+   *
+   * `order` is 'pre' (default), 'in', 'post' or 'level'.
+   */
+  static async *walkAsync(rootKey, load, order = 'pre') {
+    if (rootKey === null || rootKey === undefined) {
+      return;
+    }
+    if (order === 'level') {
+      const queue = [rootKey];
+      while (queue.length > 0) {
+        const node = await load(queue.shift());
+        yield node.value;
+        if (node.left !== null && node.left !== undefined) queue.push(node.left);
+        if (node.right !== null && node.right !== undefined) queue.push(node.right);
+      }
+      return;
+    }
+
+    const steps = orderOf(order);
+    // Keys still to be loaded, and values of loaded nodes waiting for their turn
+    const stack = [{ key: rootKey }];
+    while (stack.length > 0) {
+      const item = stack.pop();
+      if ('value' in item) {
+        yield item.value;
+        continue;
+      }
+      const node = await load(item.key);
+      pushSteps(stack, steps, {
+        self: { value: node.value },
+        left: node.left !== null && node.left !== undefined ? { key: node.left } : null,
+        right: node.right !== null && node.right !== undefined ? { key: node.right } : null
+      });
+    }
+  }
+
+  // Prefix iteration, without recursion
+  [Symbol.iterator]() {
+    return this.traverse('pre');
+  }
+
+  *preOrder() {
+    yield this.value;
+    if (this.left) {
+      yield* this.left.preOrder();
+    }
+    if (this.right) {
+      yield* this.right.preOrder();
+    }
+  }
+
+  *inOrder() {
+    if (this.left) {
+      yield* this.left.inOrder();
+    }
+    yield this.value;
+    if (this.right) {
+      yield* this.right.inOrder();
+    }
+  }
+
+  *postOrder() {
+    if (this.left) {
+      yield* this.left.postOrder();
+    }
+    if (this.right) {
+      yield* this.right.postOrder();
+    }
+    yield this.value;
+  }
+
+  /**
+   * Breadth first: the root, then its children, then their children, and so on, left to right.
+   */
+  *levelOrder() {
+    const queue = [this];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      yield node.value;
+      if (node.left) queue.push(node.left);
+      if (node.right) queue.push(node.right);
+    }
+  }
+
+  /**
+   * Walks the tree in `order` - 'pre' (default), 'in', 'post' or 'level' - with an explicit stack instead of
+   * recursion, so the depth of the tree doesn't matter.
+   */
+  *traverse(order = 'pre') {
+    if (order === 'level') {
+      yield* this.levelOrder();
+      return;
+    }
+    const steps = orderOf(order);
+    const stack = [{ node: this }];
+    while (stack.length > 0) {
+      const item = stack.pop();
+      if ('value' in item) {
+        yield item.value;
+        continue;
+      }
+      const { node } = item;
+      pushSteps(stack, steps, {
+        self: { value: node.value },
+        left: node.left ? { node: node.left } : null,
+        right: node.right ? { node: node.right } : null
+      });
+    }
+  }
+
+  /**
+   * Inserts `value` where a binary search tree wants it: smaller values go left, others (equal ones too) right.
+   * Returns the new node.
+   */
+  insert(value, compare = defaultCompare) {
+    let node = this;
+    while (true) {
+      const side = compare(value, node.value) < 0 ? 'left' : 'right';
+      if (!node[side]) {
+        node[side] = new BinaryTree(value);
+        return node[side];
+      }
+      node = node[side];
+    }
+  }
+
+  /**
+   * Finds the node holding `value` in a binary search tree, or null.
+   */
+  search(value, compare = defaultCompare) {
+    let node = this;
+    while (node) {
+      const result = compare(value, node.value);
+      if (result === 0) {
+        return node;
+      }
+      node = result < 0 ? node.left : node.right;
+    }
+    return null;
+  }
+
+  has(value, compare = defaultCompare) {
+    return this.search(value, compare) !== null;
+  }
+
+  /**
+   * The level-order array of the tree, the format fromArray() reads. Trailing nulls are left out.
+   * JSON.stringify(tree) uses it too.
+   */
+  toJSON() {
+    const values = [];
+    const queue = [this];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      values.push(node ? node.value : null);
+      if (node) {
+        queue.push(node.left, node.right);
+      }
+    }
+    while (values[values.length - 1] === null) {
+      values.pop();
+    }
+    return values;
+  }
+}
+
+function orderOf(order) {
+  const steps = ORDERS[order];
+  if (!steps) {
+    throw new RangeError(`Unknown order ${order}, expected one of pre, in, post or level`);
+  }
+  return steps;
+}
+
+// A stack pops the last item first, so the steps go on in reverse.
+function pushSteps(stack, steps, items) {
+  for (let i = steps.length - 1; i >= 0; i--) {
+    const item = items[steps[i]];
+    if (item) stack.push(item);
+  }
+}
+
+module.exports = BinaryTree;
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('assert');
+const BinaryTree = require('./binary-tree');
+
+//        a
+//      /   \
+//     b     e
+//    / \
+//   c   d
+const tree = () => new BinaryTree('a', new BinaryTree('b', new BinaryTree('c'), new BinaryTree('d')), new BinaryTree('e'));
+
+test('walks the tree in every order, recursively and with traverse()', () => {
+  const expected = {
+    pre: ['a', 'b', 'c', 'd', 'e'],
+    in: ['c', 'b', 'd', 'a', 'e'],
+    post: ['c', 'd', 'b', 'e', 'a'],
+    level: ['a', 'b', 'e', 'c', 'd']
+  };
+  assert.deepStrictEqual([...tree().preOrder()], expected.pre);
+  assert.deepStrictEqual([...tree().inOrder()], expected.in);
+  assert.deepStrictEqual([...tree().postOrder()], expected.post);
+  assert.deepStrictEqual([...tree().levelOrder()], expected.level);
+  Object.keys(expected).forEach(order => {
+    assert.deepStrictEqual([...tree().traverse(order)], expected[order], order);
+  });
+  assert.deepStrictEqual([...tree()], expected.pre);
+  assert.throws(() => tree().traverse('sideways').next(), /Unknown order sideways/);
+});
+
+test('traverse() copes with a tree too deep for recursion', () => {
+  const values = Array.from({ length: 100000 }, (value, i) => i);
+  let root = null;
+  for (let i = values.length - 1; i >= 0; i--) {
+    root = new BinaryTree(values[i], null, root);
+  }
+  let count = 0;
+  for (const value of root.traverse('in')) {
+    assert.strictEqual(value, count++);
+  }
+  assert.strictEqual(count, values.length);
+});
+
+test('fromArray() and toJSON() convert to and from level-order arrays', () => {
+  const root = BinaryTree.fromArray([1, 2, 3, null, 4]);
+  assert.strictEqual(root.left.left, null);
+  assert.strictEqual(root.left.right.value, 4);
+  assert.deepStrictEqual(root.toJSON(), [1, 2, 3, null, 4]);
+  assert.strictEqual(JSON.stringify(tree()), '["a","b","e","c","d"]');
+  assert.strictEqual(BinaryTree.fromArray([]), null);
+  assert.strictEqual(BinaryTree.fromArray([null]), null);
+});
+
+test('fromArray() treats undefined as a hole and rejects values without a parent', () => {
+  assert.deepStrictEqual(BinaryTree.fromArray([1, undefined, 3, undefined, 4]).toJSON(), [1, null, 3, null, 4]);
+  assert.deepStrictEqual(BinaryTree.fromArray([1, 2, undefined, undefined, 4]).toJSON(), [1, 2, null, null, 4]);
+  assert.strictEqual(BinaryTree.fromArray([undefined, 1]), null);
+  assert.deepStrictEqual(BinaryTree.fromArray([1, null, null, null, undefined]).toJSON(), [1]);
+  assert.throws(() => BinaryTree.fromArray([1, null, null, 2]), {
+    name: 'RangeError',
+    message: 'The value at index 3 has no parent: every node before it already has both children'
+  });
+  assert.throws(() => BinaryTree.fromArray([1, 2, null, null, null, null, 3]), /index 6 has no parent/);
+});
+
+test('inserts and searches like a binary search tree', () => {
+  const root = BinaryTree.fromValues([5, 3, 8, 1, 4, 8]);
+  assert.deepStrictEqual([...root.inOrder()], [1, 3, 4, 5, 8, 8]);
+  assert.strictEqual(root.search(4), root.left.right);
+  assert.strictEqual(root.search(7), null);
+  assert.strictEqual(root.has(8), true);
+  assert.strictEqual(root.insert(6).value, 6);
+  assert.strictEqual(root.right.left.value, 6);
+  assert.strictEqual(BinaryTree.fromValues([]), null);
+
+  const byLength = (a, b) => a.length - b.length;
+  const words = BinaryTree.fromValues(['ccc', 'a', 'bb'], byLength);
+  assert.deepStrictEqual([...words.inOrder()], ['a', 'bb', 'ccc']);
+  assert.strictEqual(words.search('xx', byLength).value, 'bb');
+});
+
+test('walkAsync() loads the nodes as it gets to them', async () => {
+  const nodes = {
+    a: { value: 'a', left: 'b', right: 'e' },
+    b: { value: 'b', left: 'c', right: 'd' },
+    c: { value: 'c', left: null, right: null },
+    d: { value: 'd', left: null, right: null },
+    e: { value: 'e', left: null, right: null }
+  };
+  const loaded = [];
+  const load = async key => {
+    loaded.push(key);
+    return nodes[key];
+  };
+  const walk = async (order, limit = Infinity) => {
+    const values = [];
+    for await (const value of BinaryTree.walkAsync('a', load, order)) {
+      values.push(value);
+      if (values.length === limit) break;
+    }
+    return values;
+  };
+
+  assert.deepStrictEqual(await walk('pre'), ['a', 'b', 'c', 'd', 'e']);
+  assert.deepStrictEqual(await walk('in'), ['c', 'b', 'd', 'a', 'e']);
+  assert.deepStrictEqual(await walk('post'), ['c', 'd', 'b', 'e', 'a']);
+  assert.deepStrictEqual(await walk('level'), ['a', 'b', 'e', 'c', 'd']);
+
+  loaded.length = 0;
+  assert.deepStrictEqual(await walk('pre', 2), ['a', 'b']);
+  assert.deepStrictEqual(loaded, ['a', 'b']);
+  assert.deepStrictEqual(await BinaryTree.walkAsync(null, load).next(), { value: undefined, done: true });
+  await assert.rejects(BinaryTree.walkAsync('a', load, 'sideways').next(), RangeError);
+});
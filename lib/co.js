@@ -0,0 +1,258 @@
+/**
+ * co
+ *
+ * A generator based control flow runner, in the spirit of https://github.com/tj/co
+ *
+ * The generator yields "yieldables" and gets their resolved value back from yield.
+ * If a yieldable is rejected, the error is thrown back into the generator at the location of that yield,
+ * so a plain try/catch inside the generator handles asynchronous failures.
+ *
+ * Supported yieldables:
+ * * promises (and any thenable)
+ * * thunks - functions that take a single error first callback
+ * * arrays - resolved in parallel
+ * * objects - plain objects whose values are resolved in parallel
+ * * generators and generator functions - delegated to a nested co()
+ *
+ * A running generator can be stopped with promise.cancel() or through an AbortSignal (co.withSignal).
+ *
+ * @Reference:
+ * https://github.com/tj/co
+ * http://www.2ality.com/2015/03/es6-generators.html#co
+ */
+
+/**
+ * Runs the generator function `gen` (called with `args`) and returns a promise for its return value.
+ *
+ * The promise has a cancel() method. Cancelling calls generator.return(), so the generator's finally blocks run,
+ * and then rejects the promise with a CancellationError.
+ */
+function co(gen, ...args) {
+  const ctx = this;
+  let generator;
+  let pending;
+  let settled = false;
+  let cancelled = false;
+  let resolve;
+  let reject;
+
+  const promise = new Promise(function (res, rej) {
+    resolve = value => {
+      settled = true;
+      res(value);
+    };
+    reject = err => {
+      settled = true;
+      rej(err);
+    };
+  });
+
+  function onFulfilled(res) {
+    if (cancelled) return;
+    let result;
+    try {
+      result = generator.next(res);
+    } catch (err) {
+      return reject(err);
+    }
+    next(result);
+  }
+
+  // Forward the rejection into the generator so that its try/catch can handle it.
+  function onRejected(err) {
+    if (cancelled) return;
+    let result;
+    try {
+      result = generator.throw(err);
+    } catch (e) {
+      return reject(e);
+    }
+    next(result);
+  }
+
+  function next(result) {
+    if (result.done) {
+      return resolve(result.value);
+    }
+    try {
+      pending = toPromise.call(ctx, result.value);
+    } catch (err) {
+      return onRejected(err);
+    }
+    if (!pending) {
+      return onRejected(new TypeError('You may only yield a function, promise, generator, array, or object, ' +
+        'but the following object was passed: "' + String(result.value) + '"'));
+    }
+    pending.then(onFulfilled, onRejected);
+  }
+
+  promise.cancel = function (reason) {
+    if (settled || cancelled) return;
+    cancelled = true;
+    const error = new CancellationError(reason);
+
+    // A nested co() that is still running is cancelled along with us, also when it was yielded in an array or object.
+    if (pending && typeof pending.cancel === 'function') {
+      pending.cancel(reason);
+      pending.catch(() => {});
+    }
+
+    let result;
+    try {
+      result = generator.return();
+    } catch (err) {
+      return reject(err);
+    }
+    // A generator can yield inside its finally clause (see genFunc2 in 3-generators.js).
+    // Let that cleanup run to completion before rejecting.
+    finish(result);
+
+    function finish(result) {
+      if (result.done) {
+        return reject(error);
+      }
+      Promise.resolve(toPromise.call(ctx, result.value) || result.value).then(
+        res => step(() => generator.next(res)),
+        err => step(() => generator.throw(err))
+      );
+    }
+
+    function step(advance) {
+      let result;
+      try {
+        result = advance();
+      } catch (err) {
+        return reject(err);
+      }
+      finish(result);
+    }
+  };
+
+  try {
+    generator = typeof gen === 'function' ? gen.apply(ctx, args) : gen;
+  } catch (err) {
+    reject(err);
+    return promise;
+  }
+  if (!isGenerator(generator)) {
+    resolve(generator);
+    return promise;
+  }
+  onFulfilled();
+  return promise;
+}
+
+/**
+ * Same as co(), but cancels the generator once `signal` (an AbortSignal) is aborted.
+ */
+co.withSignal = function (signal, gen, ...args) {
+  if (signal.aborted) {
+    // Nothing to cancel, but callers get the same shape as from co()
+    const promise = Promise.reject(new CancellationError(signal.reason));
+    promise.cancel = () => {};
+    return promise;
+  }
+  const promise = co.call(this, gen, ...args);
+  const onAbort = () => promise.cancel(signal.reason);
+  signal.addEventListener('abort', onAbort, { once: true });
+  promise.then(() => signal.removeEventListener('abort', onAbort), () => signal.removeEventListener('abort', onAbort));
+  return promise;
+};
+
+/**
+ * Wraps a generator function into a regular function that returns a promise.
+ */
+co.wrap = function (gen) {
+  function createPromise(...args) {
+    return co.call(this, gen, ...args);
+  }
+  createPromise.__generatorFunction__ = gen;
+  return createPromise;
+};
+
+/**
+ * Converts a yieldable into a promise. Returns undefined for values that can't be yielded.
+ */
+function toPromise(obj) {
+  if (!obj) return undefined;
+  if (isPromise(obj)) return Promise.resolve(obj);
+  if (isGeneratorFunction(obj) || isGenerator(obj)) return co.call(this, obj);
+  if (typeof obj === 'function') return thunkToPromise.call(this, obj);
+  if (Array.isArray(obj)) return arrayToPromise.call(this, obj);
+  if (isPlainObject(obj)) return objectToPromise.call(this, obj);
+  return undefined;
+}
+
+function thunkToPromise(fn) {
+  const ctx = this;
+  return new Promise(function (resolve, reject) {
+    fn.call(ctx, function (err, ...res) {
+      if (err) return reject(err);
+      resolve(res.length > 1 ? res : res[0]);
+    });
+  });
+}
+
+// Unlike the top level yield, values inside arrays and objects that aren't yieldable are passed through as is.
+function arrayToPromise(arr) {
+  const items = arr.map(item => toPromise.call(this, item) || item);
+  return cancelAll(Promise.all(items), items);
+}
+
+function objectToPromise(obj) {
+  const keys = Object.keys(obj);
+  const values = keys.map(key => toPromise.call(this, obj[key]) || obj[key]);
+
+  return cancelAll(Promise.all(values).then(function (resolved) {
+    const results = new obj.constructor();
+    keys.forEach((key, i) => {
+      results[key] = resolved[i];
+    });
+    return results;
+  }), values);
+}
+
+// Gives the promise for an array or object a cancel() that cancels the nested co() calls in it.
+function cancelAll(promise, items) {
+  promise.cancel = function (reason) {
+    items.forEach(item => {
+      if (item && typeof item.cancel === 'function') {
+        item.cancel(reason);
+        item.catch(() => {});
+      }
+    });
+  };
+  return promise;
+}
+
+/**
+ * The error a cancelled co() promise is rejected with. Check for it with `err instanceof co.CancellationError`
+ * or `err.name === 'CancellationError'`.
+ */
+class CancellationError extends Error {
+  constructor(reason) {
+    super(reason instanceof Error ? reason.message : (reason === undefined ? 'Generator was cancelled' : String(reason)));
+    this.name = 'CancellationError';
+    this.reason = reason;
+  }
+}
+
+function isPromise(obj) {
+  return typeof obj.then === 'function';
+}
+
+function isGenerator(obj) {
+  return !!obj && typeof obj.next === 'function' && typeof obj.throw === 'function';
+}
+
+function isGeneratorFunction(obj) {
+  const constructor = obj.constructor;
+  return !!constructor && (constructor.name === 'GeneratorFunction' || constructor.displayName === 'GeneratorFunction');
+}
+
+function isPlainObject(obj) {
+  return Object === obj.constructor;
+}
+
+module.exports = co;
+module.exports.CancellationError = CancellationError;
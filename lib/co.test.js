@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('assert');
+const co = require('./co');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(resolve, ms, value));
+
+test('co resolves with the return value of the generator', async () => {
+  const result = await co(function* () {
+    const a = yield Promise.resolve(1);
+    const b = yield delay(1, 2);
+    return a + b;
+  });
+  assert.strictEqual(result, 3);
+});
+
+test('co passes its arguments and `this` to the generator function', async () => {
+  const ctx = { base: 10 };
+  const result = await co.call(ctx, function* (x) {
+    return this.base + x;
+  }, 5);
+  assert.strictEqual(result, 15);
+});
+
+test('a rejected yieldable is thrown back into the generator at the yield', async () => {
+  const result = await co(function* () {
+    try {
+      yield Promise.reject(new Error('boom'));
+    } catch (err) {
+      return 'caught ' + err.message;
+    }
+  });
+  assert.strictEqual(result, 'caught boom');
+});
+
+test('an error the generator does not catch rejects the promise', async () => {
+  await assert.rejects(co(function* () {
+    yield delay(1);
+    throw new Error('uncaught');
+  }), /uncaught/);
+});
+
+test('thunks resolve with their callback result, several results as an array', async () => {
+  const result = await co(function* () {
+    const one = yield done => done(null, 1);
+    const many = yield done => done(null, 1, 2);
+    return [one, many];
+  });
+  assert.deepStrictEqual(result, [1, [1, 2]]);
+  await assert.rejects(co(function* () {
+    yield done => done(new Error('thunk failed'));
+  }), /thunk failed/);
+});
+
+test('arrays and objects are resolved in parallel, other values pass through', async () => {
+  const result = await co(function* () {
+    return yield {
+      list: [delay(5, 'a'), Promise.resolve('b'), 'c'],
+      value: delay(1, 1),
+      plain: 2
+    };
+  });
+  assert.deepStrictEqual(result, { list: ['a', 'b', 'c'], value: 1, plain: 2 });
+});
+
+test('generators and generator functions are delegated to a nested co()', async () => {
+  function* inner(x) {
+    return (yield Promise.resolve(x)) * 2;
+  }
+  const result = await co(function* () {
+    const a = yield inner(1);
+    const b = yield function* () {
+      return yield inner(2);
+    };
+    return [a, b];
+  });
+  assert.deepStrictEqual(result, [2, 4]);
+});
+
+test('yielding something that is not yieldable throws a TypeError into the generator', async () => {
+  await assert.rejects(co(function* () {
+    yield 42;
+  }), TypeError);
+});
+
+test('co resolves with a non-generator return value as is', async () => {
+  assert.strictEqual(await co(() => 'plain'), 'plain');
+});
+
+test('co.wrap returns a promise-returning function with the same `this`', async () => {
+  const obj = {
+    factor: 3,
+    triple: co.wrap(function* (x) {
+      return this.factor * (yield Promise.resolve(x));
+    })
+  };
+  assert.strictEqual(await obj.triple(2), 6);
+  assert.strictEqual(typeof obj.triple.__generatorFunction__, 'function');
+});
+
+test('cancel() runs the finally blocks and rejects with a CancellationError', async () => {
+  const log = [];
+  const promise = co(function* () {
+    try {
+      yield delay(50);
+      log.push('not reached');
+    } finally {
+      log.push('cleanup');
+      yield delay(1);
+      log.push('async cleanup done');
+    }
+  });
+  await delay(1);
+  promise.cancel('stop');
+  await assert.rejects(promise, err => err instanceof co.CancellationError && err.reason === 'stop');
+  assert.deepStrictEqual(log, ['cleanup', 'async cleanup done']);
+});
+
+test('cancel() after the promise settled does nothing', async () => {
+  const promise = co(function* () {
+    return 1;
+  });
+  assert.strictEqual(await promise, 1);
+  promise.cancel();
+  assert.strictEqual(await promise, 1);
+});
+
+test('cancel() reaches nested generators, also inside arrays and objects', async () => {
+  const cancelled = [];
+  function* child(name) {
+    try {
+      yield delay(50);
+    } finally {
+      cancelled.push(name);
+    }
+  }
+  const promise = co(function* () {
+    yield [child('a'), { b: child('b'), c: [child('c')] }];
+  });
+  await delay(1);
+  promise.cancel();
+  await assert.rejects(promise, co.CancellationError);
+  assert.deepStrictEqual(cancelled.sort(), ['a', 'b', 'c']);
+});
+
+test('co.withSignal cancels the generator when the signal aborts', async () => {
+  const controller = new AbortController();
+  let cleanedUp = false;
+  const promise = co.withSignal(controller.signal, function* () {
+    try {
+      yield delay(50);
+    } finally {
+      cleanedUp = true;
+    }
+  });
+  await delay(1);
+  controller.abort('user left');
+  await assert.rejects(promise, err => err instanceof co.CancellationError && err.reason === 'user left');
+  assert.strictEqual(cleanedUp, true);
+});
+
+test('co.withSignal with an aborted signal rejects right away, with the same cancellable shape', async () => {
+  const controller = new AbortController();
+  controller.abort('too late');
+  let started = false;
+  const promise = co.withSignal(controller.signal, function* () {
+    started = true;
+  });
+  assert.strictEqual(typeof promise.cancel, 'function');
+  promise.cancel();
+  await assert.rejects(promise, co.CancellationError);
+  assert.strictEqual(started, false);
+});
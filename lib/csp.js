@@ -0,0 +1,357 @@
+/**
+ * CSP channels
+ *
+ * dataConsumer in 3-generators.js receives values through next(), but whoever calls next() has to know the
+ * generator and drive it. A channel sits between two processes instead: one puts values in, the other takes them
+ * out, and neither knows about the other. put() waits until there is room for the value, take() until there is a
+ * value, so the channel also keeps a fast producer and a slow consumer in step. This is the model of Go's channels
+ * and Clojure's core.async.
+ *
+ *   const ch = chan();
+ *   go(function* () {
+ *     yield put(ch, 'ping');
+ *   });
+ *   go(function* () {
+ *     console.log(yield take(ch)); // 'ping'
+ *   });
+ *
+ * put(), take() and alts() return promises, so a process is a generator run by go() (which is co) or just as well
+ * an async function that awaits them.
+ *
+ * Buffers:
+ * * none - chan() or chan(0): every put waits for a take and the other way round
+ * * fixed - chan(n) or chan(buffers.fixed(n)): puts complete right away until n values are waiting
+ * * dropping - chan(buffers.dropping(n)): puts never wait; once n values are waiting new ones are dropped
+ * * sliding - chan(buffers.sliding(n)): puts never wait; once n values are waiting the oldest one is dropped
+ *
+ * After close(), puts resolve to false. Takes get the values that are still buffered or waiting to be put, then
+ * CLOSED.
+ *
+ * @Reference:
+ * https://github.com/clojure/core.async/wiki/Getting-Started
+ * https://github.com/js-csp/js-csp/blob/master/doc/basic.md
+ * https://go.dev/tour/concurrency/2
+ */
+
+const co = require('./co');
+const { realClock } = require('./fake-timers');
+
+// What take() gives once a channel is closed and drained
+const CLOSED = Symbol('CLOSED');
+
+class FixedBuffer {
+  constructor(size) {
+    this.size = size;
+    this.values = [];
+  }
+
+  get count() {
+    return this.values.length;
+  }
+
+  isFull() {
+    return this.values.length >= this.size;
+  }
+
+  add(value) {
+    this.values.push(value);
+  }
+
+  remove() {
+    return this.values.shift();
+  }
+}
+
+class DroppingBuffer extends FixedBuffer {
+  isFull() {
+    return false;
+  }
+
+  add(value) {
+    if (this.values.length < this.size) {
+      this.values.push(value);
+    }
+  }
+}
+
+class SlidingBuffer extends FixedBuffer {
+  isFull() {
+    return false;
+  }
+
+  add(value) {
+    this.values.push(value);
+    if (this.values.length > this.size) {
+      this.values.shift();
+    }
+  }
+}
+
+const buffers = {
+  fixed: size => new FixedBuffer(assertSize(size)),
+  dropping: size => new DroppingBuffer(assertSize(size)),
+  sliding: size => new SlidingBuffer(assertSize(size))
+};
+
+/**
+ * A pending put or take. alts() registers one handler per channel, and only the first one to be committed counts:
+ * the others become inactive and are skipped by their channels.
+ */
+function createHandler(onCommit, flag = { done: false }) {
+  return {
+    active: () => !flag.done,
+    commit(value) {
+      flag.done = true;
+      onCommit(value);
+    }
+  };
+}
+
+class Channel {
+  constructor(buffer = null) {
+    this.buffer = buffer;
+    this.closed = false;
+    this._takes = [];
+    this._puts = [];
+  }
+
+  put(value) {
+    return new Promise(resolve => this._put(value, createHandler(resolve)));
+  }
+
+  take() {
+    return new Promise(resolve => this._take(createHandler(resolve)));
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    // Takers only wait when there is nothing to give them, so all they'll ever get now is CLOSED.
+    this._takes.splice(0).forEach(taker => {
+      if (taker.active()) taker.commit(CLOSED);
+    });
+  }
+
+  // Takes until the channel is closed: for await (const value of ch)
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      const value = await this.take();
+      if (value === CLOSED) {
+        return;
+      }
+      yield value;
+    }
+  }
+
+  _put(value, handler) {
+    assertPuttable(value);
+    if (!handler.active()) {
+      return;
+    }
+    if (this.closed) {
+      return handler.commit(false);
+    }
+
+    if (this.buffer && !this.buffer.isFull()) {
+      handler.commit(true);
+      this.buffer.add(value);
+      while (this.buffer.count > 0) {
+        const taker = this._nextActive(this._takes);
+        if (!taker) break;
+        taker.commit(this.buffer.remove());
+      }
+      return;
+    }
+
+    const taker = this._nextActive(this._takes);
+    if (taker) {
+      handler.commit(true);
+      return taker.commit(value);
+    }
+    this._puts = this._puts.filter(put => put.handler.active());
+    this._puts.push({ handler, value });
+  }
+
+  _take(handler) {
+    if (!handler.active()) {
+      return;
+    }
+
+    if (this.buffer && this.buffer.count > 0) {
+      handler.commit(this.buffer.remove());
+      // Room in the buffer for a waiting put
+      while (!this.buffer.isFull()) {
+        const put = this._nextActive(this._puts, put => put.handler);
+        if (!put) break;
+        put.handler.commit(true);
+        this.buffer.add(put.value);
+      }
+      return;
+    }
+
+    const put = this._nextActive(this._puts, put => put.handler);
+    if (put) {
+      put.handler.commit(true);
+      return handler.commit(put.value);
+    }
+    if (this.closed) {
+      return handler.commit(CLOSED);
+    }
+    this._takes = this._takes.filter(taker => taker.active());
+    this._takes.push(handler);
+  }
+
+  // Forgets the puts and takes that can't happen any more
+  _removeInactive() {
+    this._puts = this._puts.filter(put => put.handler.active());
+    this._takes = this._takes.filter(taker => taker.active());
+  }
+
+  // Removes and returns the first entry of `queue` whose handler is still active
+  _nextActive(queue, handlerOf = entry => entry) {
+    while (queue.length > 0) {
+      const entry = queue.shift();
+      if (handlerOf(entry).active()) {
+        return entry;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Creates a channel. `buffer` is a size for a fixed buffer, one of `buffers`, or nothing (or 0, as in Go) for an
+ * unbuffered channel.
+ */
+function chan(buffer) {
+  if (typeof buffer === 'number') {
+    buffer = buffer === 0 ? null : buffers.fixed(buffer);
+  }
+  return new Channel(buffer || null);
+}
+
+/**
+ * Puts `value` on `channel`. Resolves with true once the channel has accepted it, or false if it is closed.
+ */
+function put(channel, value) {
+  return channel.put(value);
+}
+
+/**
+ * Resolves with the next value taken from `channel`, or CLOSED.
+ */
+function take(channel) {
+  return channel.take();
+}
+
+function close(channel) {
+  channel.close();
+}
+
+/**
+ * Does whichever of `operations` can complete first, and only that one. An operation is a channel to take from,
+ * or a [channel, value] pair to put on. Resolves with { value, channel }, where value is what was taken, or
+ * true/false for a put.
+ *
+ * When several operations are ready at once, one is picked at random so that no channel starves the others,
+ * unless `priority` is set: then the first one in the list wins.
+ *
+ * Throws a TypeError if any of the operations is invalid, before it has done any of them.
+ */
+function alts(operations, { priority = false } = {}) {
+  if (operations.length === 0) {
+    throw new TypeError('alts needs at least one operation');
+  }
+  operations.forEach(operation => {
+    const channel = Array.isArray(operation) ? operation[0] : operation;
+    if (!(channel instanceof Channel)) {
+      throw new TypeError('alts expects channels and [channel, value] pairs, got ' + operation);
+    }
+    if (Array.isArray(operation)) {
+      assertPuttable(operation[1]);
+    }
+  });
+  const order = operations.map((operation, index) => index);
+  if (!priority) {
+    shuffle(order);
+  }
+
+  return new Promise((resolve, reject) => {
+    const flag = { done: false };
+    try {
+      for (const index of order) {
+        const operation = operations[index];
+        if (Array.isArray(operation)) {
+          const [channel, value] = operation;
+          channel._put(value, createHandler(result => resolve({ value: result, channel }), flag));
+        } else {
+          operation._take(createHandler(value => resolve({ value, channel: operation }), flag));
+        }
+        if (flag.done) {
+          break;
+        }
+      }
+    } catch (err) {
+      // Take back what was registered already, so that nothing is put or taken on behalf of a failed alts
+      flag.done = true;
+      operations.forEach(operation => (Array.isArray(operation) ? operation[0] : operation)._removeInactive());
+      reject(err);
+    }
+  });
+}
+
+/**
+ * A channel that closes after `ms` milliseconds. Taking from it waits that long, which makes it a deadline in alts().
+ *
+ * Options:
+ * * clock - { setTimeout } to schedule the closing with (the global one by default)
+ */
+function timeout(ms, { clock = realClock } = {}) {
+  const channel = chan();
+  clock.setTimeout(() => channel.close(), ms);
+  return channel;
+}
+
+/**
+ * Starts a process: runs the generator function with co(), so `yield take(ch)` waits for the value.
+ * Returns co's promise for the generator's return value, which has a cancel() method.
+ */
+function go(genFunc, ...args) {
+  return co(genFunc, ...args);
+}
+
+function shuffle(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+function assertPuttable(value) {
+  if (value === CLOSED || value === undefined) {
+    throw new TypeError('Cannot put CLOSED or undefined on a channel');
+  }
+}
+
+function assertSize(size) {
+  if (!(Number.isInteger(size) && size >= 1)) {
+    throw new RangeError('Expected size to be a positive integer, got ' + size);
+  }
+  return size;
+}
+
+module.exports = {
+  chan,
+  buffers,
+  put,
+  take,
+  alts,
+  close,
+  timeout,
+  go,
+  CLOSED,
+  Channel
+};
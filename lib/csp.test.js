@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('assert');
+const { chan, buffers, put, take, alts, close, timeout, go, CLOSED, Channel } = require('./csp');
+const { createClock } = require('./fake-timers');
+
+// Whether `promise` has settled once everything that is ready to run did
+async function isSettled(promise) {
+  const pending = {};
+  return await Promise.race([promise, new Promise(resolve => setImmediate(resolve, pending))]) !== pending;
+}
+
+test('an unbuffered channel makes puts wait for takes and the other way round', async () => {
+  for (const ch of [chan(), chan(0)]) {
+    const putting = put(ch, 'ping');
+    assert.strictEqual(await isSettled(putting), false);
+    assert.strictEqual(await take(ch), 'ping');
+    assert.strictEqual(await putting, true);
+
+    const taking = take(ch);
+    assert.strictEqual(await isSettled(taking), false);
+    assert.strictEqual(await put(ch, 'pong'), true);
+    assert.strictEqual(await taking, 'pong');
+  }
+});
+
+test('a fixed buffer accepts puts until it is full', async () => {
+  const ch = chan(2);
+  assert.strictEqual(await put(ch, 1), true);
+  assert.strictEqual(await put(ch, 2), true);
+  const third = put(ch, 3);
+  assert.strictEqual(await isSettled(third), false);
+  assert.strictEqual(await take(ch), 1);
+  assert.strictEqual(await third, true);
+  assert.deepStrictEqual([await take(ch), await take(ch)], [2, 3]);
+  assert.throws(() => chan(-1), RangeError);
+  assert.throws(() => buffers.fixed(1.5), RangeError);
+});
+
+test('dropping and sliding buffers never make a put wait', async () => {
+  const dropping = chan(buffers.dropping(2));
+  const sliding = chan(buffers.sliding(2));
+  for (const value of [1, 2, 3]) {
+    assert.strictEqual(await put(dropping, value), true);
+    assert.strictEqual(await put(sliding, value), true);
+  }
+  assert.deepStrictEqual([await take(dropping), await take(dropping)], [1, 2]);
+  assert.deepStrictEqual([await take(sliding), await take(sliding)], [2, 3]);
+});
+
+test('close() hands out what is left, then CLOSED, and refuses new puts', async () => {
+  const ch = chan(1);
+  await put(ch, 'buffered');
+  const waiting = put(ch, 'waiting');
+  const taker = chan();
+  const takes = [take(taker), take(taker)];
+  close(ch);
+  close(taker);
+  close(ch);
+
+  assert.strictEqual(await put(ch, 'late'), false);
+  assert.deepStrictEqual([await take(ch), await take(ch), await take(ch)], ['buffered', 'waiting', CLOSED]);
+  assert.strictEqual(await waiting, true);
+  assert.deepStrictEqual(await Promise.all(takes), [CLOSED, CLOSED]);
+  await assert.rejects(put(ch, undefined), TypeError);
+  await assert.rejects(put(ch, CLOSED), TypeError);
+});
+
+test('a channel is async iterable until it is closed', async () => {
+  const ch = chan();
+  go(function* () {
+    for (const value of ['a', 'b', 'c']) {
+      yield put(ch, value);
+    }
+    close(ch);
+  });
+  const values = [];
+  for await (const value of ch) {
+    values.push(value);
+  }
+  assert.deepStrictEqual(values, ['a', 'b', 'c']);
+});
+
+test('go() runs generators that talk over channels', async () => {
+  const pings = chan();
+  const pongs = chan();
+  const player = go(function* () {
+    let ball;
+    while ((ball = yield take(pings)) !== CLOSED) {
+      yield put(pongs, ball + 1);
+    }
+    return 'done';
+  });
+  const hits = await go(function* () {
+    let ball = 0;
+    for (let i = 0; i < 3; i++) {
+      yield put(pings, ball);
+      ball = yield take(pongs);
+    }
+    close(pings);
+    return ball;
+  });
+  assert.strictEqual(hits, 3);
+  assert.strictEqual(await player, 'done');
+});
+
+test('alts() does only the first operation that can complete', async () => {
+  const a = chan();
+  const b = chan(1);
+  const c = chan();
+  await put(b, 'from b');
+
+  assert.deepStrictEqual(await alts([a, b]), { value: 'from b', channel: b });
+  const result = alts([a, [c, 'to c']]);
+  assert.strictEqual(await take(c), 'to c');
+  assert.deepStrictEqual(await result, { value: true, channel: c });
+
+  // The take on a lost, so a put on it has to wait for somebody else
+  const later = put(a, 'for someone else');
+  assert.strictEqual(await isSettled(later), false);
+  assert.strictEqual(await take(a), 'for someone else');
+});
+
+test('alts() picks at random among ready operations, or the first with priority', async () => {
+  const ready = async () => {
+    const a = chan(1);
+    const b = chan(1);
+    await put(a, 'a');
+    await put(b, 'b');
+    return [a, b];
+  };
+  const picks = new Set();
+  for (let i = 0; i < 50; i++) {
+    picks.add((await alts(await ready())).value);
+    assert.strictEqual((await alts(await ready(), { priority: true })).value, 'a');
+  }
+  assert.deepStrictEqual([...picks].sort(), ['a', 'b']);
+});
+
+test('alts() rejects invalid operations before it does any of them', async () => {
+  const ch = chan();
+  assert.throws(() => alts([]), /at least one operation/);
+  assert.throws(() => alts([ch, 'not a channel']), TypeError);
+  assert.throws(() => alts([ch, [ch, undefined]]), /Cannot put CLOSED or undefined/);
+  assert.throws(() => alts([[ch, 'x'], { take() {} }]), TypeError);
+
+  // Nothing was registered on ch
+  const putting = put(ch, 'value');
+  const taking = take(ch);
+  assert.strictEqual(await taking, 'value');
+  assert.strictEqual(await putting, true);
+});
+
+test('alts() takes back the operations it registered when one of them throws', async () => {
+  class Broken extends Channel {
+    _take() {
+      throw new Error('broken');
+    }
+  }
+  const ch = chan();
+  await assert.rejects(alts([ch, new Broken()], { priority: true }), /broken/);
+  assert.deepStrictEqual(ch._takes, []);
+
+  const putting = put(ch, 'value');
+  assert.strictEqual(await isSettled(putting), false);
+  assert.strictEqual(await take(ch), 'value');
+});
+
+test('timeout() closes after the given time, which makes it a deadline for alts()', async () => {
+  const clock = createClock();
+  const never = chan();
+  const deadline = timeout(1000, { clock });
+  const result = alts([never, deadline]);
+
+  await clock.tick(999);
+  assert.strictEqual(await isSettled(result), false);
+  await clock.tick(1);
+  assert.deepStrictEqual(await result, { value: CLOSED, channel: deadline });
+});
@@ -0,0 +1,244 @@
+/**
+ * Fake timers
+ *
+ * `resolveUnderThreeSeconds(7000)`, the SETTLING A PROMISE example and getFullName() in 3-generators.js all wait
+ * for real seconds to pass. A virtual clock stands in for setTimeout, setInterval and Date.now, and time only moves
+ * when you say so, which makes code like that fast and deterministic to test:
+ *
+ *   const { createClock } = require('./lib/fake-timers');
+ *   const clock = createClock().install();
+ *
+ *   resolveUnderThreeSeconds(7000).catch(() => console.log('rejected at', Date.now()));
+ *   await clock.tick(3000);
+ *   // <- rejected at 3000
+ *   clock.uninstall();
+ *
+ * Between two timers the clock lets the microtask queue drain, so promise reactions triggered by a timer (and the
+ * timers those reactions schedule in turn) run in the same order they would in real time. That's why tick(),
+ * next(), runAll() and runToLast() are async.
+ *
+ * A clock doesn't have to be installed: anything that takes a `clock` option ({ setTimeout, clearTimeout }, like
+ * retry()) can be handed one directly. Without one they use realClock.
+ *
+ * @Reference:
+ * https://github.com/sinonjs/fake-timers
+ */
+
+// Captured before anyone can install a fake setTimeout. Draining the microtask queue needs a real macrotask.
+const realSetImmediate = typeof setImmediate === 'function' ? setImmediate : (fn => setTimeout(fn, 0));
+
+const FAKED = ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'];
+
+/**
+ * The default of every `clock` option. It looks the globals up on each call, so a clock installed later takes over.
+ */
+const realClock = {
+  setTimeout: (...args) => setTimeout(...args),
+  clearTimeout: id => clearTimeout(id)
+};
+
+/**
+ * Creates a virtual clock that starts at `now` (ms since the epoch, default 0).
+ *
+ * Options:
+ * * loopLimit - how many timers runAll() fires before it assumes an endless setInterval and gives up (default 1000)
+ */
+function createClock({ now = 0, loopLimit = 1000 } = {}) {
+  const timers = new Map();
+  const handles = new WeakMap();
+  let nextId = 1;
+  let installed = null;
+
+  function schedule(callback, delay, args, interval) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('The callback argument must be a function');
+    }
+    const ms = Math.max(0, Number(delay) || 0);
+    const timer = {
+      id: nextId++,
+      callback,
+      args,
+      delay: ms,
+      interval,
+      callAt: clock.now + ms
+    };
+    timers.set(timer.id, timer);
+    return createHandle(timer);
+  }
+
+  // Node returns Timeout objects, browsers numbers. The handle is an object that converts to its id.
+  function createHandle(timer) {
+    let referenced = true;
+    const handle = {
+      ref() { referenced = true; return handle; },
+      unref() { referenced = false; return handle; },
+      hasRef() { return referenced; },
+      refresh() {
+        timer.callAt = clock.now + timer.delay;
+        // As in Node, refreshing a timer that has already fired starts it again. A cleared one stays cleared.
+        if (!timer.cleared) timers.set(timer.id, timer);
+        return handle;
+      },
+      [Symbol.toPrimitive]() { return timer.id; }
+    };
+    handles.set(handle, timer);
+    return handle;
+  }
+
+  // Takes our handles and their ids. Other objects are ignored: a real Node Timeout converts to a number as well,
+  // which can be the id of one of our timers.
+  function clear(handle) {
+    const timer = handle !== null && typeof handle === 'object' ? handles.get(handle) : timers.get(Number(handle));
+    if (timer) {
+      timer.cleared = true;
+      timers.delete(timer.id);
+    }
+  }
+
+  // The timer that fires next: the earliest one, and of those the one that was scheduled first.
+  function firstTimer(limit = Infinity) {
+    let first = null;
+    timers.forEach(timer => {
+      if (timer.callAt <= limit && (!first || timer.callAt < first.callAt || (timer.callAt === first.callAt && timer.id < first.id))) {
+        first = timer;
+      }
+    });
+    return first;
+  }
+
+  function fire(timer) {
+    clock.now = timer.callAt;
+    if (timer.interval) {
+      timer.callAt += Math.max(1, timer.delay);
+    } else {
+      timers.delete(timer.id);
+    }
+    timer.callback(...timer.args);
+  }
+
+  function drainMicrotasks() {
+    return new Promise(resolve => realSetImmediate(resolve));
+  }
+
+  const clock = {
+    now,
+
+    setTimeout: (callback, delay, ...args) => schedule(callback, delay, args, false),
+    clearTimeout: clear,
+    setInterval: (callback, delay, ...args) => schedule(callback, delay, args, true),
+    clearInterval: clear,
+
+    /**
+     * Replaces setTimeout, clearTimeout, setInterval, clearInterval and Date.now on `target` with the clock's.
+     */
+    install(target = globalThis) {
+      if (installed) {
+        throw new Error('The clock is already installed');
+      }
+      installed = { target, originals: {}, dateNow: target.Date && target.Date.now };
+      FAKED.forEach(name => {
+        installed.originals[name] = target[name];
+        target[name] = clock[name];
+      });
+      if (target.Date) {
+        target.Date.now = () => clock.now;
+      }
+      return clock;
+    },
+
+    /**
+     * Puts the real timers back.
+     */
+    uninstall() {
+      if (!installed) return clock;
+      const { target, originals, dateNow } = installed;
+      FAKED.forEach(name => {
+        target[name] = originals[name];
+      });
+      if (target.Date) {
+        target.Date.now = dateNow;
+      }
+      installed = null;
+      return clock;
+    },
+
+    /**
+     * Advances the clock by `ms`, firing every timer that comes due on the way, in order. Resolves with the new time.
+     */
+    async tick(ms) {
+      const target = clock.now + ms;
+      await drainMicrotasks();
+      let timer;
+      while ((timer = firstTimer(target))) {
+        fire(timer);
+        await drainMicrotasks();
+      }
+      clock.now = target;
+      return clock.now;
+    },
+
+    /**
+     * Fires the next timer, however far away it is. Resolves with the new time.
+     */
+    async next() {
+      await drainMicrotasks();
+      const timer = firstTimer();
+      if (timer) {
+        fire(timer);
+        await drainMicrotasks();
+      }
+      return clock.now;
+    },
+
+    /**
+     * Fires timers until there are none left, including the ones scheduled along the way. Rejects if that takes
+     * more than `loopLimit` timers, which usually means a setInterval nobody clears.
+     */
+    async runAll() {
+      await drainMicrotasks();
+      for (let i = 0; i < loopLimit; i++) {
+        const timer = firstTimer();
+        if (!timer) {
+          return clock.now;
+        }
+        fire(timer);
+        await drainMicrotasks();
+      }
+      throw new Error(`Aborting after running ${loopLimit} timers, assuming an infinite loop!`);
+    },
+
+    /**
+     * Advances the clock to the last timer scheduled right now, firing everything up to it. Timers scheduled
+     * along the way only fire if they come due before that, so unlike runAll() this ends with a setInterval around.
+     */
+    async runToLast() {
+      await drainMicrotasks();
+      let last = null;
+      timers.forEach(timer => {
+        if (!last || timer.callAt > last.callAt) last = timer;
+      });
+      return last ? clock.tick(last.callAt - clock.now) : clock.now;
+    },
+
+    /**
+     * How many timers are waiting to fire.
+     */
+    countTimers() {
+      return timers.size;
+    },
+
+    /**
+     * Drops every pending timer.
+     */
+    reset() {
+      timers.clear();
+      return clock;
+    }
+  };
+  return clock;
+}
+
+module.exports = {
+  createClock,
+  realClock
+};
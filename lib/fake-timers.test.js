@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createClock, realClock } = require('./fake-timers');
+
+test('tick() fires the timers that come due, in order, and nothing later', async () => {
+  const clock = createClock();
+  const fired = [];
+  clock.setTimeout(() => fired.push(['b', clock.now]), 200);
+  clock.setTimeout(() => fired.push(['a', clock.now]), 100);
+  clock.setTimeout(() => fired.push(['c', clock.now]), 200);
+  clock.setTimeout(() => fired.push(['d', clock.now]), 301);
+
+  assert.strictEqual(await clock.tick(300), 300);
+  assert.deepStrictEqual(fired, [['a', 100], ['b', 200], ['c', 200]]);
+  assert.strictEqual(clock.countTimers(), 1);
+});
+
+test('passes the extra arguments to the callback', async () => {
+  const clock = createClock();
+  const calls = [];
+  clock.setTimeout((...args) => calls.push(args), 10, 1, 'two');
+  await clock.tick(10);
+  assert.deepStrictEqual(calls, [[1, 'two']]);
+  assert.throws(() => clock.setTimeout('code', 10), TypeError);
+});
+
+test('lets promise reactions run between two timers', async () => {
+  const clock = createClock();
+  const order = [];
+  clock.setTimeout(() => Promise.resolve().then(() => {
+    order.push('reaction');
+    clock.setTimeout(() => order.push('scheduled by the reaction'), 0);
+  }), 10);
+  clock.setTimeout(() => order.push('second timer'), 10);
+
+  await clock.tick(10);
+  assert.deepStrictEqual(order, ['reaction', 'second timer', 'scheduled by the reaction']);
+});
+
+test('setInterval() fires every delay until it is cleared', async () => {
+  const clock = createClock();
+  const fired = [];
+  const handle = clock.setInterval(() => {
+    fired.push(clock.now);
+    if (fired.length === 3) clock.clearInterval(handle);
+  }, 50);
+
+  await clock.runAll();
+  assert.deepStrictEqual(fired, [50, 100, 150]);
+  assert.strictEqual(clock.countTimers(), 0);
+});
+
+test('runAll() gives up on an interval nobody clears, runToLast() stops at the last timer', async () => {
+  const clock = createClock({ loopLimit: 10 });
+  let count = 0;
+  clock.setInterval(() => count++, 10);
+  clock.setTimeout(() => {}, 35);
+
+  assert.strictEqual(await clock.runToLast(), 35);
+  assert.strictEqual(count, 3);
+  await assert.rejects(clock.runAll(), /Aborting after running 10 timers/);
+});
+
+test('next() fires the next timer, however far away', async () => {
+  const clock = createClock({ now: 1000 });
+  clock.setTimeout(() => {}, 5000);
+  assert.strictEqual(await clock.next(), 6000);
+  assert.strictEqual(await clock.next(), 6000);
+});
+
+test('clearTimeout() takes a handle or its id', async () => {
+  const clock = createClock();
+  const fired = [];
+  const a = clock.setTimeout(() => fired.push('a'), 10);
+  const b = clock.setTimeout(() => fired.push('b'), 10);
+  clock.setTimeout(() => fired.push('c'), 10);
+  clock.clearTimeout(a);
+  clock.clearTimeout(Number(b));
+  clock.clearTimeout(undefined);
+  clock.clearTimeout(null);
+
+  await clock.runAll();
+  assert.deepStrictEqual(fired, ['c']);
+});
+
+test('clearTimeout() leaves the fake timers alone when handed a real one', async () => {
+  const real = setTimeout(() => {}, 0);
+  // Real ids grow with everything the process has created, and runAll() has to get through all of these timers
+  const clock = createClock({ loopLimit: Number(real) + 1 });
+  const fired = [];
+  // Make sure there is a fake timer with the real one's id
+  while (clock.countTimers() < Number(real)) {
+    const id = clock.countTimers() + 1;
+    clock.setTimeout(() => fired.push(id), 10);
+  }
+
+  clock.clearTimeout(real);
+  clearTimeout(real);
+  await clock.runAll();
+  assert.strictEqual(fired.length, Number(real));
+});
+
+test('refresh() starts the timer over, and again once it has fired', async () => {
+  const clock = createClock();
+  const fired = [];
+  const handle = clock.setTimeout(() => fired.push(clock.now), 100);
+
+  await clock.tick(60);
+  assert.strictEqual(handle.refresh(), handle);
+  await clock.tick(60);
+  assert.deepStrictEqual(fired, []);
+  await clock.tick(40);
+  assert.deepStrictEqual(fired, [160]);
+
+  handle.refresh();
+  assert.strictEqual(clock.countTimers(), 1);
+  await clock.runAll();
+  assert.deepStrictEqual(fired, [160, 260]);
+});
+
+test('refresh() does not bring back a cleared timer', async () => {
+  const clock = createClock();
+  const handle = clock.setTimeout(() => assert.fail('cleared'), 100);
+  clock.clearTimeout(handle);
+  handle.refresh();
+  assert.strictEqual(clock.countTimers(), 0);
+  await clock.runAll();
+});
+
+test('handles can be unref()ed like Node timers', () => {
+  const clock = createClock();
+  const handle = clock.setTimeout(() => {}, 10);
+  assert.strictEqual(handle.hasRef(), true);
+  assert.strictEqual(handle.unref().hasRef(), false);
+  assert.strictEqual(handle.ref().hasRef(), true);
+});
+
+test('install() replaces the timers and Date.now until uninstall()', async () => {
+  const target = { setTimeout, clearTimeout, setInterval, clearInterval, Date: { now: () => 'real' } };
+  const clock = createClock({ now: 500 }).install(target);
+  assert.throws(() => clock.install(target), /already installed/);
+
+  const fired = [];
+  target.setTimeout(() => fired.push(target.Date.now()), 100);
+  await clock.tick(100);
+  assert.deepStrictEqual(fired, [600]);
+
+  clock.uninstall();
+  assert.strictEqual(target.setTimeout, setTimeout);
+  assert.strictEqual(target.Date.now(), 'real');
+});
+
+test('realClock uses whatever setTimeout is installed when it is called', async () => {
+  const clock = createClock().install();
+  try {
+    const fired = [];
+    realClock.setTimeout(() => fired.push('a'), 100);
+    realClock.clearTimeout(realClock.setTimeout(() => fired.push('b'), 100));
+    await clock.tick(100);
+    assert.deepStrictEqual(fired, ['a']);
+  } finally {
+    clock.uninstall();
+  }
+});
+
+test('reset() drops every pending timer', async () => {
+  const clock = createClock();
+  clock.setTimeout(() => assert.fail('dropped'), 10);
+  clock.setInterval(() => assert.fail('dropped'), 10);
+  assert.strictEqual(clock.reset().countTimers(), 0);
+  await clock.tick(100);
+});
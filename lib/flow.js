@@ -0,0 +1,277 @@
+/**
+ * Callback control flow
+ *
+ * Naming your functions and keeping code shallow (see 1-callback.js) make callback hell readable,
+ * but the bookkeeping of "run these one after the other" or "run these at the same time and tell me when
+ * they are all done" still has to be written every time. These helpers do that bookkeeping, in the style of
+ * the async library.
+ *
+ * Every helper takes error first callbacks:
+ * * The first error short-circuits the flow: no new tasks are started and the final callback gets the error.
+ * * The final callback is called exactly once, even if a task misbehaves after an error.
+ * * A task that calls its own callback twice throws, because that's always a bug.
+ *
+ * @Reference:
+ * https://caolan.github.io/async/
+ * http://callbackhell.com/
+ */
+
+/**
+ * Runs `tasks` one after the other. The final callback gets the results in order.
+ * `tasks` can be an array or an object of functions; an object gives back an object of results.
+ */
+function series(tasks, callback) {
+  runTasks(tasks, 1, callback);
+}
+
+/**
+ * Runs all `tasks` at the same time. The final callback gets the results in task order,
+ * not in the order they finished.
+ */
+function parallel(tasks, callback) {
+  runTasks(tasks, Infinity, callback);
+}
+
+/**
+ * Runs `tasks` one after the other, each one getting the results of the previous one as arguments.
+ *
+ *   waterfall([
+ *     cb => getData(a => cb(null, a)),
+ *     (a, cb) => getMoreData(a, b => cb(null, b))
+ *   ], (err, b) => { ... });
+ */
+function waterfall(tasks, callback) {
+  callback = once(callback);
+  let index = 0;
+  let looping = false;
+  let syncResults = null;
+
+  function next(err, ...results) {
+    if (err || index === tasks.length) {
+      return callback(err, ...results);
+    }
+    // A task that called back synchronously: the loop below starts the next one, so the stack doesn't grow
+    if (looping) {
+      syncResults = results;
+      return;
+    }
+    looping = true;
+    try {
+      while (results) {
+        syncResults = null;
+        call(tasks[index++], results, next, callback);
+        results = syncResults;
+      }
+    } finally {
+      looping = false;
+    }
+  }
+
+  next(null);
+}
+
+/**
+ * Calls `iteratee(item, cb)` for every item, all at the same time.
+ */
+function each(items, iteratee, callback) {
+  eachLimit(items, Infinity, iteratee, callback);
+}
+
+/**
+ * Calls `iteratee(item, cb)` for every item, with at most `limit` of them running at once.
+ */
+function eachLimit(items, limit, iteratee, callback) {
+  eachOfLimit(items, limit, (item, index, cb) => iteratee(item, cb), callback);
+}
+
+/**
+ * Calls `iteratee(item, cb)` for every item, all at the same time, and collects the results in order.
+ */
+function map(items, iteratee, callback) {
+  mapLimit(items, Infinity, iteratee, callback);
+}
+
+/**
+ * Like map(), with at most `limit` iteratees running at once.
+ */
+function mapLimit(items, limit, iteratee, callback) {
+  callback = once(callback);
+  const results = new Array(items.length);
+
+  eachOfLimit(items, limit, (item, index, cb) => {
+    iteratee(item, (err, result) => {
+      results[index] = result;
+      cb(err);
+    });
+  }, err => callback(err, err ? undefined : results));
+}
+
+/**
+ * Calls `iteratee(cb)` as long as `test()` returns true. The final callback gets the arguments of
+ * the last iteratee call.
+ */
+function whilst(test, iteratee, callback) {
+  callback = once(callback);
+  let results = [];
+  let looping = false;
+  let again = false;
+
+  function next(err, ...args) {
+    if (err) {
+      return callback(err);
+    }
+    results = args;
+    let passed;
+    try {
+      passed = test(...args);
+    } catch (e) {
+      return callback(e);
+    }
+    if (!passed) {
+      return callback(null, ...results);
+    }
+    // Same as in waterfall: an iteratee that called back synchronously is called again by the loop below
+    if (looping) {
+      again = true;
+      return;
+    }
+    looping = true;
+    try {
+      do {
+        again = false;
+        call(iteratee, [], next, callback);
+      } while (again);
+    } finally {
+      looping = false;
+    }
+  }
+
+  next(null);
+}
+
+function runTasks(tasks, limit, callback) {
+  const isArray = Array.isArray(tasks);
+  const keys = isArray ? null : Object.keys(tasks);
+  const list = isArray ? tasks : keys.map(key => tasks[key]);
+
+  mapLimit(list, limit, (task, cb) => {
+    // Tasks that call back with more than one result get an array of them, like in the async library.
+    task((err, ...results) => cb(err, results.length > 1 ? results : results[0]));
+  }, (err, results) => {
+    if (err || isArray) {
+      return callback(err, results);
+    }
+    const byKey = {};
+    keys.forEach((key, i) => {
+      byKey[key] = results[i];
+    });
+    callback(null, byKey);
+  });
+}
+
+// The engine behind every collection helper: iterates `items` with at most `limit` iteratees in flight.
+function eachOfLimit(items, limit, iteratee, callback) {
+  callback = once(callback);
+  const length = items.length;
+  let started = 0;
+  let finished = 0;
+  let running = 0;
+  let failed = false;
+  let looping = false;
+
+  if (!(limit > 0)) {
+    return callback(new RangeError('limit must be greater than 0'));
+  }
+  if (length === 0) {
+    return callback(null);
+  }
+
+  function iterateeCallback(err) {
+    running--;
+    finished++;
+    if (failed) {
+      return;
+    }
+    if (err) {
+      failed = true;
+      return callback(err);
+    }
+    if (finished === length) {
+      return callback(null);
+    }
+    // Called back synchronously from inside replenish(): its loop starts the next iteratee, so the stack
+    // doesn't grow with every item
+    if (!looping) {
+      replenish();
+    }
+  }
+
+  function replenish() {
+    looping = true;
+    try {
+      while (!failed && running < limit && started < length) {
+        const index = started++;
+        running++;
+        call(iteratee, [items[index], index], iterateeCallback, e => {
+          failed = true;
+          callback(e);
+        });
+      }
+    } finally {
+      looping = false;
+    }
+  }
+
+  replenish();
+}
+
+/**
+ * Calls `fn(...args, cb)` and passes an exception it throws to `onError`. Once fn has called back, the rest of
+ * the flow - up to the final callback - may run synchronously inside that call, so an exception from there is
+ * rethrown: it isn't the task's error, and handing it to a final callback that has already been called would
+ * swallow it.
+ */
+function call(fn, args, cb, onError) {
+  let calledBack = false;
+  const callback = onlyOnce((...results) => {
+    calledBack = true;
+    cb(...results);
+  });
+  try {
+    fn(...args, callback);
+  } catch (e) {
+    if (calledBack) throw e;
+    onError(e);
+  }
+}
+
+function once(fn) {
+  let called = false;
+  return function (...args) {
+    if (called) return;
+    called = true;
+    fn.apply(this, args);
+  };
+}
+
+function onlyOnce(fn) {
+  let called = false;
+  return function (...args) {
+    if (called) {
+      throw new Error('Callback was already called.');
+    }
+    called = true;
+    fn.apply(this, args);
+  };
+}
+
+module.exports = {
+  series,
+  parallel,
+  waterfall,
+  each,
+  eachLimit,
+  map,
+  mapLimit,
+  whilst
+};
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('assert');
+const flow = require('./flow');
+
+// Turns a final callback into a promise for [err, ...results]
+const run = (helper, ...args) => new Promise(resolve => helper(...args, (...results) => resolve(results)));
+const later = (cb, ...args) => setImmediate(() => cb(...args));
+
+test('series runs tasks one after the other and collects their results', async () => {
+  const order = [];
+  const task = name => cb => {
+    order.push('start ' + name);
+    later(() => {
+      order.push('end ' + name);
+      cb(null, name);
+    });
+  };
+  assert.deepStrictEqual(await run(flow.series, [task('a'), task('b')]), [null, ['a', 'b']]);
+  assert.deepStrictEqual(order, ['start a', 'end a', 'start b', 'end b']);
+});
+
+test('series and parallel take an object of tasks and give back an object of results', async () => {
+  const [err, results] = await run(flow.parallel, {
+    one: cb => later(cb, null, 1),
+    two: cb => later(cb, null, 2, 'extra')
+  });
+  assert.strictEqual(err, null);
+  assert.deepStrictEqual(results, { one: 1, two: [2, 'extra'] });
+});
+
+test('parallel starts every task at once and keeps the results in task order', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const task = (value, ms) => cb => {
+    maxRunning = Math.max(maxRunning, ++running);
+    setTimeout(() => {
+      running--;
+      cb(null, value);
+    }, ms);
+  };
+  assert.deepStrictEqual(await run(flow.parallel, [task('slow', 10), task('fast', 1)]), [null, ['slow', 'fast']]);
+  assert.strictEqual(maxRunning, 2);
+});
+
+test('the first error short-circuits the flow and the final callback runs once', async () => {
+  let started = 0;
+  const [err] = await run(flow.series, [
+    cb => later(cb, new Error('first')),
+    cb => {
+      started++;
+      cb(null);
+    }
+  ]);
+  assert.match(err.message, /first/);
+  assert.strictEqual(started, 0);
+
+  let calls = 0;
+  await new Promise(resolve => {
+    flow.parallel([
+      cb => later(cb, new Error('a')),
+      cb => later(cb, new Error('b'))
+    ], () => calls++);
+    setTimeout(resolve, 5);
+  });
+  assert.strictEqual(calls, 1);
+});
+
+test('waterfall passes each task the results of the previous one', async () => {
+  assert.deepStrictEqual(await run(flow.waterfall, [
+    cb => later(cb, null, 1, 2),
+    (a, b, cb) => later(cb, null, a + b),
+    (sum, cb) => cb(null, sum * 10)
+  ]), [null, 30]);
+});
+
+test('waterfall passes a thrown exception to the final callback', async () => {
+  const [err] = await run(flow.waterfall, [
+    cb => later(cb, null),
+    () => {
+      throw new Error('thrown');
+    }
+  ]);
+  assert.match(err.message, /thrown/);
+});
+
+test('each, eachLimit and map call the iteratee for every item', async () => {
+  const seen = [];
+  assert.deepStrictEqual(await run(flow.each, [1, 2], (item, cb) => {
+    seen.push(item);
+    later(cb, null);
+  }), [null]);
+  assert.deepStrictEqual(seen, [1, 2]);
+  assert.deepStrictEqual(await run(flow.map, [1, 2, 3], (item, cb) => later(cb, null, item * 2)), [null, [2, 4, 6]]);
+  assert.deepStrictEqual(await run(flow.map, [], (item, cb) => cb(null, item)), [null, []]);
+});
+
+test('mapLimit never runs more than `limit` iteratees at once', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const [err, results] = await run(flow.mapLimit, [5, 1, 3, 2, 4], 2, (ms, cb) => {
+    maxRunning = Math.max(maxRunning, ++running);
+    setTimeout(() => {
+      running--;
+      cb(null, ms);
+    }, ms);
+  });
+  assert.strictEqual(err, null);
+  assert.deepStrictEqual(results, [5, 1, 3, 2, 4]);
+  assert.strictEqual(maxRunning, 2);
+});
+
+test('eachLimit rejects a limit that is not positive', async () => {
+  const [err] = await run(flow.eachLimit, [1], 0, (item, cb) => cb(null));
+  assert.ok(err instanceof RangeError);
+});
+
+test('whilst repeats the iteratee while the test passes', async () => {
+  let count = 0;
+  assert.deepStrictEqual(await run(flow.whilst, () => count < 3, cb => later(cb, null, ++count)), [null, 3]);
+  const [err] = await run(flow.whilst, () => true, cb => cb(new Error('stop')));
+  assert.match(err.message, /stop/);
+});
+
+test('a task that calls back twice throws', () => {
+  assert.throws(() => flow.series([cb => {
+    cb(null);
+    cb(null);
+  }], () => {}), /Callback was already called/);
+});
+
+test('synchronous tasks work, and deep chains of them too', async () => {
+  const sync = (cb, ...args) => cb(null, ...args);
+  assert.deepStrictEqual(await run(flow.series, [cb => sync(cb, 1), cb => sync(cb, 2)]), [null, [1, 2]]);
+  assert.deepStrictEqual(await run(flow.waterfall, [cb => sync(cb, 1), (a, cb) => sync(cb, a + 1)]), [null, 2]);
+  assert.deepStrictEqual(await run(flow.mapLimit, [1, 2, 3], 1, (item, cb) => sync(cb, item)), [null, [1, 2, 3]]);
+  let count = 0;
+  assert.deepStrictEqual(await run(flow.whilst, () => count < 1000, cb => sync(cb, ++count)), [null, 1000]);
+});
+
+test('thousands of synchronous tasks do not overflow the stack', async () => {
+  const sync = (cb, ...args) => cb(null, ...args);
+  const tasks = Array.from({ length: 10000 }, (_, i) => cb => sync(cb, i));
+  const [err, results] = await run(flow.series, tasks);
+  assert.strictEqual(err, null);
+  assert.strictEqual(results.length, 10000);
+  assert.strictEqual(results[9999], 9999);
+
+  const items = Array.from({ length: 20000 }, (_, i) => i);
+  let calls = 0;
+  assert.deepStrictEqual(await run(flow.eachLimit, items, 1, (item, cb) => sync(cb, ++calls)), [null]);
+  assert.deepStrictEqual(await run(flow.eachLimit, items, 5, (item, cb) => sync(cb, ++calls)), [null]);
+  assert.strictEqual(calls, 40000);
+
+  const steps = Array.from({ length: 10000 }, () => (n, cb) => sync(cb, n + 1));
+  assert.deepStrictEqual(await run(flow.waterfall, [cb => sync(cb, 0), ...steps]), [null, 10000]);
+  let count = 0;
+  assert.deepStrictEqual(await run(flow.whilst, () => count < 100000, cb => sync(cb, ++count)), [null, 100000]);
+
+  // Synchronous and asynchronous callbacks mixed
+  const mixed = items.map(i => cb => (i % 1000 === 0 ? later(cb, null, i) : sync(cb, i)));
+  assert.strictEqual((await run(flow.series, mixed))[1][19999], 19999);
+});
+
+test('an exception from the final callback is not swallowed when the tasks call back synchronously', () => {
+  const throwing = () => {
+    throw new Error('from the final callback');
+  };
+  const sync = cb => cb(null, 1);
+  assert.throws(() => flow.waterfall([sync, (value, cb) => cb(null, value)], throwing), /from the final callback/);
+  assert.throws(() => flow.series([sync, sync], throwing), /from the final callback/);
+  assert.throws(() => flow.parallel([sync], throwing), /from the final callback/);
+  assert.throws(() => flow.eachLimit([1, 2], 1, (item, cb) => cb(null), throwing), /from the final callback/);
+  let count = 0;
+  assert.throws(() => flow.whilst(() => count < 2, cb => cb(null, ++count), throwing), /from the final callback/);
+});
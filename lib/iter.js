@@ -0,0 +1,266 @@
+/**
+ * Lazy iterators
+ *
+ * fibonacci() in 3-generators.js yields numbers forever, and all a consumer can do with it is call
+ * gen.next().value again and again. Iter wraps any iterable in chainable, lazy operations:
+ *
+ *   Iter.from(fibonacci()).filter(isEven).map(sq).take(10).toArray();
+ *
+ * Nothing is computed until a value is asked for, and only as many values as needed are pulled from the source,
+ * so infinite generators are fine as long as something (take, zip with a finite iterable, ...) stops asking.
+ *
+ * When a chain stops early it calls return() on its source, like `for...of` does on break. So a generator's
+ * `finally` block runs, even when the generator sits at the bottom of a long chain.
+ *
+ * An Iter can be consumed once, like the iterator it wraps. Iter.range() and the helpers return new ones.
+ *
+ * @Reference:
+ * http://exploringjs.com/es6/ch_iteration.html#sec_closing-iterators
+ * https://github.com/tc39/proposal-iterator-helpers
+ * https://docs.python.org/3/library/itertools.html
+ */
+
+class Iter {
+  constructor(iterable) {
+    this._iterable = iterable;
+  }
+
+  /**
+   * Wraps an iterable (array, string, Map, generator, ...) or an iterator.
+   */
+  static from(iterable) {
+    if (iterable instanceof Iter) {
+      return iterable;
+    }
+    if (iterable != null && typeof iterable[Symbol.iterator] === 'function') {
+      return new Iter(iterable);
+    }
+    if (iterable != null && typeof iterable.next === 'function') {
+      return new Iter({ [Symbol.iterator]: () => iterable });
+    }
+    throw new TypeError('Expected an iterable or an iterator, got ' + iterable);
+  }
+
+  /**
+   * The numbers from `start` up to, but not including, `end` (Infinity by default), `step` apart.
+   * range(5) counts 0 to 4, like Python's range.
+   */
+  static range(start, end, step = 1) {
+    if (end === undefined) {
+      [start, end] = [0, start === undefined ? Infinity : start];
+    }
+    if (step === 0) {
+      throw new RangeError('step must not be 0');
+    }
+    return new Iter({
+      *[Symbol.iterator]() {
+        for (let i = start; step > 0 ? i < end : i > end; i += step) {
+          yield i;
+        }
+      }
+    });
+  }
+
+  /**
+   * Repeats the values of `iterable` forever. The source is read once; its values are remembered for the
+   * following rounds.
+   */
+  static cycle(iterable) {
+    return Iter.from(iterable).cycle();
+  }
+
+  /**
+   * Arrays with one value of each iterable, until the shortest one runs out.
+   */
+  static zip(...iterables) {
+    return new Iter({
+      *[Symbol.iterator]() {
+        const iterators = iterables.map(iterable => Iter.from(iterable)[Symbol.iterator]());
+        // Those that haven't ended on their own, and have to be closed
+        let open = iterators;
+        try {
+          while (true) {
+            const results = [];
+            for (const iterator of iterators) {
+              const result = iterator.next();
+              if (result.done) {
+                open = iterators.filter(other => other !== iterator);
+                return;
+              }
+              results.push(result.value);
+            }
+            yield results;
+          }
+        } finally {
+          open.forEach(closeIterator);
+        }
+      }
+    });
+  }
+
+  [Symbol.iterator]() {
+    return this._iterable[Symbol.iterator]();
+  }
+
+  // Every operation is a generator over the source, so closing it (return()) closes the source too.
+  _chain(generatorFn) {
+    const source = this;
+    return new Iter({
+      [Symbol.iterator]: () => generatorFn(source)
+    });
+  }
+
+  map(fn) {
+    return this._chain(function* (source) {
+      let index = 0;
+      for (const value of source) {
+        yield fn(value, index++);
+      }
+    });
+  }
+
+  filter(predicate) {
+    return this._chain(function* (source) {
+      let index = 0;
+      for (const value of source) {
+        if (predicate(value, index++)) {
+          yield value;
+        }
+      }
+    });
+  }
+
+  /**
+   * The first `count` values. Closes the source once it has them.
+   */
+  take(count) {
+    return this._chain(function* (source) {
+      if (count <= 0) {
+        return;
+      }
+      let taken = 0;
+      for (const value of source) {
+        yield value;
+        if (++taken >= count) {
+          return;
+        }
+      }
+    });
+  }
+
+  /**
+   * Maps every value to an iterable and yields the values of those, one after the other.
+   */
+  flatMap(fn) {
+    return this._chain(function* (source) {
+      let index = 0;
+      for (const value of source) {
+        yield* Iter.from(fn(value, index++));
+      }
+    });
+  }
+
+  /**
+   * Arrays of `size` consecutive values, without overlap: [1, 2, 3, 4, 5] -> [1, 2], [3, 4], [5].
+   */
+  chunk(size) {
+    assertSize(size);
+    return this._chain(function* (source) {
+      let chunk = [];
+      for (const value of source) {
+        chunk.push(value);
+        if (chunk.length === size) {
+          yield chunk;
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) {
+        yield chunk;
+      }
+    });
+  }
+
+  /**
+   * Sliding windows of `size` consecutive values: [1, 2, 3, 4] -> [1, 2], [2, 3], [3, 4].
+   * A source shorter than `size` gives no windows at all.
+   */
+  window(size) {
+    assertSize(size);
+    return this._chain(function* (source) {
+      const window = [];
+      for (const value of source) {
+        window.push(value);
+        if (window.length > size) {
+          window.shift();
+        }
+        if (window.length === size) {
+          yield window.slice();
+        }
+      }
+    });
+  }
+
+  /**
+   * Arrays of this iterable's values together with the values of `others`, until the shortest one runs out.
+   */
+  zip(...others) {
+    return Iter.zip(this, ...others);
+  }
+
+  /**
+   * Repeats the values forever. See Iter.cycle().
+   */
+  cycle() {
+    return this._chain(function* (source) {
+      const seen = [];
+      for (const value of source) {
+        seen.push(value);
+        yield value;
+      }
+      if (seen.length === 0) {
+        return;
+      }
+      while (true) {
+        yield* seen;
+      }
+    });
+  }
+
+  toArray() {
+    return Array.from(this);
+  }
+
+  forEach(fn) {
+    let index = 0;
+    for (const value of this) {
+      fn(value, index++);
+    }
+  }
+
+  reduce(fn, initial) {
+    let accumulator = initial;
+    let index = 0;
+    for (const value of this) {
+      accumulator = index === 0 && arguments.length < 2 ? value : fn(accumulator, value, index);
+      index++;
+    }
+    if (index === 0 && arguments.length < 2) {
+      throw new TypeError('Reduce of empty iterator with no initial value');
+    }
+    return accumulator;
+  }
+}
+
+function assertSize(size) {
+  if (!(Number.isInteger(size) && size >= 1)) {
+    throw new RangeError('Expected size to be a positive integer, got ' + size);
+  }
+}
+
+function closeIterator(iterator) {
+  if (typeof iterator.return === 'function') {
+    iterator.return();
+  }
+}
+
+module.exports = Iter;
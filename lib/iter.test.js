@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('assert');
+const Iter = require('./iter');
+
+function* fibonacci() {
+  let [a, b] = [0, 1];
+  while (true) {
+    yield a;
+    [a, b] = [b, a + b];
+  }
+}
+
+// A generator over `values` that records how many it handed out and whether it was closed
+function tracked(values) {
+  const state = { pulled: 0, closed: false };
+  state.iterable = (function* () {
+    try {
+      for (const value of values) {
+        state.pulled++;
+        yield value;
+      }
+    } finally {
+      state.closed = true;
+    }
+  })();
+  return state;
+}
+
+test('chains lazily over an infinite generator', () => {
+  const result = Iter.from(fibonacci()).filter(n => n % 2 === 0).map(n => n * n).take(5).toArray();
+  assert.deepStrictEqual(result, [0, 4, 64, 1156, 20736]);
+});
+
+test('pulls only as many values as needed and closes the source', () => {
+  const source = tracked([1, 2, 3, 4, 5]);
+  const iter = Iter.from(source.iterable).map((n, i) => [n, i]).take(2);
+  assert.strictEqual(source.pulled, 0);
+  assert.deepStrictEqual(iter.toArray(), [[1, 0], [2, 1]]);
+  assert.strictEqual(source.pulled, 2);
+  assert.strictEqual(source.closed, true);
+});
+
+test('from() takes iterables, iterators and Iters', () => {
+  const iter = Iter.range(3);
+  assert.strictEqual(Iter.from(iter), iter);
+  assert.deepStrictEqual(Iter.from('ab').toArray(), ['a', 'b']);
+  assert.deepStrictEqual(Iter.from(new Map([[1, 'one']])).toArray(), [[1, 'one']]);
+  let n = 0;
+  const iterator = { next: () => (n < 2 ? { value: n++, done: false } : { done: true }) };
+  assert.deepStrictEqual(Iter.from(iterator).toArray(), [0, 1]);
+  assert.throws(() => Iter.from(42), TypeError);
+  assert.throws(() => Iter.from(null), TypeError);
+});
+
+test('range() counts like Python', () => {
+  assert.deepStrictEqual(Iter.range(5).toArray(), [0, 1, 2, 3, 4]);
+  assert.deepStrictEqual(Iter.range(2, 5).toArray(), [2, 3, 4]);
+  assert.deepStrictEqual(Iter.range(10, 0, -3).toArray(), [10, 7, 4, 1]);
+  assert.deepStrictEqual(Iter.range().take(3).toArray(), [0, 1, 2]);
+  assert.throws(() => Iter.range(0, 10, 0), RangeError);
+});
+
+test('flatMap(), chunk() and window()', () => {
+  assert.deepStrictEqual(Iter.range(3).flatMap((n, i) => Array(n).fill(i)).toArray(), [1, 2, 2]);
+  assert.deepStrictEqual(Iter.range(1, 6).chunk(2).toArray(), [[1, 2], [3, 4], [5]]);
+  assert.deepStrictEqual(Iter.range(1, 5).window(2).toArray(), [[1, 2], [2, 3], [3, 4]]);
+  assert.deepStrictEqual(Iter.range(2).window(3).toArray(), []);
+  assert.throws(() => Iter.range(3).chunk(0), RangeError);
+  assert.throws(() => Iter.range(3).window(1.5), RangeError);
+});
+
+test('zip() ends with the shortest iterable and closes the others', () => {
+  const longer = tracked(['a', 'b', 'c']);
+  assert.deepStrictEqual(Iter.range(2).zip(longer.iterable).toArray(), [[0, 'a'], [1, 'b']]);
+  assert.strictEqual(longer.closed, true);
+  assert.deepStrictEqual(Iter.zip(fibonacci(), 'xyz').toArray(), [[0, 'x'], [1, 'y'], [1, 'z']]);
+});
+
+test('cycle() reads the source once and repeats it', () => {
+  const source = tracked([1, 2]);
+  assert.deepStrictEqual(Iter.cycle(source.iterable).take(5).toArray(), [1, 2, 1, 2, 1]);
+  assert.strictEqual(source.pulled, 2);
+  assert.deepStrictEqual(Iter.cycle([]).toArray(), []);
+});
+
+test('closes a generator at the bottom of a chain when the consumer breaks', () => {
+  const source = tracked(Iter.range(100));
+  for (const value of Iter.from(source.iterable).map(n => n + 1).filter(n => n > 0).chunk(2)) {
+    assert.deepStrictEqual(value, [1, 2]);
+    break;
+  }
+  assert.strictEqual(source.closed, true);
+});
+
+test('reduce() and forEach()', () => {
+  assert.strictEqual(Iter.range(1, 5).reduce((sum, n) => sum + n), 10);
+  assert.strictEqual(Iter.range(1, 5).reduce((sum, n) => sum + n, 100), 110);
+  assert.strictEqual(Iter.range(0).reduce((sum, n) => sum + n, 'empty'), 'empty');
+  assert.throws(() => Iter.range(0).reduce((sum, n) => sum + n), TypeError);
+
+  const seen = [];
+  Iter.from('ab').forEach((value, index) => seen.push([value, index]));
+  assert.deepStrictEqual(seen, [['a', 0], ['b', 1]]);
+});
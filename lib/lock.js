@@ -0,0 +1,232 @@
+/**
+ * Locks for async code
+ *
+ * JavaScript runs one function at a time, but an async function gives way at every await. Two calls of
+ *
+ *   async function deposit(amount) {
+ *     const balance = await db.getBalance();
+ *     await db.setBalance(balance + amount);
+ *   }
+ *
+ * can both read the old balance before either one writes, and one deposit is lost. A lock makes the
+ * read-modify-write happen one call at a time:
+ *
+ *   const mutex = new Mutex();
+ *   const deposit = amount => mutex.runExclusive(async () => { ... });
+ *
+ * * Mutex - one holder at a time
+ * * Semaphore(n) - up to n holders at a time, e.g. n open connections
+ * * RWLock - any number of readers, or a single writer
+ *
+ * Waiters get the lock first come, first served: a steady stream of readers can't keep a writer waiting forever,
+ * because readers that arrive after a waiting writer queue up behind it.
+ *
+ * acquire() (acquireRead() and acquireWrite() for RWLock) resolves with a release function that must be called
+ * once the work is done; calling it again does nothing. runExclusive(fn) (runRead, runWrite) does that for you,
+ * also when fn throws. All of them take options:
+ * * timeout - give up after this many ms, rejecting with a TimeoutError (default: wait forever)
+ * * signal - an AbortSignal to give up waiting; rejects with the signal's reason
+ * Giving up only ever affects waiting: once the lock is held, it's up to the holder to release it.
+ *
+ * @Reference:
+ * https://en.wikipedia.org/wiki/Semaphore_(programming)
+ * https://en.wikipedia.org/wiki/Readers%E2%80%93writer_lock
+ * https://github.com/DirtyHairy/async-mutex
+ */
+
+const { TimeoutError } = require('./timeout');
+const { realClock } = require('./fake-timers');
+
+/**
+ * Puts `entry` in the lock's queue and resolves with the release function once the lock's _dispatch() grants
+ * it, or rejects when the timeout fires or the signal is aborted first.
+ */
+function wait(lock, entry, { timeout, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(signal.reason);
+    }
+
+    let timer = null;
+    const onAbort = () => giveUp(signal.reason);
+    const cleanup = () => {
+      if (timer !== null) lock._clock.clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    function giveUp(reason) {
+      const index = lock._queue.indexOf(entry);
+      if (index === -1) return;
+      lock._queue.splice(index, 1);
+      cleanup();
+      reject(reason);
+      // Whoever queued up behind us may be able to go now.
+      lock._dispatch();
+    }
+
+    entry.grant = release => {
+      cleanup();
+      resolve(release);
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    if (timeout !== undefined && timeout !== Infinity) {
+      timer = lock._clock.setTimeout(() => {
+        giveUp(new TimeoutError(`Timed out after ${timeout} ms waiting for the lock`, timeout));
+      }, timeout);
+    }
+    lock._queue.push(entry);
+    lock._dispatch();
+  });
+}
+
+// A release function that only counts the first call
+function once(fn) {
+  let called = false;
+  return () => {
+    if (called) return;
+    called = true;
+    fn();
+  };
+}
+
+async function runWith(acquire, fn) {
+  const release = await acquire();
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+class Semaphore {
+  /**
+   * Options:
+   * * clock - { setTimeout, clearTimeout } for the timeout option
+   */
+  constructor(permits, { clock = realClock } = {}) {
+    if (!(Number.isInteger(permits) && permits >= 1)) {
+      throw new RangeError('Expected permits to be a positive integer, got ' + permits);
+    }
+    this.permits = permits;
+    this._available = permits;
+    this._queue = [];
+    this._clock = clock;
+  }
+
+  /**
+   * How many more holders can acquire right now
+   */
+  get available() {
+    return this._available;
+  }
+
+  /**
+   * How many acquire() calls are waiting
+   */
+  get waiting() {
+    return this._queue.length;
+  }
+
+  isLocked() {
+    return this._available === 0;
+  }
+
+  acquire(options) {
+    return wait(this, {}, options);
+  }
+
+  /**
+   * Calls `fn` once a permit is available and releases it when the promise fn returns settles.
+   * Resolves or rejects like fn.
+   */
+  runExclusive(fn, options) {
+    return runWith(() => this.acquire(options), fn);
+  }
+
+  _dispatch() {
+    while (this._available > 0 && this._queue.length > 0) {
+      this._available--;
+      this._queue.shift().grant(once(() => {
+        this._available++;
+        this._dispatch();
+      }));
+    }
+  }
+}
+
+class Mutex extends Semaphore {
+  constructor(options) {
+    super(1, options);
+  }
+}
+
+class RWLock {
+  /**
+   * Options:
+   * * clock - { setTimeout, clearTimeout } for the timeout option
+   */
+  constructor({ clock = realClock } = {}) {
+    this.readers = 0;
+    this.writing = false;
+    this._queue = [];
+    this._clock = clock;
+  }
+
+  get waiting() {
+    return this._queue.length;
+  }
+
+  /**
+   * Whether anyone holds the lock, reading or writing
+   */
+  isLocked() {
+    return this.writing || this.readers > 0;
+  }
+
+  acquireRead(options) {
+    return wait(this, { write: false }, options);
+  }
+
+  acquireWrite(options) {
+    return wait(this, { write: true }, options);
+  }
+
+  runRead(fn, options) {
+    return runWith(() => this.acquireRead(options), fn);
+  }
+
+  runWrite(fn, options) {
+    return runWith(() => this.acquireWrite(options), fn);
+  }
+
+  _dispatch() {
+    while (this._queue.length > 0 && !this.writing) {
+      const entry = this._queue[0];
+      if (entry.write) {
+        if (this.readers > 0) return;
+        this._queue.shift();
+        this.writing = true;
+        entry.grant(once(() => {
+          this.writing = false;
+          this._dispatch();
+        }));
+      } else {
+        this._queue.shift();
+        this.readers++;
+        entry.grant(once(() => {
+          this.readers--;
+          this._dispatch();
+        }));
+      }
+    }
+  }
+}
+
+module.exports = {
+  Mutex,
+  Semaphore,
+  RWLock,
+  TimeoutError
+};
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Mutex, Semaphore, RWLock, TimeoutError } = require('./lock');
+const { createClock } = require('./fake-timers');
+
+const pause = () => new Promise(resolve => setImmediate(resolve));
+
+test('a mutex keeps concurrent read-modify-writes from losing updates', async () => {
+  let balance = 0;
+  const deposit = async amount => {
+    const read = balance;
+    await pause();
+    balance = read + amount;
+  };
+
+  await Promise.all(Array.from({ length: 10 }, () => deposit(1)));
+  assert.notStrictEqual(balance, 10, 'without the lock updates get lost');
+
+  balance = 0;
+  const mutex = new Mutex();
+  await Promise.all(Array.from({ length: 10 }, () => mutex.runExclusive(() => deposit(1))));
+  assert.strictEqual(balance, 10);
+  assert.strictEqual(mutex.isLocked(), false);
+});
+
+test('waiters get the lock first come, first served', async () => {
+  const mutex = new Mutex();
+  const order = [];
+  const release = await mutex.acquire();
+  const waiters = ['a', 'b', 'c'].map(name => mutex.runExclusive(async () => {
+    order.push(name);
+    await pause();
+  }));
+  assert.strictEqual(mutex.waiting, 3);
+  await pause();
+  assert.deepStrictEqual(order, []);
+  release();
+  await Promise.all(waiters);
+  assert.deepStrictEqual(order, ['a', 'b', 'c']);
+});
+
+test('releasing twice only counts once', async () => {
+  const semaphore = new Semaphore(2);
+  const release = await semaphore.acquire();
+  await semaphore.acquire();
+  assert.strictEqual(semaphore.available, 0);
+  release();
+  release();
+  assert.strictEqual(semaphore.available, 1);
+});
+
+test('a semaphore lets up to n holders in', async () => {
+  const semaphore = new Semaphore(2);
+  let running = 0;
+  let most = 0;
+  await Promise.all(Array.from({ length: 6 }, () => semaphore.runExclusive(async () => {
+    most = Math.max(most, ++running);
+    await pause();
+    running--;
+  })));
+  assert.strictEqual(most, 2);
+  assert.strictEqual(semaphore.available, 2);
+  assert.throws(() => new Semaphore(0), RangeError);
+});
+
+test('runExclusive() releases when fn throws', async () => {
+  const mutex = new Mutex();
+  await assert.rejects(mutex.runExclusive(async () => { throw new Error('failed'); }), /failed/);
+  await assert.rejects(mutex.runExclusive(() => { throw new Error('sync'); }), /sync/);
+  assert.strictEqual(mutex.isLocked(), false);
+  assert.strictEqual(await mutex.runExclusive(() => 'next'), 'next');
+});
+
+test('timeout gives up waiting with a TimeoutError and lets the next waiter go', async () => {
+  const clock = createClock();
+  const mutex = new Mutex({ clock });
+  const release = await mutex.acquire();
+  const impatient = mutex.acquire({ timeout: 100 });
+  const rejected = assert.rejects(impatient, error => {
+    assert.ok(error instanceof TimeoutError);
+    assert.match(error.message, /Timed out after 100 ms waiting for the lock/);
+    return true;
+  });
+  const patient = mutex.acquire({ timeout: 500 });
+
+  await clock.tick(100);
+  await rejected;
+  assert.strictEqual(mutex.waiting, 1);
+  release();
+  const releasePatient = await patient;
+  assert.strictEqual(clock.countTimers(), 0);
+  releasePatient();
+  assert.strictEqual(mutex.isLocked(), false);
+});
+
+test('an AbortSignal cancels waiting with its reason', async () => {
+  const mutex = new Mutex();
+  const release = await mutex.acquire();
+  const controller = new AbortController();
+  const waiting = mutex.acquire({ signal: controller.signal });
+  controller.abort(new Error('not needed any more'));
+  await assert.rejects(waiting, /not needed any more/);
+  assert.strictEqual(mutex.waiting, 0);
+
+  await assert.rejects(mutex.acquire({ signal: controller.signal }), /not needed any more/);
+  release();
+  assert.strictEqual(mutex.isLocked(), false);
+});
+
+test('giving up does not affect a lock that was granted already', async () => {
+  const clock = createClock();
+  const mutex = new Mutex({ clock });
+  const controller = new AbortController();
+  const release = await mutex.acquire({ timeout: 100, signal: controller.signal });
+  controller.abort();
+  await clock.tick(200);
+  assert.strictEqual(mutex.isLocked(), true);
+  release();
+});
+
+test('RWLock lets readers share and keeps writers exclusive', async () => {
+  const lock = new RWLock();
+  const log = [];
+  const read = name => lock.runRead(async () => {
+    log.push(`${name} start (${lock.readers} readers, writing ${lock.writing})`);
+    await pause();
+    log.push(`${name} end`);
+  });
+  const write = name => lock.runWrite(async () => {
+    log.push(`${name} start (${lock.readers} readers, writing ${lock.writing})`);
+    await pause();
+    log.push(`${name} end`);
+  });
+
+  await Promise.all([read('r1'), read('r2'), write('w1'), read('r3')]);
+  assert.deepStrictEqual(log, [
+    'r1 start (2 readers, writing false)',
+    'r2 start (2 readers, writing false)',
+    'r1 end',
+    'r2 end',
+    'w1 start (0 readers, writing true)',
+    'w1 end',
+    'r3 start (1 readers, writing false)',
+    'r3 end'
+  ]);
+  assert.strictEqual(lock.isLocked(), false);
+});
+
+test('a waiting writer gives up and the readers behind it get in', async () => {
+  const clock = createClock();
+  const lock = new RWLock({ clock });
+  const releaseRead = await lock.acquireRead();
+  const writer = lock.acquireWrite({ timeout: 50 });
+  const rejected = assert.rejects(writer, TimeoutError);
+  const reader = lock.acquireRead();
+  assert.strictEqual(lock.waiting, 2);
+
+  await clock.tick(50);
+  await rejected;
+  const releaseSecond = await reader;
+  assert.strictEqual(lock.readers, 2);
+  releaseRead();
+  releaseSecond();
+  assert.strictEqual(lock.isLocked(), false);
+});
@@ -0,0 +1,124 @@
+/**
+ * Memoizing async functions
+ *
+ * fetch('foo') in 2-promises.js sends a request every time it's called, even while an identical request is still on
+ * its way. memoizeAsync() wraps a promise returning function so that calls with the same key share one promise:
+ * the first call does the work, and everyone who asks for the same key while it runs - or, with a `ttl`, for a while
+ * after - gets the same promise.
+ *
+ *   const getUser = memoizeAsync(id => fetch(`/users/${id}`).then(res => res.json()), { ttl: 60000 });
+ *   getUser(1); getUser(1); // one request
+ *
+ * A rejection isn't remembered unless `cacheRejections` is set: the entry is dropped as soon as the promise
+ * rejects, so the next call tries again.
+ *
+ * With `staleWhileRevalidate`, a value whose ttl has run out is still returned right away for that many more ms,
+ * while a fresh one is fetched in the background for the calls after. A failed refresh keeps the stale value.
+ *
+ * Options:
+ * * key(...args) - the cache key for a call (default: JSON.stringify of the arguments)
+ * * ttl - how many ms a fulfilled value stays fresh (default Infinity)
+ * * maxSize - how many entries to keep; the least recently used one goes first (default Infinity)
+ * * cacheRejections - keep rejected promises for the ttl too (default false)
+ * * staleWhileRevalidate - ms after the ttl during which the stale value is served while refreshing, true for
+ *   no limit (default 0)
+ * * now - the clock for ttl, a function returning ms (default Date.now)
+ *
+ * The returned function has delete(...args), to forget the entry of those arguments, and clear().
+ *
+ * @Reference:
+ * https://web.dev/articles/stale-while-revalidate
+ * https://github.com/sindresorhus/p-memoize
+ */
+
+function memoizeAsync(fn, {
+  key = (...args) => JSON.stringify(args),
+  ttl = Infinity,
+  maxSize = Infinity,
+  cacheRejections = false,
+  staleWhileRevalidate = 0,
+  now = Date.now
+} = {}) {
+  const staleFor = staleWhileRevalidate === true ? Infinity : staleWhileRevalidate || 0;
+  // A Map iterates in insertion order, so re-inserting an entry on every hit keeps the least recently used first.
+  const cache = new Map();
+
+  function call(context, args) {
+    try {
+      return Promise.resolve(fn.apply(context, args));
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  function store(cacheKey, entry) {
+    cache.delete(cacheKey);
+    cache.set(cacheKey, entry);
+    while (cache.size > maxSize) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  // Starts the call for `cacheKey` and caches it while it runs
+  function load(context, args, cacheKey) {
+    const entry = { promise: call(context, args), settled: false, rejected: false, expires: Infinity, refreshing: null };
+    entry.promise.then(
+      () => {
+        entry.settled = true;
+        entry.expires = now() + ttl;
+      },
+      () => {
+        entry.settled = true;
+        entry.rejected = true;
+        entry.expires = now() + ttl;
+        if (!cacheRejections && cache.get(cacheKey) === entry) {
+          cache.delete(cacheKey);
+        }
+      }
+    );
+    store(cacheKey, entry);
+    return entry;
+  }
+
+  function refresh(context, args, cacheKey, stale) {
+    stale.refreshing = call(context, args);
+    stale.refreshing.then(
+      value => {
+        // Unless it was deleted or replaced in the meantime
+        if (cache.get(cacheKey) === stale) {
+          cache.set(cacheKey, { promise: stale.refreshing, settled: true, rejected: false, expires: now() + ttl, refreshing: null });
+        }
+      },
+      () => {
+        stale.refreshing = null;
+      }
+    );
+  }
+
+  function memoized(...args) {
+    const cacheKey = key(...args);
+    const entry = cache.get(cacheKey);
+    if (entry) {
+      const time = now();
+      const usable = !entry.settled || time < entry.expires ||
+        (!entry.rejected && time < entry.expires + staleFor);
+      if (usable) {
+        if (entry.settled && time >= entry.expires && !entry.refreshing) {
+          refresh(this, args, cacheKey, entry);
+        }
+        store(cacheKey, entry);
+        return entry.promise;
+      }
+      cache.delete(cacheKey);
+    }
+    return load(this, args, cacheKey).promise;
+  }
+
+  memoized.delete = (...args) => cache.delete(key(...args));
+  memoized.clear = () => cache.clear();
+  return memoized;
+}
+
+module.exports = {
+  memoizeAsync
+};
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('assert');
+const { memoizeAsync } = require('./memoize');
+
+// A function that records its calls, and whose promises the test settles by hand
+function controllable() {
+  const calls = [];
+  const fn = (...args) => new Promise((resolve, reject) => calls.push({ args, resolve, reject }));
+  return { fn, calls };
+}
+
+// Lets the promise reactions of settled calls run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('calls with the same arguments share one promise', async () => {
+  const { fn, calls } = controllable();
+  const memoized = memoizeAsync(fn);
+  const first = memoized(1);
+  assert.strictEqual(memoized(1), first);
+  assert.notStrictEqual(memoized(2), first);
+  assert.strictEqual(calls.length, 2);
+
+  calls[0].resolve('one');
+  assert.strictEqual(await first, 'one');
+  assert.strictEqual(await memoized(1), 'one');
+  assert.strictEqual(calls.length, 2);
+});
+
+test('key() decides which calls are the same', async () => {
+  const { fn, calls } = controllable();
+  const memoized = memoizeAsync(fn, { key: user => user.id });
+  memoized({ id: 1, name: 'a' });
+  memoized({ id: 1, name: 'b' });
+  assert.strictEqual(calls.length, 1);
+});
+
+test('a rejection is forgotten so the next call tries again', async () => {
+  const { fn, calls } = controllable();
+  const memoized = memoizeAsync(fn);
+  const first = memoized();
+  calls[0].reject(new Error('failed'));
+  await assert.rejects(first, /failed/);
+  memoized();
+  assert.strictEqual(calls.length, 2);
+
+  const sync = memoizeAsync(() => { throw new Error('sync'); });
+  await assert.rejects(sync(), /sync/);
+});
+
+test('cacheRejections keeps a rejection for the ttl', async () => {
+  let time = 0;
+  const { fn, calls } = controllable();
+  const memoized = memoizeAsync(fn, { cacheRejections: true, ttl: 100, now: () => time });
+  const first = memoized();
+  calls[0].reject(new Error('failed'));
+  await assert.rejects(first, /failed/);
+  assert.strictEqual(memoized(), first);
+  time = 100;
+  assert.notStrictEqual(memoized(), first);
+  assert.strictEqual(calls.length, 2);
+});
+
+test('a value stays fresh for the ttl', async () => {
+  let time = 0;
+  const { fn, calls } = controllable();
+  const memoized = memoizeAsync(fn, { ttl: 100, now: () => time });
+  const first = memoized();
+  time = 500;
+  // The ttl only starts once the promise has settled
+  assert.strictEqual(memoized(), first);
+  calls[0].resolve('value');
+  await settle();
+  time = 599;
+  assert.strictEqual(memoized(), first);
+  time = 600;
+  assert.notStrictEqual(memoized(), first);
+  assert.strictEqual(calls.length, 2);
+});
+
+test('maxSize drops the least recently used entry', async () => {
+  const { fn, calls } = controllable();
+  const memoized = memoizeAsync(fn, { maxSize: 2 });
+  memoized('a');
+  memoized('b');
+  memoized('a');
+  memoized('c');
+  assert.strictEqual(calls.length, 3);
+  memoized('a');
+  assert.strictEqual(calls.length, 3);
+  memoized('b');
+  assert.strictEqual(calls.length, 4);
+});
+
+test('staleWhileRevalidate serves the stale value while fetching a fresh one', async () => {
+  let time = 0;
+  const { fn, calls } = controllable();
+  const memoized = memoizeAsync(fn, { ttl: 100, staleWhileRevalidate: 50, now: () => time });
+  memoized();
+  calls[0].resolve('old');
+  await settle();
+
+  time = 120;
+  assert.strictEqual(await memoized(), 'old');
+  assert.strictEqual(await memoized(), 'old');
+  assert.strictEqual(calls.length, 2, 'refreshes once');
+  calls[1].resolve('new');
+  await settle();
+  assert.strictEqual(await memoized(), 'new');
+
+  time = 400;
+  memoized();
+  assert.strictEqual(calls.length, 3, 'too stale to serve');
+});
+
+test('a failed refresh keeps the stale value and tries again on the next call', async () => {
+  let time = 0;
+  const { fn, calls } = controllable();
+  const memoized = memoizeAsync(fn, { ttl: 100, staleWhileRevalidate: true, now: () => time });
+  memoized();
+  calls[0].resolve('old');
+  await settle();
+
+  time = 10000;
+  assert.strictEqual(await memoized(), 'old');
+  calls[1].reject(new Error('refresh failed'));
+  await settle();
+  assert.strictEqual(await memoized(), 'old');
+  assert.strictEqual(calls.length, 3);
+});
+
+test('delete() and clear() forget entries', () => {
+  const { fn, calls } = controllable();
+  const memoized = memoizeAsync(fn);
+  memoized(1);
+  memoized(2);
+  assert.strictEqual(memoized.delete(1), true);
+  memoized(1);
+  memoized(2);
+  assert.strictEqual(calls.length, 3);
+  memoized.clear();
+  memoized(2);
+  assert.strictEqual(calls.length, 4);
+});
+
+test('passes `this` through', async () => {
+  const api = {
+    base: '/users/',
+    get: memoizeAsync(async function (id) {
+      return this.base + id;
+    })
+  };
+  assert.strictEqual(await api.get(1), '/users/1');
+});
@@ -0,0 +1,227 @@
+/**
+ * MyPromise
+ *
+ * A from scratch implementation of the Promises/A+ spec, plus the static helpers of ES6 promises.
+ * It's here to make the rules from 2-promises.js and the README concrete:
+ * * A promise settles only once. The first call to resolve or reject wins, later calls are ignored.
+ * * Resolving with a thenable (another promise) adopts its state, instead of fulfilling with the thenable itself.
+ *   Rejecting with a promise doesn't - the promise simply becomes the rejection reason.
+ * * Reactions always run asynchronously, on a later tick, even when the promise is already settled.
+ * * .then returns a new promise, settled with whatever the reaction returns or throws. That's what makes chaining work.
+ *
+ * @Reference:
+ * https://promisesaplus.com/
+ * http://www.mattgreer.org/articles/promises-in-wicked-detail/
+ * https://tc39.es/ecma262/#sec-promise-objects
+ */
+
+const PENDING = 'pending';
+const FULFILLED = 'fulfilled';
+const REJECTED = 'rejected';
+
+// Reactions run as microtasks, like the reactions of native promises.
+const schedule = typeof queueMicrotask === 'function'
+  ? queueMicrotask
+  : fn => Promise.resolve().then(fn);
+
+class MyPromise {
+  constructor(executor) {
+    if (typeof executor !== 'function') {
+      throw new TypeError('MyPromise resolver ' + executor + ' is not a function');
+    }
+    this._state = PENDING;
+    this._value = undefined;
+    this._reactions = [];
+
+    const { resolve, reject } = this._resolvingFunctions();
+    try {
+      executor(resolve, reject);
+    } catch (err) {
+      reject(err);
+    }
+  }
+
+  /**
+   * Registers reactions and returns a new promise for their outcome (2.2).
+   */
+  then(onFulfilled, onRejected) {
+    return new MyPromise((resolve, reject) => {
+      this._react({
+        onFulfilled: typeof onFulfilled === 'function' ? onFulfilled : null,
+        onRejected: typeof onRejected === 'function' ? onRejected : null,
+        resolve,
+        reject
+      });
+    });
+  }
+
+  catch(onRejected) {
+    return this.then(null, onRejected);
+  }
+
+  /**
+   * Runs `onFinally` whatever the outcome, and passes the original outcome through
+   * (unless onFinally throws or returns a rejected promise).
+   */
+  finally(onFinally) {
+    if (typeof onFinally !== 'function') {
+      return this.then(onFinally, onFinally);
+    }
+    return this.then(
+      value => MyPromise.resolve(onFinally()).then(() => value),
+      reason => MyPromise.resolve(onFinally()).then(() => {
+        throw reason;
+      })
+    );
+  }
+
+  static resolve(value) {
+    if (value instanceof MyPromise && value.constructor === MyPromise) {
+      return value;
+    }
+    return new MyPromise(resolve => resolve(value));
+  }
+
+  static reject(reason) {
+    return new MyPromise((resolve, reject) => reject(reason));
+  }
+
+  /**
+   * Fulfills with all the values once every item fulfilled, or rejects with the first rejection.
+   */
+  static all(iterable) {
+    return new MyPromise((resolve, reject) => {
+      const values = [];
+      let remaining = 0;
+      let index = 0;
+      for (const item of iterable) {
+        const i = index++;
+        remaining++;
+        MyPromise.resolve(item).then(value => {
+          values[i] = value;
+          if (--remaining === 0) resolve(values);
+        }, reject);
+      }
+      if (remaining === 0) resolve(values);
+    });
+  }
+
+  /**
+   * Settles like the first item to settle.
+   */
+  static race(iterable) {
+    return new MyPromise((resolve, reject) => {
+      for (const item of iterable) {
+        MyPromise.resolve(item).then(resolve, reject);
+      }
+    });
+  }
+
+  /**
+   * Waits for every item to settle, and fulfills with a { status, value | reason } object for each of them.
+   */
+  static allSettled(iterable) {
+    return MyPromise.all(Array.from(iterable, item => MyPromise.resolve(item).then(
+      value => ({ status: FULFILLED, value }),
+      reason => ({ status: REJECTED, reason })
+    )));
+  }
+
+  /**
+   * Fulfills with the first item to fulfill, or rejects with an AggregateError once every item rejected.
+   */
+  static any(iterable) {
+    return new MyPromise((resolve, reject) => {
+      const errors = [];
+      let remaining = 0;
+      let index = 0;
+      for (const item of iterable) {
+        const i = index++;
+        remaining++;
+        MyPromise.resolve(item).then(resolve, reason => {
+          errors[i] = reason;
+          if (--remaining === 0) reject(new AggregateError(errors, 'All promises were rejected'));
+        });
+      }
+      if (remaining === 0) reject(new AggregateError(errors, 'All promises were rejected'));
+    });
+  }
+
+  // Only the first call to either of the pair has an effect - once a promise is resolved, it's result can't change.
+  _resolvingFunctions() {
+    let alreadyResolved = false;
+    return {
+      resolve: value => {
+        if (alreadyResolved) return;
+        alreadyResolved = true;
+        this._resolve(value);
+      },
+      reject: reason => {
+        if (alreadyResolved) return;
+        alreadyResolved = true;
+        this._settle(REJECTED, reason);
+      }
+    };
+  }
+
+  // The Promise Resolution Procedure (2.3)
+  _resolve(x) {
+    if (x === this) {
+      return this._settle(REJECTED, new TypeError('Chaining cycle detected for promise'));
+    }
+    if (x !== null && (typeof x === 'object' || typeof x === 'function')) {
+      let then;
+      try {
+        then = x.then; // retrieved only once, a getter may return something different the next time
+      } catch (err) {
+        return this._settle(REJECTED, err);
+      }
+      if (typeof then === 'function') {
+        const { resolve, reject } = this._resolvingFunctions();
+        try {
+          then.call(x, resolve, reject);
+        } catch (err) {
+          reject(err);
+        }
+        return;
+      }
+    }
+    this._settle(FULFILLED, x);
+  }
+
+  _settle(state, value) {
+    if (this._state !== PENDING) return;
+    this._state = state;
+    this._value = value;
+    const reactions = this._reactions;
+    this._reactions = null;
+    reactions.forEach(reaction => this._runReaction(reaction));
+  }
+
+  _react(reaction) {
+    if (this._state === PENDING) {
+      this._reactions.push(reaction);
+    } else {
+      this._runReaction(reaction);
+    }
+  }
+
+  _runReaction({ onFulfilled, onRejected, resolve, reject }) {
+    schedule(() => {
+      const handler = this._state === FULFILLED ? onFulfilled : onRejected;
+      if (!handler) {
+        // No reaction for this branch: pass the outcome on to the next promise in the chain.
+        return this._state === FULFILLED ? resolve(this._value) : reject(this._value);
+      }
+      let result;
+      try {
+        result = handler(this._value);
+      } catch (err) {
+        return reject(err);
+      }
+      resolve(result);
+    });
+  }
+}
+
+module.exports = MyPromise;
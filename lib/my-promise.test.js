@@ -0,0 +1,86 @@
+// The Promises/A+ rules for then() are covered by the compliance suite (npm run test:aplus). These tests cover
+// what the spec leaves out: the ES6 helpers and how MyPromise works with native promises and await.
+const test = require('node:test');
+const assert = require('assert');
+const MyPromise = require('./my-promise');
+
+const later = (ms, value, fail) => new MyPromise((resolve, reject) => setTimeout(fail ? reject : resolve, ms, value));
+
+test('the executor runs synchronously, and an exception from it rejects', async () => {
+  let ran = false;
+  const promise = new MyPromise(() => {
+    ran = true;
+    throw new Error('executor failed');
+  });
+  assert.strictEqual(ran, true);
+  await assert.rejects(promise, /executor failed/);
+  assert.throws(() => new MyPromise(), TypeError);
+});
+
+test('reactions run asynchronously, even on a settled promise', async () => {
+  const order = [];
+  const promise = MyPromise.resolve('value').then(value => order.push(value));
+  order.push('sync');
+  await promise;
+  assert.deepStrictEqual(order, ['sync', 'value']);
+});
+
+test('works with await and with native promises in both directions', async () => {
+  assert.strictEqual(await MyPromise.resolve(1), 1);
+  assert.strictEqual(await Promise.resolve(MyPromise.resolve(2)), 2);
+  assert.strictEqual(await MyPromise.resolve(Promise.resolve(3)), 3);
+  await assert.rejects(Promise.resolve(MyPromise.reject(new Error('native sees it'))), /native sees it/);
+});
+
+test('resolve() returns a MyPromise as is, reject() does not unwrap its reason', async () => {
+  const promise = MyPromise.resolve(1);
+  assert.strictEqual(MyPromise.resolve(promise), promise);
+  // Wrapped, because returning the reason itself from catch() would adopt its state.
+  const { reason } = await MyPromise.reject(promise).catch(err => ({ reason: err }));
+  assert.strictEqual(reason, promise);
+});
+
+test('catch() handles a rejection and the chain continues', async () => {
+  const value = await MyPromise.reject(new Error('oops'))
+    .then(() => 'skipped')
+    .catch(err => 'recovered from ' + err.message);
+  assert.strictEqual(value, 'recovered from oops');
+});
+
+test('finally() passes the outcome through, unless it throws', async () => {
+  const calls = [];
+  assert.strictEqual(await MyPromise.resolve('kept').finally(() => calls.push('fulfilled')), 'kept');
+  await assert.rejects(MyPromise.reject(new Error('still rejected')).finally(() => calls.push('rejected')), /still rejected/);
+  await assert.rejects(MyPromise.resolve(1).finally(() => {
+    throw new Error('from finally');
+  }), /from finally/);
+  assert.deepStrictEqual(calls, ['fulfilled', 'rejected']);
+});
+
+test('all() fulfills with the values in order, or rejects with the first rejection', async () => {
+  assert.deepStrictEqual(await MyPromise.all([later(10, 'a'), 'b', later(1, 'c')]), ['a', 'b', 'c']);
+  assert.deepStrictEqual(await MyPromise.all([]), []);
+  await assert.rejects(MyPromise.all([later(10, 'a'), later(1, new Error('first'), true)]), /first/);
+});
+
+test('race() settles like the first item to settle', async () => {
+  assert.strictEqual(await MyPromise.race([later(10, 'slow'), later(1, 'fast')]), 'fast');
+  await assert.rejects(MyPromise.race([later(10, 'slow'), later(1, new Error('failed fast'), true)]), /failed fast/);
+});
+
+test('allSettled() describes the outcome of every item', async () => {
+  assert.deepStrictEqual(await MyPromise.allSettled([1, MyPromise.reject('no')]), [
+    { status: 'fulfilled', value: 1 },
+    { status: 'rejected', reason: 'no' }
+  ]);
+});
+
+test('any() fulfills with the first fulfillment, or rejects with an AggregateError', async () => {
+  assert.strictEqual(await MyPromise.any([MyPromise.reject('a'), later(5, 'b'), later(1, 'c')]), 'c');
+  await assert.rejects(MyPromise.any([MyPromise.reject('a'), later(1, 'b', true)]), err => {
+    assert.ok(err instanceof AggregateError);
+    assert.deepStrictEqual(err.errors, ['a', 'b']);
+    return true;
+  });
+  await assert.rejects(MyPromise.any([]), AggregateError);
+});
@@ -0,0 +1,429 @@
+/**
+ * Observables
+ *
+ * $("#btn_1").click(callback) in 1-callback.js calls back on every click, and a promise can't stand in for it:
+ * a promise settles once. An Observable is the repeating kind of async value: a stream of events over time
+ * that can also end (complete) or fail (error).
+ *
+ *   const subscription = fromEvent(input, 'input')
+ *     .map(event => event.target.value)
+ *     .debounceTime(300)
+ *     .switchMap(search)
+ *     .subscribe(results => render(results));
+ *
+ *   subscription.unsubscribe();
+ *
+ * Nothing happens until subscribe() is called, and every subscriber gets its own run of the source: subscribing
+ * twice to fromEvent() adds two listeners. unsubscribe() undoes whatever subscribing set up - removes the event
+ * listener, clears the timer, aborts the request - and operators pass it on to their sources, so one call tears
+ * down a whole chain. That is what makes switchMap() cancel a request that has been superseded.
+ *
+ * An error that reaches a subscriber without an error callback is thrown asynchronously, like an unhandled
+ * rejection.
+ *
+ * @Reference:
+ * https://github.com/tc39/proposal-observable
+ * https://rxjs.dev/guide/observable
+ * http://reactivex.io/documentation/operators.html
+ */
+
+const { realClock } = require('./fake-timers');
+
+const noop = () => {};
+
+class Subscription {
+  constructor(teardown) {
+    this.closed = false;
+    this._teardowns = [];
+    this.add(teardown);
+  }
+
+  /**
+   * Adds a function (or a Subscription) to run on unsubscribe. Runs it right away if this one is already closed.
+   */
+  add(teardown) {
+    if (!teardown) {
+      return;
+    }
+    const fn = typeof teardown === 'function' ? teardown : () => teardown.unsubscribe();
+    if (this.closed) {
+      fn();
+    } else {
+      this._teardowns.push(fn);
+    }
+  }
+
+  unsubscribe() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this._teardowns.splice(0).forEach(fn => fn());
+  }
+}
+
+// Guards an observer: nothing gets through after complete(), error() or unsubscribe(), and both of the first two
+// tear the subscription down.
+class Subscriber extends Subscription {
+  constructor(observer) {
+    super();
+    this._observer = observer;
+  }
+
+  next(value) {
+    if (!this.closed && this._observer.next) {
+      this._observer.next(value);
+    }
+  }
+
+  error(err) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    if (this._observer.error) {
+      this._observer.error(err);
+    } else {
+      setTimeout(() => {
+        throw err;
+      });
+    }
+    this._teardowns.splice(0).forEach(fn => fn());
+  }
+
+  complete() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    if (this._observer.complete) {
+      this._observer.complete();
+    }
+    this._teardowns.splice(0).forEach(fn => fn());
+  }
+}
+
+class Observable {
+  /**
+   * `subscribe(subscriber)` starts producing values with subscriber.next(), and ends with subscriber.complete() or
+   * subscriber.error(). It can return a function (or a Subscription) that stops producing.
+   */
+  constructor(subscribe) {
+    this._subscribe = subscribe;
+  }
+
+  /**
+   * Takes an observer ({ next, error, complete }, all optional) or those three as functions.
+   * Returns the Subscription, whose unsubscribe() stops it.
+   */
+  subscribe(observerOrNext, error, complete) {
+    const observer = typeof observerOrNext === 'function' || observerOrNext == null
+      ? { next: observerOrNext, error, complete }
+      : observerOrNext;
+    const subscriber = new Subscriber(observer);
+    try {
+      subscriber.add(this._subscribe(subscriber));
+    } catch (err) {
+      subscriber.error(err);
+    }
+    return subscriber;
+  }
+
+  // Every operator returns an Observable that subscribes to this one when it is subscribed to.
+  _lift(operator) {
+    const source = this;
+    return new Observable(subscriber => operator(source, subscriber));
+  }
+
+  map(fn) {
+    return this._lift((source, subscriber) => {
+      let index = 0;
+      return source.subscribe({
+        next: value => tryNext(subscriber, () => fn(value, index++)),
+        error: err => subscriber.error(err),
+        complete: () => subscriber.complete()
+      });
+    });
+  }
+
+  filter(predicate) {
+    return this._lift((source, subscriber) => {
+      let index = 0;
+      return source.subscribe({
+        next: value => {
+          let keep;
+          try {
+            keep = predicate(value, index++);
+          } catch (err) {
+            return subscriber.error(err);
+          }
+          if (keep) subscriber.next(value);
+        },
+        error: err => subscriber.error(err),
+        complete: () => subscriber.complete()
+      });
+    });
+  }
+
+  /**
+   * Emits a value only once `ms` have passed without another one, e.g. to search once the user stops typing.
+   * A value that is still waiting when the source completes is emitted before completing.
+   *
+   * Options:
+   * * clock - { setTimeout, clearTimeout } to schedule the waiting with
+   */
+  debounceTime(ms, { clock = realClock } = {}) {
+    return this._lift((source, subscriber) => {
+      let timer = null;
+      let pending;
+      const flush = () => {
+        timer = null;
+        subscriber.next(pending);
+      };
+      const subscription = source.subscribe({
+        next: value => {
+          pending = value;
+          if (timer !== null) clock.clearTimeout(timer);
+          timer = clock.setTimeout(flush, ms);
+        },
+        error: err => subscriber.error(err),
+        complete: () => {
+          if (timer !== null) {
+            clock.clearTimeout(timer);
+            flush();
+          }
+          subscriber.complete();
+        }
+      });
+      return () => {
+        if (timer !== null) clock.clearTimeout(timer);
+        subscription.unsubscribe();
+      };
+    });
+  }
+
+  /**
+   * Maps every value to an inner Observable (or a promise) and emits the values of the latest one only:
+   * a new value unsubscribes from the previous inner Observable. Completes when both the source and the current
+   * inner Observable have.
+   */
+  switchMap(fn) {
+    return this._lift((source, subscriber) => {
+      let index = 0;
+      let inner = null;
+      let outerDone = false;
+      const subscription = source.subscribe({
+        next: value => {
+          if (inner) inner.unsubscribe();
+          let result;
+          try {
+            result = toObservable(fn(value, index++));
+          } catch (err) {
+            return subscriber.error(err);
+          }
+          inner = result.subscribe({
+            next: innerValue => subscriber.next(innerValue),
+            error: err => subscriber.error(err),
+            complete: () => {
+              inner = null;
+              if (outerDone) subscriber.complete();
+            }
+          });
+          // It may have completed synchronously.
+          if (inner.closed) inner = null;
+        },
+        error: err => subscriber.error(err),
+        complete: () => {
+          outerDone = true;
+          if (!inner) subscriber.complete();
+        }
+      });
+      return () => {
+        if (inner) inner.unsubscribe();
+        subscription.unsubscribe();
+      };
+    });
+  }
+
+  /**
+   * Mirrors this Observable until `notifier` (an Observable or a promise) emits, then completes.
+   */
+  takeUntil(notifier) {
+    return this._lift((source, subscriber) => {
+      const stop = toObservable(notifier).subscribe({
+        next: () => subscriber.complete(),
+        error: err => subscriber.error(err)
+      });
+      if (subscriber.closed) {
+        return stop;
+      }
+      const subscription = source.subscribe(subscriber);
+      return () => {
+        stop.unsubscribe();
+        subscription.unsubscribe();
+      };
+    });
+  }
+
+  /**
+   * Resubscribes to this Observable when it errors, at most `count` times, before passing the error on.
+   * Resubscribing starts the source over: fromPromise(() => fetch(url)) sends the request again.
+   */
+  retry(count = Infinity) {
+    return this._lift((source, subscriber) => {
+      let retries = 0;
+      let current;
+      // A source that errors synchronously calls error() from inside subscribe(). Subscribing again right there
+      // would nest one level deeper with every retry, so subscribe() is a trampoline instead.
+      let subscribing = false;
+      let again = false;
+      const subscribe = () => {
+        again = true;
+        if (subscribing) return;
+        subscribing = true;
+        while (again && !subscriber.closed) {
+          again = false;
+          current = source.subscribe({
+            next: value => subscriber.next(value),
+            error: err => {
+              if (retries++ < count) subscribe();
+              else subscriber.error(err);
+            },
+            complete: () => subscriber.complete()
+          });
+        }
+        subscribing = false;
+      };
+      subscribe();
+      return () => current.unsubscribe();
+    });
+  }
+
+  /**
+   * Resolves with the last value once this Observable completes (undefined if there was none), or rejects with its
+   * error. Only for Observables that complete: a stream of clicks never settles the promise.
+   */
+  toPromise() {
+    return new Promise((resolve, reject) => {
+      let last;
+      this.subscribe({
+        next: value => {
+          last = value;
+        },
+        error: reject,
+        complete: () => resolve(last)
+      });
+    });
+  }
+
+  /**
+   * For for await...of. Subscribes when the loop starts and unsubscribes when it ends, also on break.
+   * Values that arrive while the loop body is busy are queued, so a fast source and a slow loop fill up memory.
+   */
+  toAsyncIterable() {
+    return iterate(this);
+  }
+}
+
+/**
+ * Emits the `eventName` events of a DOM EventTarget or a Node EventEmitter. Never completes; unsubscribing
+ * removes the listener.
+ */
+function fromEvent(target, eventName) {
+  return new Observable(subscriber => {
+    const handler = event => subscriber.next(event);
+    if (typeof target.addEventListener === 'function') {
+      target.addEventListener(eventName, handler);
+      return () => target.removeEventListener(eventName, handler);
+    }
+    if (typeof target.on === 'function') {
+      target.on(eventName, handler);
+      return () => target.removeListener(eventName, handler);
+    }
+    throw new TypeError('Expected an EventTarget or an EventEmitter, got ' + target);
+  });
+}
+
+/**
+ * Emits the value of a promise and completes, or errors with its reason. Given a function that returns a
+ * promise, it calls that function on every subscribe, so retry() really tries again.
+ */
+function fromPromise(promiseOrFactory) {
+  return new Observable(subscriber => {
+    const promise = typeof promiseOrFactory === 'function' ? promiseOrFactory() : promiseOrFactory;
+    Promise.resolve(promise).then(
+      value => {
+        subscriber.next(value);
+        subscriber.complete();
+      },
+      err => subscriber.error(err)
+    );
+  });
+}
+
+function toObservable(value) {
+  if (value instanceof Observable) {
+    return value;
+  }
+  if (value && typeof value.then === 'function') {
+    return fromPromise(value);
+  }
+  throw new TypeError('Expected an Observable or a promise, got ' + value);
+}
+
+function tryNext(subscriber, compute) {
+  let value;
+  try {
+    value = compute();
+  } catch (err) {
+    return subscriber.error(err);
+  }
+  subscriber.next(value);
+}
+
+async function* iterate(source) {
+  const values = [];
+  let done = false;
+  let failure = null;
+  let wake = noop;
+  const subscription = source.subscribe({
+    next: value => {
+      values.push(value);
+      wake();
+    },
+    error: err => {
+      failure = { err };
+      wake();
+    },
+    complete: () => {
+      done = true;
+      wake();
+    }
+  });
+
+  try {
+    while (true) {
+      if (values.length > 0) {
+        yield values.shift();
+      } else if (failure) {
+        throw failure.err;
+      } else if (done) {
+        return;
+      } else {
+        await new Promise(resolve => {
+          wake = resolve;
+        });
+        wake = noop;
+      }
+    }
+  } finally {
+    subscription.unsubscribe();
+  }
+}
+
+module.exports = {
+  Observable,
+  Subscription,
+  fromEvent,
+  fromPromise
+};
@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { Observable, Subscription, fromEvent, fromPromise } = require('./observable');
+const { createClock } = require('./fake-timers');
+
+const of = (...values) => new Observable(subscriber => {
+  values.forEach(value => subscriber.next(value));
+  subscriber.complete();
+});
+
+// Subscribes and records everything the observable does
+function record(observable) {
+  const events = [];
+  const subscription = observable.subscribe({
+    next: value => events.push(value),
+    error: err => events.push('error: ' + err.message),
+    complete: () => events.push('complete')
+  });
+  return { events, subscription };
+}
+
+test('nothing happens until subscribe(), and every subscriber gets its own run', () => {
+  let runs = 0;
+  const source = new Observable(subscriber => {
+    runs++;
+    subscriber.next(runs);
+    subscriber.complete();
+  });
+  assert.strictEqual(runs, 0);
+  assert.deepStrictEqual(record(source).events, [1, 'complete']);
+  assert.deepStrictEqual(record(source).events, [2, 'complete']);
+});
+
+test('nothing gets through after complete() or error(), and both tear down', () => {
+  let tornDown = 0;
+  const source = new Observable(subscriber => {
+    subscriber.next(1);
+    subscriber.error(new Error('boom'));
+    subscriber.next(2);
+    subscriber.complete();
+    return () => tornDown++;
+  });
+  const { events, subscription } = record(source);
+  assert.deepStrictEqual(events, [1, 'error: boom']);
+  assert.strictEqual(subscription.closed, true);
+  assert.strictEqual(tornDown, 1);
+  subscription.unsubscribe();
+  assert.strictEqual(tornDown, 1);
+});
+
+test('an error thrown by subscribe() goes to the error callback', () => {
+  const source = new Observable(() => {
+    throw new Error('broken');
+  });
+  assert.deepStrictEqual(record(source).events, ['error: broken']);
+});
+
+test('Subscription.add() runs teardowns on unsubscribe, or right away once closed', () => {
+  const calls = [];
+  const subscription = new Subscription(() => calls.push('first'));
+  subscription.add(new Subscription(() => calls.push('inner')));
+  subscription.unsubscribe();
+  subscription.add(() => calls.push('late'));
+  assert.deepStrictEqual(calls, ['first', 'inner', 'late']);
+});
+
+test('map() and filter() pass their errors on', () => {
+  assert.deepStrictEqual(record(of(1, 2, 3, 4).filter(n => n % 2 === 0).map((n, i) => n * 10 + i)).events, [20, 41, 'complete']);
+  assert.deepStrictEqual(record(of(1, 2).map(() => { throw new Error('map'); })).events, ['error: map']);
+  assert.deepStrictEqual(record(of(1, 2).filter(() => { throw new Error('filter'); })).events, ['error: filter']);
+});
+
+test('debounceTime() emits once the source has been quiet', async () => {
+  const clock = createClock();
+  const emitter = new EventEmitter();
+  const { events, subscription } = record(fromEvent(emitter, 'input').debounceTime(300, { clock }));
+
+  emitter.emit('input', 'a');
+  await clock.tick(200);
+  emitter.emit('input', 'ab');
+  await clock.tick(299);
+  assert.deepStrictEqual(events, []);
+  await clock.tick(1);
+  assert.deepStrictEqual(events, ['ab']);
+
+  emitter.emit('input', 'abc');
+  subscription.unsubscribe();
+  assert.strictEqual(clock.countTimers(), 0);
+  assert.strictEqual(emitter.listenerCount('input'), 0);
+});
+
+test('debounceTime() emits a waiting value before completing', () => {
+  const clock = createClock();
+  assert.deepStrictEqual(record(of(1, 2).debounceTime(100, { clock })).events, [2, 'complete']);
+});
+
+test('switchMap() unsubscribes from the superseded inner observable', async () => {
+  const clock = createClock();
+  const emitter = new EventEmitter();
+  const cancelled = [];
+  const search = term => new Observable(subscriber => {
+    let answered = false;
+    const timer = clock.setTimeout(() => {
+      answered = true;
+      subscriber.next('results for ' + term);
+      subscriber.complete();
+    }, 100);
+    return () => {
+      if (!answered) cancelled.push(term);
+      clock.clearTimeout(timer);
+    };
+  });
+  const { events } = record(fromEvent(emitter, 'input').switchMap(search));
+
+  emitter.emit('input', 'a');
+  await clock.tick(50);
+  emitter.emit('input', 'ab');
+  await clock.tick(100);
+  assert.deepStrictEqual(events, ['results for ab']);
+  assert.deepStrictEqual(cancelled, ['a']);
+});
+
+test('switchMap() takes promises and completes after the last inner one', async () => {
+  const result = await of(1, 2).switchMap(n => Promise.resolve(n * 10)).toPromise();
+  assert.strictEqual(result, 20);
+  assert.deepStrictEqual(record(of(1).switchMap(() => 42)).events, ['error: Expected an Observable or a promise, got 42']);
+});
+
+test('takeUntil() completes when the notifier emits', async () => {
+  const clock = createClock();
+  const ticks = new Observable(subscriber => {
+    const id = clock.setInterval(() => subscriber.next(clock.now), 10);
+    return () => clock.clearInterval(id);
+  });
+  let stop;
+  const notifier = new Promise(resolve => { stop = resolve; });
+  const { events } = record(ticks.takeUntil(notifier));
+
+  await clock.tick(30);
+  stop();
+  await clock.tick(30);
+  assert.deepStrictEqual(events, [10, 20, 30, 'complete']);
+  assert.strictEqual(clock.countTimers(), 0);
+});
+
+test('retry() resubscribes when the source errors, at most count times', async () => {
+  let attempts = 0;
+  const flaky = fromPromise(() => {
+    attempts++;
+    return attempts < 3 ? Promise.reject(new Error('attempt ' + attempts)) : Promise.resolve('ok');
+  });
+  assert.strictEqual(await flaky.retry(5).toPromise(), 'ok');
+  assert.strictEqual(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(flaky.retry(1).toPromise(), /attempt 2/);
+  assert.strictEqual(attempts, 2);
+});
+
+test('retry() copes with a source that errors synchronously many times', () => {
+  let attempts = 0;
+  const source = new Observable(subscriber => {
+    if (++attempts < 100000) {
+      subscriber.error(new Error('not yet'));
+    } else {
+      subscriber.next('finally');
+      subscriber.complete();
+    }
+  });
+  assert.deepStrictEqual(record(source.retry()).events, ['finally', 'complete']);
+  assert.strictEqual(attempts, 100000);
+
+  attempts = 0;
+  assert.deepStrictEqual(record(source.retry(10)).events, ['error: not yet']);
+  assert.strictEqual(attempts, 11);
+});
+
+test('retry() stops resubscribing once unsubscribed', async () => {
+  const clock = createClock();
+  let attempts = 0;
+  const source = new Observable(subscriber => {
+    attempts++;
+    const id = clock.setTimeout(() => subscriber.error(new Error('fail')), 10);
+    return () => clock.clearTimeout(id);
+  });
+  const { subscription } = record(source.retry());
+  await clock.tick(30);
+  subscription.unsubscribe();
+  await clock.runAll();
+  assert.strictEqual(attempts, 4);
+});
+
+test('toPromise() resolves with the last value, or rejects', async () => {
+  assert.strictEqual(await of(1, 2, 3).toPromise(), 3);
+  assert.strictEqual(await of().toPromise(), undefined);
+  await assert.rejects(fromPromise(Promise.reject(new Error('nope'))).toPromise(), /nope/);
+});
+
+test('toAsyncIterable() queues values and unsubscribes on break', async () => {
+  const emitter = new EventEmitter();
+  const values = [];
+  setImmediate(() => ['a', 'b', 'c'].forEach(value => emitter.emit('data', value)));
+  for await (const value of fromEvent(emitter, 'data').toAsyncIterable()) {
+    values.push(value);
+    if (value === 'b') break;
+  }
+  assert.deepStrictEqual(values, ['a', 'b']);
+  assert.strictEqual(emitter.listenerCount('data'), 0);
+
+  const failing = new Observable(subscriber => subscriber.error(new Error('boom')));
+  await assert.rejects(failing.toAsyncIterable().next(), /boom/);
+});
+
+test('fromEvent() works with EventTargets too', () => {
+  const target = new EventTarget();
+  const { events, subscription } = record(fromEvent(target, 'ping').map(event => event.type));
+  target.dispatchEvent(new Event('ping'));
+  subscription.unsubscribe();
+  target.dispatchEvent(new Event('ping'));
+  assert.deepStrictEqual(events, ['ping']);
+  assert.deepStrictEqual(record(fromEvent({}, 'ping')).events, ['error: Expected an EventTarget or an EventEmitter, got [object Object]']);
+});
@@ -0,0 +1,202 @@
+/**
+ * Concurrency limited promises
+ *
+ * Promise.all() (see 2-promises.js) and run() in 3-generators.js start every operation at once.
+ * That's fine for two fetches, but with hundreds of cities or urls it overwhelms whatever is on the other end.
+ * mapLimit() and PromisePool keep at most `concurrency` operations in flight and still give back the results
+ * in input order, just like Promise.all().
+ *
+ * Errors are handled in one of two modes:
+ * * stopOnError: true (default) - like Promise.all(), the first rejection rejects the whole batch and no new
+ *   operations are started.
+ * * stopOnError: false - every item is processed; if any of them failed the batch rejects with an AggregateError
+ *   holding all the errors (in input order) and the results of the items that succeeded in `results`.
+ *
+ * @Reference:
+ * https://github.com/sindresorhus/p-map
+ * https://github.com/sindresorhus/p-limit
+ */
+
+/**
+ * Calls `mapper(item, index)` for every item of `iterable` (sync or async), with at most `concurrency`
+ * calls running at once. Resolves with the results in input order.
+ */
+function mapLimit(iterable, concurrency, mapper, { stopOnError = true } = {}) {
+  return new PromisePool(concurrency, { stopOnError }).map(iterable, mapper);
+}
+
+/**
+ * A reusable pool of `concurrency` slots. Everything started through the same pool shares those slots,
+ * so two map() calls on one pool still keep at most `concurrency` operations in flight between them.
+ */
+class PromisePool {
+  constructor(concurrency, { stopOnError = true } = {}) {
+    if (!(Number.isInteger(concurrency) && concurrency > 0) && concurrency !== Infinity) {
+      throw new TypeError('Expected concurrency to be a positive integer or Infinity, got ' + concurrency);
+    }
+    this.concurrency = concurrency;
+    this.stopOnError = stopOnError;
+    this._active = 0;
+    this._queue = [];
+    this._idleWaiters = [];
+  }
+
+  // Number of operations currently running.
+  get activeCount() {
+    return this._active;
+  }
+
+  // Number of operations waiting for a free slot.
+  get pendingCount() {
+    return this._queue.length;
+  }
+
+  /**
+   * Runs `fn` as soon as a slot is free. Resolves or rejects with the outcome of `fn()`.
+   */
+  run(fn) {
+    return new Promise((resolve, reject) => this._enqueue({ fn, resolve, reject }));
+  }
+
+  /**
+   * Like mapLimit(), using the slots of this pool.
+   */
+  map(iterable, mapper, { stopOnError = this.stopOnError } = {}) {
+    return new Promise((resolve, reject) => {
+      const iterator = getIterator(iterable);
+      const results = [];
+      const errors = [];
+      let index = 0;
+      let inFlight = 0;
+      let done = false;
+      let failed = false;
+      let wakeUp = null;
+      // The operations of this map() that are still waiting for a slot
+      const waiting = new Set();
+
+      const fail = err => {
+        if (failed) return;
+        failed = true;
+        if (typeof iterator.return === 'function') {
+          Promise.resolve().then(() => iterator.return()).catch(() => {});
+        }
+        // In a shared pool they can be queued behind someone else's operations: they must not start anymore.
+        if (waiting.size > 0) {
+          this._queue = this._queue.filter(job => !waiting.has(job));
+          waiting.clear();
+          this._next();
+        }
+        // Their slots will never come back, so the pump shouldn't wait for them.
+        if (wakeUp) wakeUp();
+        reject(err);
+      };
+
+      const finish = () => {
+        if (failed || !done || inFlight > 0) return;
+        if (errors.length) {
+          const error = new AggregateError(errors.sort((a, b) => a.index - b.index).map(e => e.error),
+            errors.length + ' of ' + index + ' operations failed');
+          error.results = results;
+          return reject(error);
+        }
+        resolve(results);
+      };
+
+      // Only pull the next item once there is room for it, so huge (or endless) async iterables aren't read ahead.
+      const slotAvailable = () => inFlight < this.concurrency
+        ? Promise.resolve()
+        : new Promise(resolve => {
+          wakeUp = resolve;
+        });
+
+      const pump = async () => {
+        while (!failed) {
+          await slotAvailable();
+          const step = await iterator.next();
+          if (step.done || failed) break;
+          const i = index++;
+          results[i] = undefined;
+          inFlight++;
+          new Promise((resolveJob, rejectJob) => {
+            const job = {
+              fn: () => {
+                waiting.delete(job);
+                return mapper(step.value, i);
+              },
+              resolve: resolveJob,
+              reject: rejectJob
+            };
+            waiting.add(job);
+            this._enqueue(job);
+          })
+            .then(value => {
+              results[i] = value;
+            }, error => {
+              if (stopOnError) return fail(error);
+              errors.push({ index: i, error });
+            })
+            .then(() => {
+              inFlight--;
+              if (wakeUp) {
+                const wake = wakeUp;
+                wakeUp = null;
+                wake();
+              }
+              finish();
+            });
+        }
+        done = true;
+        finish();
+      };
+
+      pump().catch(fail);
+    });
+  }
+
+  /**
+   * Resolves once nothing is running or waiting in the pool.
+   */
+  onIdle() {
+    if (this._active === 0 && this._queue.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this._idleWaiters.push(resolve));
+  }
+
+  _enqueue(job) {
+    this._queue.push(job);
+    this._next();
+  }
+
+  _next() {
+    while (this._active < this.concurrency && this._queue.length) {
+      const { fn, resolve, reject } = this._queue.shift();
+      this._active++;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .then(() => {
+          this._active--;
+          this._next();
+        });
+    }
+    if (this._active === 0 && this._queue.length === 0) {
+      this._idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+}
+
+function getIterator(iterable) {
+  if (iterable && typeof iterable[Symbol.asyncIterator] === 'function') {
+    return iterable[Symbol.asyncIterator]();
+  }
+  if (iterable && typeof iterable[Symbol.iterator] === 'function') {
+    return iterable[Symbol.iterator]();
+  }
+  throw new TypeError('Expected an iterable or async iterable, got ' + iterable);
+}
+
+module.exports = {
+  mapLimit,
+  PromisePool
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('assert');
+const { mapLimit, PromisePool } = require('./pool');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(resolve, ms, value));
+
+// A mapper that records how many calls run at once
+function tracked(mapper) {
+  const stats = { running: 0, max: 0, started: [] };
+  const fn = async (item, index) => {
+    stats.started.push(item);
+    stats.max = Math.max(stats.max, ++stats.running);
+    try {
+      return await mapper(item, index);
+    } finally {
+      stats.running--;
+    }
+  };
+  return { fn, stats };
+}
+
+test('mapLimit keeps at most `concurrency` calls running and resolves in input order', async () => {
+  const { fn, stats } = tracked(ms => delay(ms, ms));
+  assert.deepStrictEqual(await mapLimit([20, 5, 10, 1, 3], 2, fn), [20, 5, 10, 1, 3]);
+  assert.strictEqual(stats.max, 2);
+});
+
+test('mapLimit passes the index and works with async iterables', async () => {
+  async function* numbers() {
+    yield 'a';
+    yield 'b';
+  }
+  assert.deepStrictEqual(await mapLimit(numbers(), 1, (item, index) => item + index), ['a0', 'b1']);
+});
+
+test('mapLimit only reads as far ahead of the running calls as there are slots', async () => {
+  let pulled = 0;
+  function* endless() {
+    while (true) {
+      pulled++;
+      yield pulled;
+    }
+  }
+  await assert.rejects(mapLimit(endless(), 2, async n => {
+    await delay(1);
+    if (n === 5) throw new Error('enough');
+  }), /enough/);
+  assert.ok(pulled <= 7, `pulled ${pulled} items`);
+});
+
+test('with stopOnError the first rejection rejects and no new calls start', async () => {
+  const { fn, stats } = tracked(async n => {
+    await delay(n === 2 ? 1 : 10);
+    if (n === 2) throw new Error('two');
+    return n;
+  });
+  await assert.rejects(mapLimit([1, 2, 3, 4, 5], 2, fn), /two/);
+  await delay(30);
+  assert.deepStrictEqual(stats.started, [1, 2]);
+});
+
+test('without stopOnError every item runs and the errors come together in an AggregateError', async () => {
+  const error = await mapLimit([1, 2, 3, 4], 2, async n => {
+    await delay(5 - n);
+    if (n % 2 === 0) throw new Error('even ' + n);
+    return n;
+  }, { stopOnError: false }).catch(err => err);
+  assert.ok(error instanceof AggregateError);
+  assert.deepStrictEqual(error.errors.map(e => e.message), ['even 2', 'even 4']);
+  assert.deepStrictEqual(error.results, [1, undefined, 3, undefined]);
+});
+
+test('map() calls on one pool share its slots', async () => {
+  const pool = new PromisePool(2);
+  const { fn, stats } = tracked(ms => delay(ms, ms));
+  const results = await Promise.all([pool.map([5, 5, 5], fn), pool.map([1, 1], fn)]);
+  assert.deepStrictEqual(results, [[5, 5, 5], [1, 1]]);
+  assert.strictEqual(stats.max, 2);
+});
+
+test('a failed map() on a shared pool does not start the items it still had queued', async () => {
+  const pool = new PromisePool(2);
+  const started = [];
+  const busy = pool.run(() => delay(10, 'busy'));
+  // 'a' gets the free slot, 'b' waits in the pool's queue behind it
+  const failing = pool.map(['a', 'b'], async item => {
+    started.push(item);
+    await delay(1);
+    throw new Error('failed ' + item);
+  });
+  await assert.rejects(failing, /failed a/);
+  assert.strictEqual(await busy, 'busy');
+  await pool.onIdle();
+  assert.deepStrictEqual(started, ['a']);
+  assert.strictEqual(pool.pendingCount, 0);
+});
+
+test('run() queues work, and the counts and onIdle() follow it', async () => {
+  const pool = new PromisePool(1);
+  const first = pool.run(() => delay(5, 1));
+  const second = pool.run(() => 2);
+  assert.strictEqual(pool.activeCount, 1);
+  assert.strictEqual(pool.pendingCount, 1);
+  await pool.onIdle();
+  assert.deepStrictEqual(await Promise.all([first, second]), [1, 2]);
+  assert.strictEqual(pool.activeCount, 0);
+});
+
+test('the concurrency must be a positive integer or Infinity', () => {
+  assert.throws(() => new PromisePool(0), TypeError);
+  assert.throws(() => new PromisePool(1.5), TypeError);
+  assert.doesNotThrow(() => new PromisePool(Infinity));
+});
@@ -0,0 +1,123 @@
+/**
+ * Promisify / Callbackify
+ *
+ * Converts between error first callback APIs and promise returning functions, so the
+ * `new Promise(function (resolve, reject) { ... })` wrapper from saveToTheDb in 2-promises.js
+ * doesn't have to be written by hand for every callback API.
+ *
+ * @Reference:
+ * https://nodejs.org/api/util.html#utilpromisifyoriginal
+ * http://bluebirdjs.com/docs/api/promise.promisifyall.html
+ */
+
+// Same symbol as util.promisify.custom, so functions that provide their own promise version work with both.
+const custom = Symbol.for('nodejs.util.promisify.custom');
+
+/**
+ * Returns a version of the error first callback style `fn` that returns a promise.
+ *
+ * By default the promise resolves with the first success argument. With `{ multiArgs: true }` it resolves
+ * with an array of all of them, e.g. [response, body] for request's (err, response, body) callback.
+ * `this` is passed through, so promisified methods can still be called on their object.
+ *
+ * If `fn` has a custom promise version under promisify.custom, that is returned as it is, and `multiArgs`
+ * doesn't apply: the custom version decides what its promise resolves with.
+ */
+function promisify(fn, { multiArgs = false } = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('promisify expects a function, got ' + typeof fn);
+  }
+  if (typeof fn[custom] === 'function') {
+    return fn[custom];
+  }
+
+  function promisified(...args) {
+    return new Promise((resolve, reject) => {
+      fn.call(this, ...args, function (err, ...values) { // remember error first
+        if (err) {
+          return reject(err);
+        }
+        resolve(multiArgs ? values : values[0]);
+      });
+    });
+  }
+
+  // Configurable like util.promisify's own, which redefines it when handed a function that already has one.
+  Object.defineProperty(promisified, custom, { value: promisified, configurable: true });
+  return promisified;
+}
+
+/**
+ * Adds a promisified copy of every method of `obj` (including inherited ones) under `name + suffix`.
+ * insert(value, cb) becomes insertAsync(value). Returns `obj`.
+ */
+function promisifyAll(obj, { suffix = 'Async', multiArgs = false, filter = () => true } = {}) {
+  for (const key of methodNames(obj)) {
+    const promisifiedKey = key + suffix;
+    if (key.endsWith(suffix) || promisifiedKey in obj || !filter(key, obj[key])) {
+      continue;
+    }
+    Object.defineProperty(obj, promisifiedKey, {
+      value: promisify(obj[key], { multiArgs }),
+      configurable: true,
+      writable: true
+    });
+  }
+  return obj;
+}
+
+/**
+ * The reverse of promisify: turns a promise returning function into one that takes an error first callback
+ * as its last argument.
+ *
+ * Falsy rejection reasons are wrapped in an Error (with the original value in `reason`), so the callback
+ * can always tell success from failure by looking at its first argument.
+ */
+function callbackify(asyncFn) {
+  if (typeof asyncFn !== 'function') {
+    throw new TypeError('callbackify expects a function, got ' + typeof asyncFn);
+  }
+
+  return function callbackified(...args) {
+    const cb = args.pop();
+    if (typeof cb !== 'function') {
+      throw new TypeError('The last argument must be a callback function');
+    }
+    // The callback runs outside of the promise chain, so an exception thrown inside of it isn't swallowed
+    // as a rejection.
+    Promise.resolve()
+      .then(() => asyncFn.apply(this, args))
+      .then(
+        value => queueMicrotask(() => cb(null, value)),
+        reason => queueMicrotask(() => cb(reason || wrapFalsyReason(reason)))
+      );
+  };
+}
+
+function wrapFalsyReason(reason) {
+  const err = new Error('Promise was rejected with a falsy value');
+  err.reason = reason;
+  return err;
+}
+
+function methodNames(obj) {
+  const names = new Set();
+  for (let proto = obj; proto && proto !== Object.prototype && proto !== Function.prototype;
+       proto = Object.getPrototypeOf(proto)) {
+    for (const key of Object.getOwnPropertyNames(proto)) {
+      const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+      if (key !== 'constructor' && typeof descriptor.value === 'function') {
+        names.add(key);
+      }
+    }
+  }
+  return names;
+}
+
+promisify.custom = custom;
+
+module.exports = {
+  promisify,
+  promisifyAll,
+  callbackify
+};
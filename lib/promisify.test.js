@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('assert');
+const util = require('util');
+const { promisify, promisifyAll, callbackify } = require('./promisify');
+
+function add(a, b, cb) {
+  setImmediate(() => cb(null, a + b));
+}
+
+function fail(cb) {
+  setImmediate(() => cb(new Error('failed')));
+}
+
+test('promisify resolves with the first success argument and rejects with the error', async () => {
+  assert.strictEqual(await promisify(add)(1, 2), 3);
+  await assert.rejects(promisify(fail)(), /failed/);
+});
+
+test('promisify with multiArgs resolves with all the success arguments', async () => {
+  const request = (url, cb) => cb(null, { statusCode: 200 }, 'body of ' + url);
+  assert.deepStrictEqual(await promisify(request, { multiArgs: true })('/a'), [{ statusCode: 200 }, 'body of /a']);
+});
+
+test('promisify keeps `this`', async () => {
+  const counter = {
+    count: 1,
+    increment(cb) {
+      cb(null, ++this.count);
+    }
+  };
+  counter.incrementAsync = promisify(counter.increment);
+  assert.strictEqual(await counter.incrementAsync(), 2);
+});
+
+test('promisify uses a custom promise version, also the one util.promisify knows', async () => {
+  function legacy() {}
+  legacy[util.promisify.custom] = () => Promise.resolve('custom');
+  assert.strictEqual(promisify(legacy), legacy[util.promisify.custom]);
+  assert.strictEqual(promisify.custom, util.promisify.custom);
+  assert.strictEqual(promisify(legacy, { multiArgs: true }), legacy[util.promisify.custom], 'multiArgs does not apply');
+  assert.strictEqual(await promisify(legacy, { multiArgs: true })(), 'custom');
+
+  const promisified = promisify(add);
+  assert.strictEqual(promisify(promisified), promisified);
+  assert.strictEqual(util.promisify(promisified), promisified);
+});
+
+test('promisify throws for anything but a function', () => {
+  assert.throws(() => promisify('add'), TypeError);
+});
+
+test('promisifyAll adds Async versions of own and inherited methods', async () => {
+  class Db {
+    insert(value, cb) {
+      cb(null, 'inserted ' + value);
+    }
+  }
+  const db = new Db();
+  db.remove = (id, cb) => cb(null, 'removed ' + id);
+  db.find = () => 'already there';
+  db.findAsync = () => Promise.resolve('kept');
+  db.skip = cb => cb(null);
+
+  assert.strictEqual(promisifyAll(db, { filter: key => key !== 'skip' }), db);
+  assert.strictEqual(await db.insertAsync(1), 'inserted 1');
+  assert.strictEqual(await db.removeAsync(2), 'removed 2');
+  assert.strictEqual(await db.findAsync(), 'kept');
+  assert.strictEqual(db.skipAsync, undefined);
+  assert.strictEqual(db.insertAsyncAsync, undefined);
+});
+
+test('callbackify calls back with the value or the rejection reason', async () => {
+  const double = callbackify(async x => 2 * x);
+  const reject = callbackify(async () => {
+    throw new Error('nope');
+  });
+  assert.deepStrictEqual(await new Promise(resolve => double(21, (...args) => resolve(args))), [null, 42]);
+  const [err] = await new Promise(resolve => reject((...args) => resolve(args)));
+  assert.match(err.message, /nope/);
+});
+
+test('callbackify wraps falsy rejection reasons in an Error', async () => {
+  const reject = callbackify(() => Promise.reject(0));
+  const err = await new Promise(resolve => reject(resolve));
+  assert.ok(err instanceof Error);
+  assert.strictEqual(err.reason, 0);
+});
+
+test('callbackify requires a callback as the last argument', () => {
+  assert.throws(() => callbackify(async () => {})(1), TypeError);
+});
@@ -0,0 +1,198 @@
+/**
+ * Unhandled rejection tracker
+ *
+ * A rejected promise without a rejection handler fails silently: see `Promise.all([Promise.reject(), ...])` in
+ * 2-promises.js, where "nothing happens", or the CHAINED REFERENCES example where a reference to the wrong point
+ * of the chain leaves a branch unhandled. The runtime does notice, and reports it with an event:
+ * * Node - `unhandledRejection` on process, and `rejectionHandled` when a handler is attached later on
+ * * Browsers - `unhandledrejection` and `rejectionhandled` on window
+ *
+ * The tracker listens to those events and keeps a list of the promises that are still unhandled. In Node it also
+ * records the stack of the code that created each promise (through async_hooks), which is usually far more useful
+ * than the stack of the rejection reason - `Promise.reject()` doesn't even have one.
+ *
+ * Listening to `unhandledRejection` turns off Node's default of crashing the process on an unhandled rejection
+ * (--unhandled-rejections=throw). So a tracker that isn't strict only collects: the rejections show up in report()
+ * and format(), and the process keeps running. Call assertNoUnhandled() - from a test's afterEach, say - to fail
+ * on them.
+ *
+ * In strict mode an unhandled rejection fails right away, like it does without a tracker: the tracker throws an
+ * UnhandledRejectionError with the report, which crashes the process (unless an `uncaughtException` listener
+ * takes care of it). In a browser it shows up as an uncaught error.
+ *
+ * @Reference:
+ * https://nodejs.org/api/process.html#event-unhandledrejection
+ * https://developer.mozilla.org/en-US/docs/Web/API/Window/unhandledrejection_event
+ * https://nodejs.org/api/async_hooks.html
+ */
+
+const thisFile = typeof __filename === 'string' ? __filename : null;
+const isNode = typeof process !== 'undefined' && typeof process.on === 'function' && !!process.versions && !!process.versions.node;
+
+/**
+ * Creates a tracker. Call start() to begin listening and stop() to remove the listeners again.
+ *
+ * Options:
+ * * strict - throw an UnhandledRejectionError as soon as a rejection goes unhandled (default false)
+ * * captureStacks - record where each promise was created; Node only, and it costs a stack trace per promise (default true)
+ * * onUnhandled(entry) - called when a rejection goes unhandled
+ * * onHandled(entry) - called when a handler is attached to a rejection that was reported as unhandled before
+ */
+function createRejectionTracker({ strict = false, captureStacks = true, onUnhandled = () => {}, onHandled = () => {} } = {}) {
+  const unhandled = new Map();
+  const handledLate = [];
+  let creationStacks = new WeakMap();
+  let hook = null;
+  let started = false;
+
+  function record(promise, reason) {
+    const entry = {
+      promise,
+      reason,
+      createdAt: creationStacks.get(promise) || null,
+      rejectedAt: Date.now(),
+      handled: false
+    };
+    unhandled.set(promise, entry);
+    onUnhandled(entry);
+    if (strict) {
+      throw unhandledRejectionError();
+    }
+  }
+
+  function markHandled(promise) {
+    const entry = unhandled.get(promise);
+    if (!entry) return;
+    unhandled.delete(promise);
+    entry.handled = true;
+    handledLate.push(entry);
+    onHandled(entry);
+  }
+
+  const onNodeUnhandled = (reason, promise) => record(promise, reason);
+  const onNodeHandled = promise => markHandled(promise);
+  const onBrowserUnhandled = event => record(event.promise, event.reason);
+  const onBrowserHandled = event => markHandled(event.promise);
+
+  function startCapturingStacks() {
+    const asyncHooks = require('async_hooks');
+    hook = asyncHooks.createHook({
+      init(asyncId, type, triggerAsyncId, resource) {
+        if (type === 'PROMISE') {
+          creationStacks.set(resource, cleanStack(new Error().stack));
+        }
+      }
+    });
+    hook.enable();
+  }
+
+  function start() {
+    if (started) return tracker;
+    started = true;
+    if (isNode) {
+      if (captureStacks) startCapturingStacks();
+      process.on('unhandledRejection', onNodeUnhandled);
+      process.on('rejectionHandled', onNodeHandled);
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('unhandledrejection', onBrowserUnhandled);
+      window.addEventListener('rejectionhandled', onBrowserHandled);
+    }
+    return tracker;
+  }
+
+  function stop() {
+    if (!started) return tracker;
+    started = false;
+    if (isNode) {
+      if (hook) hook.disable();
+      hook = null;
+      process.removeListener('unhandledRejection', onNodeUnhandled);
+      process.removeListener('rejectionHandled', onNodeHandled);
+    } else if (typeof window !== 'undefined') {
+      window.removeEventListener('unhandledrejection', onBrowserUnhandled);
+      window.removeEventListener('rejectionhandled', onBrowserHandled);
+    }
+    return tracker;
+  }
+
+  /**
+   * The rejections that are still unhandled, and the ones that got a handler only after being reported.
+   */
+  function report() {
+    return {
+      unhandled: Array.from(unhandled.values()),
+      handledLate: handledLate.slice()
+    };
+  }
+
+  /**
+   * A human readable version of report().
+   */
+  function format() {
+    const entries = Array.from(unhandled.values());
+    if (entries.length === 0) {
+      return 'No unhandled rejections';
+    }
+    const lines = [`${entries.length} unhandled rejection${entries.length === 1 ? '' : 's'}:`];
+    entries.forEach((entry, i) => {
+      lines.push('', `${i + 1}) ${describeReason(entry.reason)}`);
+      if (entry.createdAt) {
+        lines.push('   Promise created at:', indent(entry.createdAt, '     '));
+      }
+      if (entry.reason instanceof Error && entry.reason.stack) {
+        lines.push('   Rejected with:', indent(cleanStack(entry.reason.stack), '     '));
+      }
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Throws when there are unhandled rejections. Strict mode or not, this is meant for test suites.
+   */
+  function assertNoUnhandled() {
+    if (unhandled.size > 0) {
+      throw unhandledRejectionError();
+    }
+  }
+
+  function unhandledRejectionError() {
+    const error = new Error(format());
+    error.name = 'UnhandledRejectionError';
+    error.rejections = Array.from(unhandled.values());
+    return error;
+  }
+
+  function reset() {
+    unhandled.clear();
+    handledLate.length = 0;
+    creationStacks = new WeakMap();
+  }
+
+  const tracker = { start, stop, report, format, assertNoUnhandled, reset };
+  return tracker;
+}
+
+function describeReason(reason) {
+  if (reason instanceof Error) {
+    return `${reason.name}: ${reason.message}`;
+  }
+  return `Rejected with ${reason === undefined ? 'undefined' : JSON.stringify(reason)}`;
+}
+
+// Drops the message line and the frames that belong to the runtime or to this module.
+function cleanStack(stack) {
+  return String(stack)
+    .split('\n')
+    .filter(line => /^\s+at /.test(line))
+    .filter(line => !line.includes('node:') && !(thisFile && line.includes(thisFile)) && !line.includes('(<anonymous>)'))
+    .map(line => line.trim())
+    .join('\n');
+}
+
+function indent(text, prefix) {
+  return text.split('\n').map(line => prefix + line).join('\n');
+}
+
+module.exports = {
+  createRejectionTracker
+};
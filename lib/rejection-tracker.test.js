@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('assert');
+const { execFile } = require('child_process');
+
+// The test runner listens to unhandledRejection itself, so every case runs in a process of its own.
+function runScript(code) {
+  const script = `const { createRejectionTracker } = require(${JSON.stringify(require.resolve('./rejection-tracker'))});\n` +
+    `const tick = () => new Promise(resolve => setTimeout(resolve, 10));\n${code}`;
+  return new Promise(resolve => {
+    execFile(process.execPath, ['-e', script], { timeout: 10000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('collects unhandled rejections with the place the promise was created', async () => {
+  const { code, stdout } = await runScript(`
+    const tracker = createRejectionTracker().start();
+    function createOrphan() {
+      return Promise.resolve().then(() => { throw new TypeError('orphaned'); });
+    }
+    createOrphan();
+    tick().then(() => {
+      const [entry] = tracker.report().unhandled;
+      console.log(entry.reason.message, entry.handled, /createOrphan/.test(entry.createdAt));
+      console.log(tracker.format().split('\\n')[0]);
+    });
+  `);
+  assert.strictEqual(code, 0);
+  assert.strictEqual(stdout, 'orphaned false true\n1 unhandled rejection:\n');
+});
+
+test('a handler attached later moves the rejection to handledLate', async () => {
+  const { stdout } = await runScript(`
+    const handled = [];
+    const tracker = createRejectionTracker({ onHandled: entry => handled.push(entry.reason) }).start();
+    const promise = Promise.reject('late');
+    tick().then(() => {
+      promise.catch(() => {});
+      return tick();
+    }).then(() => {
+      const { unhandled, handledLate } = tracker.report();
+      console.log(unhandled.length, handledLate.map(entry => entry.reason), handled);
+    });
+  `);
+  assert.strictEqual(stdout, "0 [ 'late' ] [ 'late' ]\n");
+});
+
+test('a tracker that is not strict keeps the process running, and assertNoUnhandled() throws', async () => {
+  const { code, stdout } = await runScript(`
+    const tracker = createRejectionTracker({ captureStacks: false }).start();
+    Promise.reject(new Error('ignored'));
+    tick().then(() => {
+      try {
+        tracker.assertNoUnhandled();
+      } catch (err) {
+        console.log(err.name, err.rejections.length, err.message.split('\\n')[2]);
+      }
+      tracker.reset();
+      tracker.assertNoUnhandled();
+      console.log(tracker.format());
+    });
+  `);
+  assert.strictEqual(code, 0);
+  assert.strictEqual(stdout, 'UnhandledRejectionError 1 1) Error: ignored\nNo unhandled rejections\n');
+});
+
+test('strict mode crashes the process on the first unhandled rejection, with the report', async () => {
+  const { code, stdout, stderr } = await runScript(`
+    createRejectionTracker({ strict: true }).start();
+    Promise.reject(new Error('fatal'));
+    tick().then(() => console.log('still running'));
+  `);
+  assert.strictEqual(code, 1);
+  assert.strictEqual(stdout, '');
+  assert.match(stderr, /UnhandledRejectionError\]?: 1 unhandled rejection:/);
+  assert.match(stderr, /1\) Error: fatal/);
+});
+
+test('stop() removes the listeners, which brings back the default crash', async () => {
+  const { code, stderr } = await runScript(`
+    createRejectionTracker().start().stop();
+    Promise.reject(new Error('crash'));
+  `);
+  assert.strictEqual(code, 1);
+  assert.match(stderr, /Error: crash/);
+});
@@ -0,0 +1,127 @@
+/**
+ * Retry with exponential backoff
+ *
+ * Network requests like the fetch() calls in 2-promises.js or asynchronousOperation() in 4-async-await.js
+ * sometimes fail for reasons that go away on their own: a dropped connection, a busy server, a rate limit.
+ * retry() calls the operation again after a growing delay (100ms, 200ms, 400ms, ...) until it succeeds or
+ * runs out of attempts.
+ *
+ * Jitter randomizes each delay between 0 and its computed value, so that many clients that failed at the same
+ * moment don't all come back at the same moment too.
+ *
+ * The timers come from the `clock` option (setTimeout/clearTimeout, the globals by default), so tests can use
+ * fake timers instead of actually sleeping.
+ *
+ * @Reference:
+ * https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ * https://github.com/sindresorhus/p-retry
+ */
+
+const { realClock } = require('./fake-timers');
+
+/**
+ * The error retry() rejects with once every attempt failed. `errors` holds each attempt's error, in order.
+ */
+class RetryError extends AggregateError {
+  constructor(errors) {
+    const last = errors[errors.length - 1];
+    super(errors, `Failed after ${errors.length} attempt${errors.length === 1 ? '' : 's'}: ` +
+      (last && last.message !== undefined ? last.message : String(last)));
+    this.name = 'RetryError';
+    this.attempts = errors.length;
+    this.lastError = last;
+  }
+}
+
+/**
+ * Calls `fn(attempt, { signal })` (attempt starts at 1) until the promise it returns fulfills, at most
+ * `retries + 1` times.
+ *
+ * Options:
+ * * retries - how many times to retry after the first attempt (default 3)
+ * * minDelay - delay before the first retry in ms (default 100)
+ * * maxDelay - upper bound for any delay in ms (default Infinity)
+ * * factor - how much the delay grows after each retry (default 2)
+ * * jitter - randomize each delay between 0 and its computed value (default true)
+ * * shouldRetry(error, attempt) - return false to give up right away, e.g. for a 404 (default: always retry)
+ * * onRetry(error, attempt, delay) - called before waiting for the next attempt
+ * * signal - an AbortSignal; aborting stops retrying and rejects with the signal's reason right away, even while
+ *   an attempt is still running. fn gets it too, so it can stop that attempt's work
+ * * clock - { setTimeout, clearTimeout } to schedule the delays with
+ * * random - the random number source used for jitter (default Math.random)
+ */
+function retry(fn, {
+  retries = 3,
+  minDelay = 100,
+  maxDelay = Infinity,
+  factor = 2,
+  jitter = true,
+  shouldRetry = () => true,
+  onRetry = () => {},
+  signal,
+  clock = realClock,
+  random = Math.random
+} = {}) {
+  const errors = [];
+
+  function backoff(attempt) {
+    const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+    return jitter ? Math.round(random() * delay) : delay;
+  }
+
+  function wait(ms) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clock.clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = clock.setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // An attempt that never settles would keep retry() from noticing the abort
+  function untilAborted(result) {
+    if (!signal) {
+      return result;
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      Promise.resolve(result)
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  async function attempt(number) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    try {
+      return await untilAborted(fn(number, { signal }));
+    } catch (err) {
+      errors.push(err);
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+      if (number > retries || !(await shouldRetry(err, number))) {
+        throw new RetryError(errors);
+      }
+      const delay = backoff(number);
+      await onRetry(err, number, delay);
+      await wait(delay);
+      return attempt(number + 1);
+    }
+  }
+
+  return attempt(1);
+}
+
+module.exports = {
+  retry,
+  RetryError
+};
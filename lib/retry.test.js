@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('assert');
+const { retry, RetryError } = require('./retry');
+const { createClock } = require('./fake-timers');
+
+// An operation that fails `failures` times before it succeeds, and records the (fake) time of every call
+function flaky(clock, failures) {
+  const calls = [];
+  const fn = async attempt => {
+    calls.push(clock.now);
+    if (attempt <= failures) {
+      throw new Error('failure ' + attempt);
+    }
+    return 'ok after ' + attempt;
+  };
+  return { fn, calls };
+}
+
+test('waits minDelay, then factor times longer before every retry', async () => {
+  const clock = createClock();
+  const { fn, calls } = flaky(clock, 3);
+  const promise = retry(fn, { clock, jitter: false });
+  await clock.runAll();
+  assert.strictEqual(await promise, 'ok after 4');
+  assert.deepStrictEqual(calls, [0, 100, 300, 700]);
+});
+
+test('maxDelay caps the delays and factor changes the growth', async () => {
+  const clock = createClock();
+  const { fn, calls } = flaky(clock, 3);
+  const promise = retry(fn, { clock, jitter: false, minDelay: 50, factor: 3, maxDelay: 200 });
+  await clock.runAll();
+  await promise;
+  assert.deepStrictEqual(calls, [0, 50, 200, 400]);
+});
+
+test('jitter picks each delay between 0 and the computed one', async () => {
+  const clock = createClock();
+  const { fn, calls } = flaky(clock, 2);
+  const delays = [];
+  const promise = retry(fn, { clock, random: () => 0.5, onRetry: (err, attempt, delay) => delays.push(delay) });
+  await clock.runAll();
+  await promise;
+  assert.deepStrictEqual(delays, [50, 100]);
+  assert.deepStrictEqual(calls, [0, 50, 150]);
+});
+
+test('does not call again before the delay is over', async () => {
+  const clock = createClock();
+  const { fn, calls } = flaky(clock, 1);
+  const promise = retry(fn, { clock, jitter: false });
+  await clock.tick(99);
+  assert.strictEqual(calls.length, 1);
+  await clock.tick(1);
+  assert.strictEqual(await promise, 'ok after 2');
+});
+
+test('gives up after `retries` retries with a RetryError holding every error', async () => {
+  const clock = createClock();
+  const { fn, calls } = flaky(clock, Infinity);
+  const promise = retry(fn, { clock, retries: 2, jitter: false });
+  const rejected = assert.rejects(promise, err => {
+    assert.ok(err instanceof RetryError);
+    assert.ok(err instanceof AggregateError);
+    assert.strictEqual(err.attempts, 3);
+    assert.deepStrictEqual(err.errors.map(e => e.message), ['failure 1', 'failure 2', 'failure 3']);
+    assert.strictEqual(err.lastError.message, 'failure 3');
+    assert.strictEqual(err.message, 'Failed after 3 attempts: failure 3');
+    return true;
+  });
+  await clock.runAll();
+  await rejected;
+  assert.strictEqual(calls.length, 3);
+});
+
+test('retries: 0 means a single attempt', async () => {
+  const clock = createClock();
+  const { fn, calls } = flaky(clock, 1);
+  await assert.rejects(retry(fn, { clock, retries: 0 }), /Failed after 1 attempt: failure 1/);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('shouldRetry returning false gives up right away', async () => {
+  const clock = createClock();
+  const notFound = Object.assign(new Error('not found'), { status: 404 });
+  let calls = 0;
+  const promise = retry(() => {
+    calls++;
+    return Promise.reject(notFound);
+  }, { clock, shouldRetry: err => err.status !== 404 });
+  await assert.rejects(promise, err => err instanceof RetryError && err.lastError === notFound);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(clock.countTimers(), 0);
+});
+
+test('onRetry gets the error, the attempt and the delay before each retry', async () => {
+  const clock = createClock();
+  const { fn } = flaky(clock, 2);
+  const seen = [];
+  const promise = retry(fn, { clock, jitter: false, onRetry: (err, attempt, delay) => seen.push([err.message, attempt, delay]) });
+  await clock.runAll();
+  await promise;
+  assert.deepStrictEqual(seen, [['failure 1', 1, 100], ['failure 2', 2, 200]]);
+});
+
+test('aborting the signal while waiting stops retrying and rejects with its reason', async () => {
+  const clock = createClock();
+  const controller = new AbortController();
+  const { fn, calls } = flaky(clock, Infinity);
+  const promise = retry(fn, { clock, jitter: false, signal: controller.signal });
+  const rejected = assert.rejects(promise, /gave up/);
+  await clock.tick(150);
+  assert.strictEqual(calls.length, 2);
+  controller.abort(new Error('gave up'));
+  await rejected;
+  assert.strictEqual(clock.countTimers(), 0);
+  await clock.runAll();
+  assert.strictEqual(calls.length, 2);
+});
+
+test('an aborted signal prevents the first attempt', async () => {
+  const controller = new AbortController();
+  controller.abort(new Error('never mind'));
+  let called = false;
+  await assert.rejects(retry(() => {
+    called = true;
+  }, { signal: controller.signal }), /never mind/);
+  assert.strictEqual(called, false);
+});
+
+test('aborting during an attempt that never settles rejects right away, and fn gets the signal', async () => {
+  const controller = new AbortController();
+  const seen = [];
+  const promise = retry((attempt, { signal }) => {
+    seen.push([attempt, signal]);
+    return new Promise(() => {});
+  }, { signal: controller.signal });
+  const rejected = assert.rejects(promise, /gave up/);
+  controller.abort(new Error('gave up'));
+  await rejected;
+  assert.deepStrictEqual(seen, [[1, controller.signal]]);
+});
@@ -0,0 +1,419 @@
+/**
+ * Sagas
+ *
+ * getFullName() in 3-generators.js is resumed by getFirstName() itself, which has to know the global `gen`.
+ * co() fixes that by having the generator yield promises, but then the generator still does the I/O: testing it
+ * means faking setTimeout or the network.
+ *
+ * A saga yields effects instead: plain objects that describe what should happen, like `call(fetchUser, 1)`.
+ * The runner interprets them - calls the function, waits for the result, sends it back into the generator - in
+ * the way the redux-saga middleware does. Because the effects are just data, a test can step through the
+ * generator by hand and compare what it yields, without running anything:
+ *
+ *   const gen = loadUser(1);
+ *   assert.deepStrictEqual(gen.next().value, call(fetchUser, 1));
+ *   assert.deepStrictEqual(gen.next({ name: 'Jerry' }).value, put({ type: 'USER_LOADED', user: { name: 'Jerry' } }));
+ *
+ * Effects:
+ * * call(fn, ...args) - calls fn and waits for its result: a promise, another saga (a generator) or a plain value.
+ *   call([context, fn], ...args) calls it as a method of context
+ * * put(action) - dispatches an action
+ * * take(pattern) - waits for the next dispatched action that matches: '*', a type, an array of types or a predicate
+ * * fork(fn, ...args) - starts fn in the background and gives back its Task right away
+ * * join(task) - waits for a forked task to finish
+ * * cancel(task) - cancels a task, running the finally blocks of its generators
+ * * race({ a: effect, b: effect }) - waits for the first effect to finish and cancels the others.
+ *   Gives back an object with only the winner's key, or an array if given an array
+ * * delay(ms, value) - waits ms milliseconds
+ *
+ * A saga doesn't finish before the tasks it forked have. If one of them fails, the saga is cancelled and fails with
+ * that error; cancelling a saga cancels its forks too.
+ *
+ * Yielding a promise also works, like in co(). Any other value is sent back as it is.
+ *
+ * @Reference:
+ * https://redux-saga.js.org/docs/basics/DeclarativeEffects
+ * https://redux-saga.js.org/docs/advanced/ForkModel
+ */
+
+const { CancellationError } = require('./co');
+const { realClock } = require('./fake-timers');
+
+const IO = Symbol('saga effect');
+const noop = () => {};
+
+const effect = (type, payload) => Object.assign({ [IO]: true, type }, payload);
+
+function call(fn, ...args) {
+  const [context, func] = Array.isArray(fn) ? fn : [null, fn];
+  return effect('CALL', { context, fn: func, args });
+}
+
+function put(action) {
+  return effect('PUT', { action });
+}
+
+function take(pattern = '*') {
+  return effect('TAKE', { pattern });
+}
+
+function fork(fn, ...args) {
+  const [context, func] = Array.isArray(fn) ? fn : [null, fn];
+  return effect('FORK', { context, fn: func, args });
+}
+
+function join(task) {
+  return effect('JOIN', { task });
+}
+
+function cancel(task) {
+  return effect('CANCEL', { task });
+}
+
+function race(effects) {
+  return effect('RACE', { effects });
+}
+
+function delay(ms, value) {
+  return effect('DELAY', { ms, value });
+}
+
+function isEffect(value) {
+  return value !== null && typeof value === 'object' && value[IO] === true;
+}
+
+/**
+ * A running saga. `toPromise()` resolves with the saga's return value, or rejects with its error, or with a
+ * CancellationError if it was cancelled. The error of a saga started with run() is an unhandled rejection unless
+ * somebody handles it; that of a fork goes to its parent.
+ */
+class Task {
+  constructor(name, stop) {
+    this.name = name;
+    this.status = 'running';
+    this.result = undefined;
+    this.error = undefined;
+    this._stop = stop;
+    this._promise = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+  }
+
+  isRunning() {
+    return this.status === 'running';
+  }
+
+  isCancelled() {
+    return this.status === 'cancelled';
+  }
+
+  cancel() {
+    if (this.isRunning()) {
+      this._stop({ cancelled: true });
+    }
+  }
+
+  toPromise() {
+    return this._promise;
+  }
+
+  _end(outcome, value) {
+    if (outcome && outcome.cancelled) {
+      this.status = 'cancelled';
+      // Whoever cancelled the task knows it won't finish, so nobody has to handle that.
+      this._promise.catch(noop);
+      this._reject(new CancellationError(`Task ${this.name} was cancelled`));
+    } else if (outcome) {
+      this.status = 'failed';
+      this.error = outcome.error;
+      this._reject(outcome.error);
+    } else {
+      this.status = 'done';
+      this.result = value;
+      this._resolve(value);
+    }
+  }
+}
+
+/**
+ * Creates the runner that interprets the effects.
+ *
+ * Options:
+ * * dispatch(action) - called for each put(), e.g. a Redux store's dispatch (default: nothing)
+ * * clock - { setTimeout, clearTimeout } to schedule delay() with
+ */
+function createRunner({
+  dispatch = noop,
+  clock = realClock
+} = {}) {
+  let takers = [];
+
+  const env = {
+    clock,
+    dispatch(action) {
+      const result = dispatch(action);
+      // Sagas that take() while handling this action wait for the next one.
+      const waiting = takers;
+      takers = [];
+      waiting.forEach(taker => {
+        if (matches(taker.pattern, action)) {
+          taker.cb(null, action);
+        } else {
+          takers.push(taker);
+        }
+      });
+      return result;
+    },
+    addTaker(taker) {
+      takers.push(taker);
+      return () => {
+        takers = takers.filter(other => other !== taker);
+      };
+    }
+  };
+
+  return {
+    /**
+     * Starts the saga `fn(...args)` and returns its Task.
+     */
+    run(fn, ...args) {
+      return proc(env, iteratorOf(null, fn, args), fn.name);
+    },
+    /**
+     * Dispatches an action from outside, e.g. from an event handler, to the sagas waiting in take().
+     */
+    dispatch: env.dispatch
+  };
+}
+
+// Runs an iterator as a task
+function proc(env, iterator, name, parent = null) {
+  const task = new Task(name, stop);
+  const children = new Set();
+  let cancelCurrent = noop;
+  // Bumped by stop(), so that an effect completing on its way out isn't sent into the closing generator
+  let epoch = 0;
+  // Set once the task is stopped from outside or by a failing child; the generator is then closing down.
+  let outcome = null;
+  let bodyDone = false;
+  let bodyResult;
+
+  // Effects can complete synchronously (put, a rejected call, ...), so resume() is a trampoline instead of
+  // recursing for each of them.
+  let stepping = false;
+  let queued = null;
+
+  function resume(mode, arg) {
+    queued = { mode, arg };
+    if (stepping) return;
+    stepping = true;
+    while (queued) {
+      const { mode, arg } = queued;
+      queued = null;
+      step(mode, arg);
+    }
+    stepping = false;
+  }
+
+  function step(mode, arg) {
+    let result;
+    try {
+      result = iterator[mode](arg);
+    } catch (err) {
+      bodyDone = true;
+      // An error in a finally block that runs because of cancel() replaces the cancellation.
+      if (!outcome || outcome.cancelled) outcome = { error: err };
+      children.forEach(child => child.cancel());
+      return checkEnd();
+    }
+    if (result.done) {
+      bodyDone = true;
+      bodyResult = result.value;
+      return checkEnd();
+    }
+    const current = epoch;
+    cancelCurrent = runEffect(env, result.value, task, (err, value) => {
+      if (current !== epoch) return;
+      cancelCurrent = noop;
+      if (err) resume('throw', err);
+      else resume('next', value);
+    });
+  }
+
+  function stop(reason) {
+    if (outcome || !task.isRunning()) return;
+    outcome = reason;
+    epoch++;
+    cancelCurrent();
+    cancelCurrent = noop;
+    children.forEach(child => child.cancel());
+    if (bodyDone) {
+      checkEnd();
+    } else {
+      // Runs the generator's finally blocks, which may yield effects of their own.
+      resume('return');
+    }
+  }
+
+  function checkEnd() {
+    if (bodyDone && children.size === 0 && task.isRunning()) {
+      task._end(outcome, bodyResult);
+    }
+  }
+
+  task._fork = function (child) {
+    children.add(child);
+    child.toPromise().then(
+      () => {
+        children.delete(child);
+        checkEnd();
+      },
+      err => {
+        children.delete(child);
+        if (child.isCancelled()) {
+          checkEnd();
+        } else {
+          stop({ error: err });
+          checkEnd();
+        }
+      }
+    );
+  };
+
+  // The parent handles the outcome of its forks, whether anybody joins them or not.
+  if (parent) {
+    parent._fork(task);
+  }
+  resume('next');
+  return task;
+}
+
+/**
+ * Starts `effect` and calls `cb(err, value)` once it completes. Returns a function that cancels it; the callback
+ * isn't called after that.
+ */
+function runEffect(env, value, task, cb) {
+  let done = false;
+  const callback = (err, result) => {
+    if (done) return;
+    done = true;
+    cb(err, result);
+  };
+
+  let cancelEffect = noop;
+  try {
+    cancelEffect = startEffect(env, value, task, callback) || noop;
+  } catch (err) {
+    callback(err);
+  }
+  return () => {
+    if (done) return;
+    done = true;
+    cancelEffect();
+  };
+}
+
+function startEffect(env, value, task, cb) {
+  if (!isEffect(value)) {
+    if (value !== null && typeof value === 'object' && typeof value.then === 'function') {
+      value.then(result => cb(null, result), err => cb(err));
+      return;
+    }
+    return cb(null, value);
+  }
+
+  switch (value.type) {
+    case 'CALL': {
+      const result = value.fn.apply(value.context, value.args);
+      if (isIterator(result)) {
+        const sub = proc(env, result, value.fn.name);
+        sub.toPromise().then(res => cb(null, res), err => cb(err));
+        return () => sub.cancel();
+      }
+      return startEffect(env, result, task, cb);
+    }
+    case 'PUT':
+      return cb(null, env.dispatch(value.action));
+    case 'TAKE':
+      return env.addTaker({ pattern: value.pattern, cb });
+    case 'FORK': {
+      const child = proc(env, iteratorOf(value.context, value.fn, value.args), value.fn.name, task);
+      return cb(null, child);
+    }
+    case 'JOIN':
+      value.task.toPromise().then(res => cb(null, res), err => cb(err));
+      return;
+    case 'CANCEL':
+      value.task.cancel();
+      return cb(null);
+    case 'RACE':
+      return startRace(env, value.effects, task, cb);
+    case 'DELAY': {
+      const id = env.clock.setTimeout(() => cb(null, value.value), value.ms);
+      return () => env.clock.clearTimeout(id);
+    }
+    default:
+      throw new TypeError(`Unknown effect ${value.type}`);
+  }
+}
+
+function startRace(env, effects, task, cb) {
+  const keys = Object.keys(effects);
+  const cancels = [];
+  let finished = false;
+
+  keys.forEach(key => {
+    if (finished) return;
+    cancels.push(runEffect(env, effects[key], task, (err, result) => {
+      finished = true;
+      cancels.forEach(cancelEffect => cancelEffect());
+      if (err) return cb(err);
+      const results = Array.isArray(effects) ? effects.map(() => undefined) : {};
+      results[key] = result;
+      cb(null, results);
+    }));
+  });
+  // One of them may have won while the later ones were still being started.
+  if (finished) {
+    cancels.forEach(cancelEffect => cancelEffect());
+  }
+  return () => cancels.forEach(cancelEffect => cancelEffect());
+}
+
+function matches(pattern, action) {
+  if (pattern === '*') return true;
+  if (typeof pattern === 'function') return pattern(action);
+  if (Array.isArray(pattern)) return pattern.some(each => matches(each, action));
+  return action.type === pattern;
+}
+
+function isIterator(value) {
+  return value !== null && typeof value === 'object' && typeof value.next === 'function' &&
+    typeof value.throw === 'function';
+}
+
+// Forked functions don't have to be generators: anything else is wrapped in a saga that calls it.
+function iteratorOf(context, fn, args) {
+  const result = fn.apply(context, args);
+  if (isIterator(result)) {
+    return result;
+  }
+  return (function* () {
+    return yield result;
+  })();
+}
+
+module.exports = {
+  createRunner,
+  call,
+  put,
+  take,
+  fork,
+  join,
+  cancel,
+  race,
+  delay,
+  isEffect,
+  Task
+};
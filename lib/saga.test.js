@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('assert');
+const { execFile } = require('child_process');
+const path = require('path');
+const { createRunner, call, put, take, fork, join, cancel, race, delay, isEffect } = require('./saga');
+const { CancellationError } = require('./co');
+const { createClock } = require('./fake-timers');
+
+// Runs `script` in a child process, where an unhandled rejection does what it does in a program of one's own
+function runScript(script) {
+  return new Promise(resolve => {
+    execFile(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('effects are plain data that a test can compare', () => {
+  function fetchUser() {}
+  const effect = call(fetchUser, 1);
+  assert.strictEqual(isEffect(effect), true);
+  assert.strictEqual(isEffect({ type: 'CALL' }), false);
+  assert.deepStrictEqual(effect, call(fetchUser, 1));
+  assert.notDeepStrictEqual(effect, call(fetchUser, 2));
+  const context = {};
+  assert.strictEqual(call([context, fetchUser]).context, context);
+});
+
+test('call() waits for promises, sagas and plain values, and put() dispatches', async () => {
+  const dispatched = [];
+  const runner = createRunner({ dispatch: action => dispatched.push(action) });
+  function* double(n) {
+    return (yield Promise.resolve(n)) * 2;
+  }
+  function* main() {
+    const a = yield call(n => Promise.resolve(n + 1), 1);
+    const b = yield call(double, a);
+    const c = yield call([{ offset: 10 }, function (n) { return n + this.offset; }], b);
+    yield put({ type: 'RESULT', value: c });
+    return c;
+  }
+
+  assert.strictEqual(await runner.run(main).toPromise(), 14);
+  assert.deepStrictEqual(dispatched, [{ type: 'RESULT', value: 14 }]);
+});
+
+test('a failing call is thrown into the generator', async () => {
+  const runner = createRunner();
+  function* main() {
+    try {
+      yield call(() => Promise.reject(new Error('nope')));
+    } catch (err) {
+      return 'caught ' + err.message;
+    }
+  }
+  assert.strictEqual(await runner.run(main).toPromise(), 'caught nope');
+});
+
+test('take() waits for the next matching action', async () => {
+  const runner = createRunner();
+  const taken = [];
+  function* watcher() {
+    taken.push((yield take('A')).type);
+    taken.push((yield take(['B', 'C'])).type);
+    taken.push((yield take(action => action.n === 2)).n);
+    taken.push((yield take()).type);
+  }
+  const task = runner.run(watcher);
+  runner.dispatch({ type: 'B' });
+  runner.dispatch({ type: 'A' });
+  runner.dispatch({ type: 'C' });
+  runner.dispatch({ type: 'D', n: 1 });
+  runner.dispatch({ type: 'D', n: 2 });
+  runner.dispatch({ type: 'E' });
+  await task.toPromise();
+  assert.deepStrictEqual(taken, ['A', 'C', 2, 'E']);
+});
+
+test('a saga waits for its forks, and join() gets their result', async () => {
+  const clock = createClock();
+  const runner = createRunner({ clock });
+  const order = [];
+  function* worker(ms, name) {
+    yield delay(ms);
+    order.push(name);
+    return name;
+  }
+  function* main() {
+    yield fork(worker, 200, 'slow');
+    const fast = yield fork(worker, 100, 'fast');
+    order.push('main body done');
+    return yield join(fast);
+  }
+  const task = runner.run(main);
+  await clock.tick(100);
+  assert.strictEqual(task.isRunning(), true);
+  await clock.tick(100);
+  assert.strictEqual(await task.toPromise(), 'fast');
+  assert.deepStrictEqual(order, ['main body done', 'fast', 'slow']);
+});
+
+test('a failing fork cancels its parent, which fails with its error', async () => {
+  const clock = createClock();
+  const runner = createRunner({ clock });
+  const cleanedUp = [];
+  function* failing() {
+    yield delay(10);
+    throw new Error('fork failed');
+  }
+  function* main() {
+    try {
+      yield fork(failing);
+      yield delay(1000);
+    } finally {
+      cleanedUp.push('main');
+    }
+  }
+  const task = runner.run(main);
+  const failed = assert.rejects(task.toPromise(), /fork failed/);
+  await clock.runAll();
+  await failed;
+  assert.strictEqual(task.error.message, 'fork failed');
+  assert.deepStrictEqual(cleanedUp, ['main']);
+});
+
+test('cancel() runs the finally blocks of a task and its forks', async () => {
+  const clock = createClock();
+  const runner = createRunner({ clock });
+  const cleanedUp = [];
+  function* child() {
+    try {
+      yield delay(1000);
+    } finally {
+      cleanedUp.push('child');
+    }
+  }
+  function* main() {
+    const task = yield fork(function* () {
+      try {
+        yield fork(child);
+        yield delay(1000);
+      } finally {
+        cleanedUp.push('forked');
+      }
+    });
+    yield delay(10);
+    yield cancel(task);
+    return task;
+  }
+  const task = runner.run(main);
+  await clock.tick(10);
+  const forked = await task.toPromise();
+  assert.strictEqual(forked.isCancelled(), true);
+  assert.deepStrictEqual(cleanedUp.sort(), ['child', 'forked']);
+  assert.strictEqual(clock.countTimers(), 0);
+});
+
+test('a cancelled task rejects with a CancellationError', async () => {
+  const runner = createRunner();
+  const task = runner.run(function* () {
+    yield take('NEVER');
+  });
+  task.cancel();
+  assert.strictEqual(task.isCancelled(), true);
+  await assert.rejects(task.toPromise(), CancellationError);
+});
+
+test('race() gives back the winner and cancels the others', async () => {
+  const clock = createClock();
+  const runner = createRunner({ clock });
+  function* main() {
+    const first = yield race({ slow: delay(200, 'slow'), fast: delay(100, 'fast') });
+    const second = yield race([take('GO'), delay(500)]);
+    return [first, second];
+  }
+  const task = runner.run(main);
+  await clock.tick(100);
+  assert.strictEqual(clock.countTimers(), 1);
+  runner.dispatch({ type: 'GO' });
+  assert.deepStrictEqual(await task.toPromise(), [{ fast: 'fast' }, [{ type: 'GO' }, undefined]]);
+  assert.strictEqual(clock.countTimers(), 0);
+});
+
+test('many effects that complete synchronously do not grow the stack', async () => {
+  const runner = createRunner();
+  function* main() {
+    for (let i = 0; i < 100000; i++) {
+      yield put({ type: 'TICK' });
+    }
+    return 'done';
+  }
+  assert.strictEqual(await runner.run(main).toPromise(), 'done');
+});
+
+test('a failing root saga nobody handles is an unhandled rejection', async () => {
+  const { code, stderr } = await runScript(`
+    const { createRunner } = require('./lib/saga');
+    createRunner().run(function* () { throw new Error('root failed'); });
+  `);
+  assert.notStrictEqual(code, 0);
+  assert.match(stderr, /root failed/);
+});
+
+test('a cancelled root saga and a fork nobody joins are not unhandled rejections', async () => {
+  const { code, stderr } = await runScript(`
+    const { createRunner, fork, take } = require('./lib/saga');
+    const runner = createRunner();
+    runner.run(function* () { yield take('NEVER'); }).cancel();
+    const parent = runner.run(function* () {
+      yield fork(function* () { yield take('NEVER'); });
+    });
+    parent.toPromise().catch(() => {});
+    parent.cancel();
+  `);
+  assert.strictEqual(stderr, '');
+  assert.strictEqual(code, 0);
+});
@@ -0,0 +1,335 @@
+/**
+ * Task queue
+ *
+ * The makeAjaxCall() chain in 3-generators.js and the asynchronousOperation() pipelines in 4-async-await.js run once
+ * and are done. A server or a long running script needs somewhere to put work as it comes in: a queue that runs a
+ * few jobs at a time, important ones first, and can be paused, watched and waited for.
+ *
+ *   const queue = new TaskQueue({ concurrency: 2 });
+ *   queue.add(() => fetch('/a'));
+ *   queue.add(() => fetch('/b'), { priority: 10 }); // goes before the jobs that are still waiting
+ *   await queue.onIdle();
+ *
+ * Jobs that should survive a restart can't be functions: a function can't be written to a file. They are a type
+ * and JSON data instead, with a handler defined for the type. The queue saves them in its store when they are
+ * added and removes them once they are done, and restore() queues whatever a previous run left behind:
+ *
+ *   const queue = new TaskQueue({ store: new JsonFileStore('jobs.json') });
+ *   queue.define('upload', (name, { signal, progress }) => upload(name, { signal }));
+ *   await queue.restore();
+ *   queue.add('upload', 'Jerry');
+ *
+ * A job (a function or a handler) gets { signal, progress, job }: the AbortSignal is aborted when the job's timeout
+ * runs out, and progress(value) emits a 'progress' event.
+ *
+ * Events:
+ * * add (job), active (job) - queued, started
+ * * progress (job, value)
+ * * completed (job, result), failed (job, error)
+ * * empty - no more jobs waiting, idle - and none running
+ * * error (error) - the store failed, or a completed or failed listener threw. Without a listener it ends up as an
+ *   unhandled rejection. Either way the queue goes on with the next store operation and the next job
+ *
+ * A store has load(), which resolves with the saved jobs, save(job) and remove(id). The queue calls them one at a
+ * time. MemoryStore and JsonFileStore are the two here; one for a database looks the same.
+ *
+ * @Reference:
+ * https://github.com/sindresorhus/p-queue
+ * https://github.com/OptimalBits/bull
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { randomUUID } = require('crypto');
+const { withTimeout } = require('./timeout');
+
+const noop = () => {};
+
+class MemoryStore {
+  constructor() {
+    this._jobs = new Map();
+  }
+
+  async load() {
+    return Array.from(this._jobs.values());
+  }
+
+  async save(job) {
+    this._jobs.set(job.id, job);
+  }
+
+  async remove(id) {
+    this._jobs.delete(id);
+  }
+}
+
+/**
+ * Keeps the jobs in a JSON file. The whole file is rewritten on every change, through a temporary file, so a crash
+ * halfway through a write leaves the previous version instead of half a file.
+ */
+class JsonFileStore {
+  constructor(file) {
+    this.file = file;
+    this._jobs = null;
+  }
+
+  async load() {
+    return Array.from((await this._read()).values());
+  }
+
+  async save(job) {
+    (await this._read()).set(job.id, job);
+    await this._write();
+  }
+
+  async remove(id) {
+    if ((await this._read()).delete(id)) {
+      await this._write();
+    }
+  }
+
+  async _read() {
+    if (!this._jobs) {
+      let jobs = [];
+      try {
+        jobs = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      this._jobs = new Map(jobs.map(job => [job.id, job]));
+    }
+    return this._jobs;
+  }
+
+  async _write() {
+    const temporary = this.file + '.tmp';
+    await fs.promises.writeFile(temporary, JSON.stringify(Array.from(this._jobs.values()), null, 2));
+    await fs.promises.rename(temporary, this.file);
+  }
+}
+
+class TaskQueue extends EventEmitter {
+  /**
+   * Options:
+   * * concurrency - how many jobs run at once (default Infinity)
+   * * timeout - ms after which a job is aborted and rejects with a TimeoutError, unless the job sets its own
+   *   (default Infinity)
+   * * autoStart - start running jobs right away; false starts paused (default true)
+   * * store - where jobs with a type are kept until they are done (default a new MemoryStore)
+   * * handlers - { type: handler } to define() right away
+   */
+  constructor({ concurrency = Infinity, timeout = Infinity, autoStart = true, store = new MemoryStore(), handlers = {} } = {}) {
+    super();
+    if (!(Number.isInteger(concurrency) && concurrency > 0) && concurrency !== Infinity) {
+      throw new TypeError('Expected concurrency to be a positive integer or Infinity, got ' + concurrency);
+    }
+    this.concurrency = concurrency;
+    this.timeout = timeout;
+    this.store = store;
+    this._paused = !autoStart;
+    this._handlers = new Map(Object.entries(handlers));
+    this._queue = [];
+    this._running = 0;
+    // Ids of the jobs waiting, running or not yet removed from the store, so that restore() doesn't queue them twice
+    this._ids = new Set();
+    this._emptyWaiters = [];
+    this._idleWaiters = [];
+    this._persisting = Promise.resolve();
+  }
+
+  /**
+   * How many jobs are waiting
+   */
+  get size() {
+    return this._queue.length;
+  }
+
+  /**
+   * How many jobs are running
+   */
+  get pending() {
+    return this._running;
+  }
+
+  get isPaused() {
+    return this._paused;
+  }
+
+  /**
+   * Sets the handler for jobs of `type`: handler(data, { signal, progress, job }) returns the job's result or a
+   * promise for it.
+   */
+  define(type, handler) {
+    this._handlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Queues a job and resolves or rejects with its outcome.
+   *
+   *   add(type, data, options) - a job for the handler of `type`, saved in the store until it is done
+   *   add(fn, options) - fn({ signal, progress, job }), kept in memory only
+   *
+   * Options:
+   * * priority - higher runs first; equal priorities run in the order they were added (default 0)
+   * * timeout - overrides the queue's timeout for this job
+   */
+  add(typeOrFn, data, options) {
+    let fn = null;
+    let type = typeOrFn;
+    if (typeof typeOrFn === 'function') {
+      [fn, type, options, data] = [typeOrFn, null, data, undefined];
+    } else if (!this._handlers.has(type)) {
+      return Promise.reject(new TypeError(`No handler defined for jobs of type ${type}`));
+    }
+    const { priority = 0, timeout = this.timeout } = options || {};
+    const job = {
+      id: randomUUID(),
+      type,
+      data,
+      priority,
+      // JSON has no Infinity
+      timeout: timeout === Infinity ? null : timeout,
+      addedAt: Date.now()
+    };
+    if (type !== null) {
+      this._persist(store => store.save(job));
+    }
+    return this._enqueue(job, fn);
+  }
+
+  /**
+   * Queues the jobs the store still holds, e.g. from before a restart. Jobs of types without a handler stay in the
+   * store. Resolves with the queued jobs; their outcome is only reported through the events.
+   */
+  async restore() {
+    // In line with the saves and removes, so that it doesn't see a job that is done but not removed yet
+    const loading = this._persisting.then(() => this.store.load());
+    this._persisting = loading.then(noop, noop);
+    const jobs = await loading;
+    const restored = jobs.filter(job => this._handlers.has(job.type) && !this._ids.has(job.id));
+    restored.forEach(job => this._enqueue(job, null).catch(noop));
+    return restored;
+  }
+
+  pause() {
+    this._paused = true;
+  }
+
+  resume() {
+    this._paused = false;
+    this._next();
+  }
+
+  /**
+   * Resolves once no jobs are waiting (some may still be running).
+   */
+  onEmpty() {
+    return new Promise(resolve => {
+      if (this._queue.length === 0) resolve();
+      else this._emptyWaiters.push(resolve);
+    });
+  }
+
+  /**
+   * Resolves once no jobs are waiting or running, and the store is up to date.
+   */
+  onIdle() {
+    return new Promise(resolve => {
+      if (this._queue.length === 0 && this._running === 0) resolve(this._persisting);
+      else this._idleWaiters.push(resolve);
+    });
+  }
+
+  _enqueue(job, fn) {
+    return new Promise((resolve, reject) => {
+      const entry = { job, fn, resolve, reject };
+      // After everything with the same or a higher priority
+      const index = this._queue.findIndex(other => other.job.priority < job.priority);
+      this._queue.splice(index === -1 ? this._queue.length : index, 0, entry);
+      this._ids.add(job.id);
+      this.emit('add', job);
+      this._next();
+    });
+  }
+
+  _next() {
+    let started = false;
+    while (!this._paused && this._running < this.concurrency && this._queue.length > 0) {
+      this._running++;
+      started = true;
+      this._run(this._queue.shift());
+    }
+    if (started && this._queue.length === 0) {
+      this._emptyWaiters.splice(0).forEach(resolve => resolve());
+      this.emit('empty');
+    }
+  }
+
+  _run({ job, fn, resolve, reject }) {
+    this.emit('active', job);
+    const progress = value => this.emit('progress', job, value);
+    const handler = fn || this._handlers.get(job.type);
+    const work = signal => fn ? handler({ signal, progress, job }) : handler(job.data, { signal, progress, job });
+
+    const outcome = job.timeout === null
+      ? new Promise(resolveWork => resolveWork(work(new AbortController().signal)))
+      : withTimeout(work, job.timeout, { message: `Job ${job.id} timed out after ${job.timeout} ms` });
+
+    // The caller hears about the job first, and a listener that throws can't keep the queue from going on
+    outcome
+      .then(
+        result => {
+          resolve(result);
+          this._emitGuarded('completed', job, result);
+        },
+        err => {
+          reject(err);
+          this._emitGuarded('failed', job, err);
+        }
+      )
+      .finally(() => {
+        if (job.type === null) {
+          this._ids.delete(job.id);
+        } else {
+          this._persist(store => store.remove(job.id).finally(() => this._ids.delete(job.id)));
+        }
+        this._running--;
+        this._next();
+        if (this._running === 0 && this._queue.length === 0) {
+          this._idleWaiters.splice(0).forEach(resolveIdle => resolveIdle(this._persisting));
+          this.emit('idle');
+        }
+      });
+  }
+
+  _persist(operation) {
+    this._persisting = this._persisting
+      .then(() => operation(this.store))
+      .catch(err => this._reportError(err));
+  }
+
+  _emitGuarded(event, ...args) {
+    try {
+      this.emit(event, ...args);
+    } catch (err) {
+      this._reportError(err);
+    }
+  }
+
+  _reportError(err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    } else {
+      // Reported on its own: the store chain has to stay fulfilled for the operations after this one, and
+      // a job's bookkeeping has to happen
+      Promise.reject(err);
+    }
+  }
+}
+
+module.exports = {
+  TaskQueue,
+  MemoryStore,
+  JsonFileStore
+};
@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { TaskQueue, MemoryStore, JsonFileStore } = require('./task-queue');
+const { TimeoutError } = require('./timeout');
+
+const pause = () => new Promise(resolve => setImmediate(resolve));
+
+// A job that waits until the test lets it finish
+function deferredJob(log, name) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  const job = async () => {
+    log.push(name + ' start');
+    await done;
+    log.push(name + ' end');
+    return name;
+  };
+  return { job, finish };
+}
+
+// A store that fails the operations it is told to
+class FlakyStore extends MemoryStore {
+  constructor() {
+    super();
+    this.failing = new Set();
+    this.operations = [];
+  }
+
+  async save(job) {
+    this.operations.push('save ' + job.data);
+    if (this.failing.has('save ' + job.data)) throw new Error('cannot save ' + job.data);
+    return super.save(job);
+  }
+
+  async remove(id) {
+    this.operations.push('remove');
+    return super.remove(id);
+  }
+}
+
+test('runs at most concurrency jobs at once', async () => {
+  const queue = new TaskQueue({ concurrency: 2 });
+  const log = [];
+  const jobs = ['a', 'b', 'c'].map(name => deferredJob(log, name));
+  const results = jobs.map(({ job }) => queue.add(job));
+  await pause();
+  assert.deepStrictEqual(log, ['a start', 'b start']);
+  assert.strictEqual(queue.pending, 2);
+  assert.strictEqual(queue.size, 1);
+
+  jobs[0].finish();
+  await pause();
+  assert.deepStrictEqual(log, ['a start', 'b start', 'a end', 'c start']);
+  jobs.forEach(({ finish }) => finish());
+  assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c']);
+  assert.throws(() => new TaskQueue({ concurrency: 0 }), TypeError);
+});
+
+test('runs higher priorities first, equal ones in order', async () => {
+  const queue = new TaskQueue({ concurrency: 1, autoStart: false });
+  const order = [];
+  const job = name => () => order.push(name);
+  queue.add(job('low'));
+  queue.add(job('high'), { priority: 10 });
+  queue.add(job('low 2'));
+  queue.add(job('high 2'), { priority: 10 });
+  queue.add(job('middle'), { priority: 5 });
+  assert.strictEqual(queue.isPaused, true);
+  queue.resume();
+  await queue.onIdle();
+  assert.deepStrictEqual(order, ['high', 'high 2', 'middle', 'low', 'low 2']);
+});
+
+test('pause() stops starting jobs, onEmpty() and onIdle() wait', async () => {
+  const queue = new TaskQueue({ concurrency: 1 });
+  const log = [];
+  const first = deferredJob(log, 'first');
+  queue.add(first.job);
+  queue.add(async () => log.push('second'));
+  queue.pause();
+
+  let empty = false;
+  let idle = false;
+  queue.onEmpty().then(() => { empty = true; });
+  queue.onIdle().then(() => { idle = true; });
+  first.finish();
+  await pause();
+  assert.deepStrictEqual(log, ['first start', 'first end']);
+  assert.strictEqual(empty, false);
+
+  queue.resume();
+  await queue.onIdle();
+  await pause();
+  assert.deepStrictEqual([empty, idle], [true, true]);
+  assert.deepStrictEqual(log, ['first start', 'first end', 'second']);
+});
+
+test('emits events for the life of a job', async () => {
+  const queue = new TaskQueue();
+  const events = [];
+  ['add', 'active', 'completed', 'failed', 'empty', 'idle'].forEach(name => {
+    queue.on(name, () => events.push(name));
+  });
+  queue.on('progress', (job, value) => events.push('progress ' + value));
+  await queue.add(({ progress }) => progress(50));
+  await queue.onIdle();
+  await assert.rejects(queue.add(() => { throw new Error('failed'); }), /failed/);
+  await queue.onIdle();
+  assert.deepStrictEqual(events, [
+    'add', 'active', 'progress 50', 'empty', 'completed', 'idle',
+    'add', 'active', 'empty', 'failed', 'idle'
+  ]);
+});
+
+test('a completed or failed listener that throws does not stop the queue', async () => {
+  const queue = new TaskQueue({ concurrency: 1 });
+  const errors = [];
+  queue.on('error', err => errors.push(err.message));
+  queue.on('completed', (job, result) => {
+    if (result === 'a') throw new Error('completed listener');
+  });
+  queue.on('failed', () => {
+    throw new Error('failed listener');
+  });
+
+  const results = [
+    queue.add(() => 'a'),
+    queue.add(() => { throw new Error('b'); }),
+    queue.add(() => 'c')
+  ];
+  assert.strictEqual(await results[0], 'a');
+  await assert.rejects(results[1], { message: 'b' });
+  assert.strictEqual(await results[2], 'c');
+  await queue.onIdle();
+  assert.deepStrictEqual(errors, ['completed listener', 'failed listener']);
+  assert.strictEqual(queue.pending, 0);
+});
+
+test('a job that times out rejects with a TimeoutError and sees its signal aborted', async () => {
+  const queue = new TaskQueue({ timeout: 10 });
+  let aborted = false;
+  const job = ({ signal }) => new Promise(resolve => {
+    signal.addEventListener('abort', () => {
+      aborted = true;
+      resolve();
+    });
+  });
+  await assert.rejects(queue.add(job), TimeoutError);
+  assert.strictEqual(aborted, true);
+  assert.strictEqual(await queue.add(() => 'no timeout', { timeout: Infinity }), 'no timeout');
+});
+
+test('keeps typed jobs in the store until they are done', async () => {
+  const store = new MemoryStore();
+  const queue = new TaskQueue({ store, handlers: { double: n => n * 2 } });
+  let resolveSlow;
+  queue.define('slow', () => new Promise(resolve => { resolveSlow = resolve; }));
+
+  assert.strictEqual(await queue.add('double', 21), 42);
+  const slow = queue.add('slow', 'data', { priority: 3 });
+  await pause();
+  const saved = await store.load();
+  assert.strictEqual(saved.length, 1);
+  assert.strictEqual(saved[0].type, 'slow');
+  assert.strictEqual(saved[0].priority, 3);
+  assert.strictEqual(saved[0].timeout, null);
+
+  resolveSlow('done');
+  await slow;
+  await queue.onIdle();
+  assert.deepStrictEqual(await store.load(), []);
+  await assert.rejects(queue.add('unknown', 1), /No handler defined for jobs of type unknown/);
+});
+
+test('restore() queues the jobs a previous run left behind', async () => {
+  const store = new MemoryStore();
+  await store.save({ id: '1', type: 'greet', data: 'Jerry', priority: 0, timeout: null });
+  await store.save({ id: '2', type: 'other', data: 'kept', priority: 0, timeout: null });
+  const greeted = [];
+  const queue = new TaskQueue({ store, handlers: { greet: name => greeted.push(name) } });
+
+  const restored = await queue.restore();
+  assert.deepStrictEqual(restored.map(job => job.id), ['1']);
+  await queue.onIdle();
+  assert.deepStrictEqual(greeted, ['Jerry']);
+  assert.deepStrictEqual((await store.load()).map(job => job.id), ['2']);
+  assert.deepStrictEqual(await queue.restore(), []);
+});
+
+test('JsonFileStore keeps the jobs in a file', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'task-queue-'));
+  try {
+    const file = path.join(dir, 'jobs.json');
+    const store = new JsonFileStore(file);
+    assert.deepStrictEqual(await store.load(), []);
+    await store.save({ id: 'a', type: 'upload', data: 'Jerry' });
+    await store.save({ id: 'b', type: 'upload', data: 'Elaine' });
+    await store.remove('a');
+
+    const reopened = new JsonFileStore(file);
+    assert.deepStrictEqual(await reopened.load(), [{ id: 'b', type: 'upload', data: 'Elaine' }]);
+    assert.deepStrictEqual(await fs.promises.readdir(dir), ['jobs.json']);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a store error is emitted and the store operations after it still happen', async () => {
+  const store = new FlakyStore();
+  store.failing.add('save b');
+  const queue = new TaskQueue({ store, handlers: { job: data => data } });
+  const errors = [];
+  queue.on('error', err => errors.push(err.message));
+
+  await Promise.all(['a', 'b', 'c'].map(data => queue.add('job', data)));
+  await queue.onIdle();
+  assert.deepStrictEqual(errors, ['cannot save b']);
+  assert.deepStrictEqual(store.operations, ['save a', 'save b', 'save c', 'remove', 'remove', 'remove']);
+  assert.deepStrictEqual(await store.load(), []);
+});
+
+test('without an error listener a store error is an unhandled rejection, and the queue goes on', async () => {
+  const script = `
+    const { TaskQueue, MemoryStore } = require('./lib/task-queue');
+    class FailingOnce extends MemoryStore {
+      async save(job) {
+        if (job.data === 'a') throw new Error('cannot save a');
+        return super.save(job);
+      }
+    }
+    const store = new FailingOnce();
+    process.on('unhandledRejection', err => console.log('unhandled: ' + err.message));
+    const queue = new TaskQueue({ store, handlers: { job: data => data } });
+    queue.add('job', 'a');
+    queue.add('job', 'b', { priority: -1 });
+    queue.add('job', 'c', { priority: -1 });
+    queue.onIdle().then(() => store.load()).then(jobs => console.log('left: ' + jobs.length));
+  `;
+  const stdout = await new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') }, (err, out) => {
+      if (err) reject(err);
+      else resolve(out);
+    });
+  });
+  assert.deepStrictEqual(stdout.trim().split('\n').sort(), ['left: 0', 'unhandled: cannot save a']);
+});
@@ -0,0 +1,218 @@
+/**
+ * Debounce, throttle and rate limits for async functions
+ *
+ * formSubmit() in 1-callback.js uploads on every submit, so a double click uploads twice. The usual debounce and
+ * throttle helpers drop the calls they skip and return nothing, which doesn't work for functions whose result the
+ * caller awaits. These return a promise from every call:
+ *
+ * * debounceAsync(fn, wait) - calls fn once the calls have stopped for `wait` ms, with the latest arguments.
+ * * throttleAsync(fn, interval) - calls fn right away, then at most once per `interval` ms: calls in between are
+ *   collapsed into one call at the end of the interval, with the latest arguments (or, with `trailing: false`,
+ *   share the result of the call that is running).
+ * * RateLimiter - queues calls so that no more than `limit` of them start per `interval` ms (a token bucket).
+ *
+ *   const upload = debounceAsync(name => fetch(url, { method: 'POST', body: name }), 300);
+ *   upload('Jerry');
+ *   upload('Jerry').then(body => console.log(body)); // one request; both promises get its result
+ *
+ * A call that is collapsed into a later one is superseded. By default its promise settles like the call it was
+ * collapsed into; with `superseded: 'cancel'` it rejects with a CancellationError instead, so that only the caller
+ * with the latest arguments gets the result.
+ *
+ * Time comes from the `clock` option ({ setTimeout, clearTimeout }, the globals by default) and, for RateLimiter,
+ * `now` (Date.now by default). A fake clock from lib/fake-timers.js can be installed or passed in.
+ *
+ * @Reference:
+ * https://css-tricks.com/debouncing-throttling-explained-examples/
+ * https://en.wikipedia.org/wiki/Token_bucket
+ * https://github.com/sindresorhus/p-throttle
+ */
+
+const { CancellationError } = require('./co');
+const { realClock } = require('./fake-timers');
+
+// Calls fn and settles every caller with its outcome
+function settleAll(callers, fn, context, args) {
+  let promise;
+  try {
+    promise = Promise.resolve(fn.apply(context, args));
+  } catch (err) {
+    promise = Promise.reject(err);
+  }
+  callers.forEach(caller => promise.then(caller.resolve, caller.reject));
+  return promise;
+}
+
+function supersede(callers) {
+  callers.splice(0).forEach(caller => caller.reject(new CancellationError('Superseded by a later call')));
+}
+
+/**
+ * Options:
+ * * superseded - 'latest' (default) to settle superseded calls with the result of the call that replaced them,
+ *   'cancel' to reject them with a CancellationError
+ * * clock - { setTimeout, clearTimeout } to wait with
+ *
+ * The returned function has cancel(), which drops the waiting call and rejects its callers with a CancellationError.
+ */
+function debounceAsync(fn, wait, { superseded = 'latest', clock = realClock } = {}) {
+  let timer = null;
+  let callers = [];
+  let latest;
+
+  function debounced(...args) {
+    return new Promise((resolve, reject) => {
+      if (timer !== null) clock.clearTimeout(timer);
+      if (superseded === 'cancel') supersede(callers);
+      callers.push({ resolve, reject });
+      latest = { context: this, args };
+      timer = clock.setTimeout(() => {
+        timer = null;
+        settleAll(callers.splice(0), fn, latest.context, latest.args);
+      }, wait);
+    });
+  }
+
+  debounced.cancel = () => {
+    if (timer !== null) clock.clearTimeout(timer);
+    timer = null;
+    supersede(callers);
+  };
+  return debounced;
+}
+
+/**
+ * Options:
+ * * trailing - collapse the calls made during an interval into one call when it ends (default true). With false
+ *   they aren't made at all, and settle like the call that started the interval
+ * * superseded - 'latest' (default) or 'cancel', see debounceAsync()
+ * * clock - { setTimeout, clearTimeout } to wait with
+ *
+ * The returned function has cancel(), which drops the waiting trailing call and rejects its callers with a
+ * CancellationError. It also ends the interval, so the next call goes right away.
+ */
+function throttleAsync(fn, interval, { trailing = true, superseded = 'latest', clock = realClock } = {}) {
+  let timer = null;
+  let current = null;
+  let callers = [];
+  let latest;
+
+  function start(context, args, startCallers) {
+    current = settleAll(startCallers, fn, context, args);
+    timer = clock.setTimeout(endInterval, interval);
+  }
+
+  function endInterval() {
+    timer = null;
+    if (callers.length > 0) {
+      start(latest.context, latest.args, callers.splice(0));
+    }
+  }
+
+  function throttled(...args) {
+    return new Promise((resolve, reject) => {
+      if (timer === null) {
+        return start(this, args, [{ resolve, reject }]);
+      }
+      if (!trailing) {
+        if (superseded === 'cancel') return reject(new CancellationError('Superseded by a later call'));
+        return current.then(resolve, reject);
+      }
+      if (superseded === 'cancel') supersede(callers);
+      callers.push({ resolve, reject });
+      latest = { context: this, args };
+    });
+  }
+
+  throttled.cancel = () => {
+    if (timer !== null) clock.clearTimeout(timer);
+    timer = null;
+    supersede(callers);
+  };
+  return throttled;
+}
+
+class RateLimiter {
+  /**
+   * Lets at most `limit` calls start per `interval` ms. The bucket starts full, so up to `limit` calls can go at
+   * once; after that a token comes back every interval / limit ms.
+   *
+   * Options:
+   * * limit - calls per interval
+   * * interval - in ms (default 1000)
+   * * clock - { setTimeout, clearTimeout } to wait for tokens with
+   * * now - the current time in ms (default Date.now)
+   */
+  constructor({ limit, interval = 1000, clock = realClock, now = () => Date.now() } = {}) {
+    if (!(limit > 0)) {
+      throw new RangeError('Expected limit to be a positive number, got ' + limit);
+    }
+    this.limit = limit;
+    this.interval = interval;
+    this._clock = clock;
+    this._now = now;
+    this._tokens = limit;
+    this._refilledAt = now();
+    this._queue = [];
+    this._timer = null;
+  }
+
+  /**
+   * How many calls are waiting for a token
+   */
+  get pending() {
+    return this._queue.length;
+  }
+
+  /**
+   * Calls `fn` once a token is free, in the order schedule() was called. Settles like the promise fn returns.
+   */
+  schedule(fn) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({ fn, resolve, reject });
+      this._drain();
+    });
+  }
+
+  /**
+   * A version of `fn` whose calls go through the limiter.
+   */
+  wrap(fn) {
+    const limiter = this;
+    return function (...args) {
+      return limiter.schedule(() => fn.apply(this, args));
+    };
+  }
+
+  _refill() {
+    const now = this._now();
+    this._tokens = Math.min(this.limit, this._tokens + (now - this._refilledAt) * this.limit / this.interval);
+    this._refilledAt = now;
+  }
+
+  _drain() {
+    if (this._timer !== null) {
+      return;
+    }
+    this._refill();
+    while (this._queue.length > 0 && this._tokens >= 1) {
+      this._tokens--;
+      const { fn, resolve, reject } = this._queue.shift();
+      settleAll([{ resolve, reject }], fn, null, []);
+    }
+    if (this._queue.length > 0) {
+      const wait = Math.ceil((1 - this._tokens) * this.interval / this.limit);
+      this._timer = this._clock.setTimeout(() => {
+        this._timer = null;
+        this._drain();
+      }, wait);
+    }
+  }
+}
+
+module.exports = {
+  debounceAsync,
+  throttleAsync,
+  RateLimiter,
+  CancellationError
+};
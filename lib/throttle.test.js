@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('assert');
+const { debounceAsync, throttleAsync, RateLimiter, CancellationError } = require('./throttle');
+const { createClock } = require('./fake-timers');
+
+// An async function that records the fake time and arguments of its calls
+function recorder(clock) {
+  const calls = [];
+  const fn = async (...args) => {
+    calls.push([clock.now, ...args]);
+    return args.join();
+  };
+  return { fn, calls };
+}
+
+test('debounceAsync() calls once the calls have stopped, with the latest arguments', async () => {
+  const clock = createClock();
+  const { fn, calls } = recorder(clock);
+  const debounced = debounceAsync(fn, 100, { clock });
+
+  const first = debounced('a');
+  await clock.tick(50);
+  const second = debounced('b');
+  await clock.tick(99);
+  assert.deepStrictEqual(calls, []);
+  await clock.tick(1);
+  assert.deepStrictEqual(calls, [[150, 'b']]);
+  assert.deepStrictEqual(await Promise.all([first, second]), ['b', 'b']);
+});
+
+test('debounceAsync() with superseded: cancel rejects the earlier calls', async () => {
+  const clock = createClock();
+  const { fn } = recorder(clock);
+  const debounced = debounceAsync(fn, 100, { clock, superseded: 'cancel' });
+  const first = debounced('a');
+  const rejected = assert.rejects(first, CancellationError);
+  const second = debounced('b');
+  await clock.runAll();
+  await rejected;
+  assert.strictEqual(await second, 'b');
+});
+
+test('debounceAsync() cancel() drops the waiting call', async () => {
+  const clock = createClock();
+  const { fn, calls } = recorder(clock);
+  const debounced = debounceAsync(fn, 100, { clock });
+  const waiting = debounced('a');
+  const rejected = assert.rejects(waiting, /Superseded/);
+  debounced.cancel();
+  await rejected;
+  await clock.runAll();
+  assert.deepStrictEqual(calls, []);
+});
+
+test('throttleAsync() calls right away, then collapses the calls of an interval into one at its end', async () => {
+  const clock = createClock();
+  const { fn, calls } = recorder(clock);
+  const throttled = throttleAsync(fn, 100, { clock });
+
+  const results = [throttled('a'), throttled('b'), throttled('c')];
+  await clock.tick(30);
+  results.push(throttled('d'));
+  assert.deepStrictEqual(calls, [[0, 'a']]);
+  await clock.tick(70);
+  assert.deepStrictEqual(calls, [[0, 'a'], [100, 'd']]);
+  assert.deepStrictEqual(await Promise.all(results), ['a', 'd', 'd', 'd']);
+
+  // The trailing call started an interval of its own
+  results.push(throttled('e'));
+  await clock.tick(99);
+  assert.strictEqual(calls.length, 2);
+  await clock.tick(1);
+  assert.deepStrictEqual(calls[2], [200, 'e']);
+
+  await clock.runAll();
+  throttled('f');
+  assert.deepStrictEqual(calls[3], [300, 'f']);
+});
+
+test('throttleAsync() with superseded: cancel only lets the latest caller have the result', async () => {
+  const clock = createClock();
+  const { fn } = recorder(clock);
+  const throttled = throttleAsync(fn, 100, { clock, superseded: 'cancel' });
+  const first = throttled('a');
+  const second = throttled('b');
+  const rejected = assert.rejects(second, CancellationError);
+  const third = throttled('c');
+  await clock.runAll();
+  await rejected;
+  assert.strictEqual(await first, 'a');
+  assert.strictEqual(await third, 'c');
+});
+
+test('throttleAsync() with trailing: false shares the running call instead', async () => {
+  const clock = createClock();
+  const { fn, calls } = recorder(clock);
+  const throttled = throttleAsync(fn, 100, { clock, trailing: false });
+  const results = [throttled('a'), throttled('b')];
+  await clock.runAll();
+  assert.deepStrictEqual(await Promise.all(results), ['a', 'a']);
+  assert.deepStrictEqual(calls, [[0, 'a']]);
+
+  const cancelling = throttleAsync(fn, 100, { clock, trailing: false, superseded: 'cancel' });
+  cancelling('c');
+  await assert.rejects(cancelling('d'), CancellationError);
+});
+
+test('throttleAsync() cancel() drops the trailing call and ends the interval', async () => {
+  const clock = createClock();
+  const { fn, calls } = recorder(clock);
+  const throttled = throttleAsync(fn, 100, { clock });
+  throttled('a');
+  const trailing = throttled('b');
+  const rejected = assert.rejects(trailing, CancellationError);
+  throttled.cancel();
+  await rejected;
+  assert.strictEqual(clock.countTimers(), 0);
+
+  assert.strictEqual(await throttled('c'), 'c');
+  assert.deepStrictEqual(calls, [[0, 'a'], [0, 'c']]);
+});
+
+test('RateLimiter lets limit calls go at once, then refills a token every interval / limit', async () => {
+  const clock = createClock();
+  const limiter = new RateLimiter({ limit: 2, interval: 1000, clock, now: () => clock.now });
+  const { fn, calls } = recorder(clock);
+  const limited = limiter.wrap(fn);
+
+  const results = ['a', 'b', 'c', 'd', 'e'].map(name => limited(name));
+  assert.deepStrictEqual(calls.map(call => call[0]), [0, 0]);
+  assert.strictEqual(limiter.pending, 3);
+  await clock.runAll();
+  assert.deepStrictEqual(calls, [[0, 'a'], [0, 'b'], [500, 'c'], [1000, 'd'], [1500, 'e']]);
+  assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('RateLimiter refills the bucket while idle, up to limit', async () => {
+  const clock = createClock();
+  const limiter = new RateLimiter({ limit: 2, interval: 1000, clock, now: () => clock.now });
+  const { fn, calls } = recorder(clock);
+  await Promise.all([limiter.schedule(fn), limiter.schedule(fn)]);
+  await clock.tick(10000);
+  limiter.schedule(fn);
+  limiter.schedule(fn);
+  limiter.schedule(fn);
+  await clock.runAll();
+  assert.deepStrictEqual(calls.map(call => call[0]), [0, 0, 10000, 10000, 10500]);
+  assert.throws(() => new RateLimiter({ limit: 0 }), RangeError);
+});
+
+test('RateLimiter passes on rejections and sync throws', async () => {
+  const limiter = new RateLimiter({ limit: 10 });
+  await assert.rejects(limiter.schedule(() => Promise.reject(new Error('async'))), /async/);
+  await assert.rejects(limiter.schedule(() => { throw new Error('sync'); }), /sync/);
+});
@@ -0,0 +1,342 @@
+/**
+ * Async timeline tracer
+ *
+ * Records when promises, timers, microtasks and other callbacks are created, when they settle and when their
+ * callbacks run, and draws the result - as Chrome trace-event JSON (open it in chrome://tracing or
+ * https://ui.perfetto.dev) or as an ASCII chart for the terminal.
+ *
+ * Take "Resolving with another promise" from 2-promises.js:
+ *
+ *   const { createTimeline } = require('./lib/timeline');
+ *   const timeline = createTimeline().start();
+ *   var p = timeline.label(new Promise((resolve, reject) => setTimeout(() => reject(new Error('fail')), 3000)), 'p');
+ *   var p2 = timeline.label(new Promise(resolve => setTimeout(() => resolve(p), 1000)), 'p2');
+ *   p2.catch(error => {
+ *     timeline.stop();
+ *     console.log(timeline.toAscii());
+ *   });
+ *
+ *                     0ms                        1502ms                     3004ms
+ *   p                 o----------------------------------------------------------X
+ *   setTimeout(3000)  o----------------------------------------------------------*
+ *   p2                o-------------------*--------------------------------------X
+ *   setTimeout(1000)  o-------------------*
+ *
+ * At one second p2's timer fires and resolve(p) runs a job on p2's behalf (the * on p2's row), which does nothing
+ * but subscribe p2 to p. p2 is locked in to p from then on, yet still pending, and it rejects only when p does,
+ * two seconds later. format() has the exact times:
+ *
+ *      1003.9ms  p2  callback ran
+ *      3003.6ms  p  rejected
+ *      3003.9ms  p2  rejected
+ *
+ * The tracer is built on async_hooks, so it sees everything the process does while it is started, including
+ * Node's own promises. Name the ones you care about with label(); the ASCII chart only shows labelled ones and
+ * the timers, unless there are none or you ask for { all: true }.
+ *
+ * Promises are held on to until reset(), so don't leave a tracer running in production.
+ *
+ * @Reference:
+ * https://nodejs.org/api/async_hooks.html
+ * https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ */
+
+const asyncHooks = require('async_hooks');
+const util = require('util');
+
+const TIMER_TYPES = ['Timeout', 'Immediate'];
+
+/**
+ * Creates a tracer. Call start() to begin recording and stop() to end it.
+ *
+ * Options:
+ * * now() - the clock, in milliseconds (default performance.now)
+ */
+function createTimeline({ now = () => performance.now() } = {}) {
+  const resources = new Map();
+  const ids = new WeakMap();
+  let events = [];
+  let hook = null;
+  let startedAt = null;
+  let stoppedAt = null;
+
+  function add(kind, asyncId) {
+    if (resources.has(asyncId)) {
+      events.push({ ts: now() - startedAt, kind, asyncId });
+    }
+  }
+
+  function init(asyncId, type, triggerAsyncId, resource) {
+    const entry = {
+      asyncId,
+      type,
+      triggerAsyncId,
+      label: null,
+      name: defaultName(asyncId, type, resource),
+      // Only promises are kept: their state is looked up when the timeline is drawn.
+      promise: type === 'PROMISE' ? resource : null
+    };
+    resources.set(asyncId, entry);
+    if (resource !== null && typeof resource === 'object') {
+      ids.set(resource, asyncId);
+    }
+    add('init', asyncId);
+  }
+
+  function start() {
+    if (hook) return timeline;
+    if (startedAt === null) startedAt = now();
+    stoppedAt = null;
+    hook = asyncHooks.createHook({
+      init,
+      before: asyncId => add('before', asyncId),
+      after: asyncId => add('after', asyncId),
+      destroy: asyncId => add('destroy', asyncId),
+      promiseResolve: asyncId => add('settle', asyncId)
+    });
+    hook.enable();
+    return timeline;
+  }
+
+  function stop() {
+    if (!hook) return timeline;
+    hook.disable();
+    hook = null;
+    stoppedAt = now() - startedAt;
+    return timeline;
+  }
+
+  function reset() {
+    resources.clear();
+    events = [];
+    startedAt = hook ? now() : null;
+    stoppedAt = null;
+  }
+
+  /**
+   * Names a promise, timer or other async resource (or an async id) and returns it, so it can wrap the expression
+   * that creates it: `var p = timeline.label(new Promise(...), 'p')`.
+   */
+  function label(resourceOrId, name) {
+    const asyncId = typeof resourceOrId === 'number' ? resourceOrId : ids.get(resourceOrId);
+    const entry = resources.get(asyncId);
+    if (!entry) {
+      throw new Error(`${name} wasn't created while the timeline was recording`);
+    }
+    entry.label = name;
+    return resourceOrId;
+  }
+
+  // Everything the charts need about one resource: when it was created, ran, settled and ended.
+  function spans() {
+    const end = stoppedAt === null ? now() - startedAt : stoppedAt;
+    const byId = new Map();
+    const open = new Map();
+    events.forEach(event => {
+      let span = byId.get(event.asyncId);
+      if (!span) {
+        const entry = resources.get(event.asyncId);
+        span = {
+          asyncId: entry.asyncId,
+          type: entry.type,
+          triggerAsyncId: entry.triggerAsyncId,
+          name: entry.label || entry.name,
+          labelled: entry.label !== null,
+          createdAt: null,
+          runs: [],
+          settledAt: null,
+          state: null,
+          endedAt: null
+        };
+        byId.set(event.asyncId, span);
+      }
+      switch (event.kind) {
+        case 'init':
+          span.createdAt = event.ts;
+          break;
+        case 'before':
+          open.set(event.asyncId, event.ts);
+          break;
+        case 'after':
+          span.runs.push({ start: open.has(event.asyncId) ? open.get(event.asyncId) : event.ts, end: event.ts });
+          open.delete(event.asyncId);
+          break;
+        case 'settle':
+          span.settledAt = event.ts;
+          span.state = promiseState(resources.get(event.asyncId).promise);
+          break;
+        case 'destroy':
+          span.endedAt = event.ts;
+          break;
+      }
+    });
+    // A callback that was still running when recording stopped
+    open.forEach((ts, asyncId) => byId.get(asyncId).runs.push({ start: ts, end }));
+
+    return Array.from(byId.values())
+      .filter(span => span.createdAt !== null)
+      .map(span => {
+        span.endedAt = endOf(span, end);
+        return span;
+      });
+  }
+
+  /**
+   * The timeline in Chrome's trace-event format. Write it to a file with JSON.stringify and load it in
+   * chrome://tracing or Perfetto: every resource is an async slice from creation to settling, every callback run
+   * a slice on the main thread.
+   */
+  function toTraceEvents() {
+    const pid = process.pid;
+    const us = ms => Math.round(ms * 1000);
+    const traceEvents = [
+      { name: 'process_name', ph: 'M', pid, tid: 0, args: { name: 'async timeline' } },
+      { name: 'thread_name', ph: 'M', pid, tid: 1, args: { name: 'main' } }
+    ];
+    spans().forEach(span => {
+      const args = { asyncId: span.asyncId, triggerAsyncId: span.triggerAsyncId, type: span.type };
+      const id = String(span.asyncId);
+      traceEvents.push({ name: span.name, cat: span.type, ph: 'b', id, ts: us(span.createdAt), pid, tid: 1, args });
+      span.runs.forEach(run => {
+        traceEvents.push({ name: span.name, cat: span.type, ph: 'X', ts: us(run.start), dur: us(run.end - run.start), pid, tid: 1, args });
+      });
+      if (span.state) {
+        traceEvents.push({ name: `${span.name} ${span.state}`, cat: span.type, ph: 'i', s: 't', ts: us(span.settledAt), pid, tid: 1, args });
+      }
+      traceEvents.push({ name: span.name, cat: span.type, ph: 'e', id, ts: us(span.endedAt), pid, tid: 1, args });
+    });
+    return { traceEvents, displayTimeUnit: 'ms' };
+  }
+
+  /**
+   * One row per resource, time running from left to right:
+   * o created, - pending or waiting, * a callback ran, F fulfilled, X rejected.
+   *
+   * Options:
+   * * width - the number of columns for the time axis (default 60)
+   * * all - show every resource, not only the labelled ones and the timers (default false)
+   */
+  function toAscii({ width = 60, all = false } = {}) {
+    let rows = spans();
+    if (!all && rows.some(span => span.labelled)) {
+      rows = rows.filter(span => span.labelled || TIMER_TYPES.includes(span.type));
+    }
+    if (rows.length === 0) {
+      return 'Nothing was recorded';
+    }
+
+    const end = Math.max(...rows.map(span => Math.max(span.endedAt, ...span.runs.map(run => run.end))));
+    const column = ms => end === 0 ? 0 : Math.round(ms / end * (width - 1));
+    const nameWidth = Math.min(24, Math.max(...rows.map(span => span.name.length))) + 2;
+
+    const lines = [axis(end, width, nameWidth)];
+    rows.forEach(span => {
+      const cells = new Array(width).fill(' ');
+      for (let i = column(span.createdAt); i <= column(span.endedAt); i++) cells[i] = '-';
+      cells[column(span.createdAt)] = 'o';
+      span.runs.forEach(run => { cells[column(run.start)] = '*'; });
+      if (span.state) cells[column(span.settledAt)] = span.state === 'rejected' ? 'X' : 'F';
+      lines.push(truncate(span.name, nameWidth - 2).padEnd(nameWidth) + cells.join('').trimEnd());
+    });
+    lines.push('', 'o created  - pending  * callback ran  F fulfilled  X rejected');
+    return lines.join('\n');
+  }
+
+  /**
+   * The recorded events in order, one per line, for the labelled resources (or all of them if none are labelled).
+   */
+  function format() {
+    const byId = new Map(spans().map(span => [span.asyncId, span]));
+    const shown = Array.from(byId.values()).some(span => span.labelled)
+      ? event => byId.get(event.asyncId).labelled
+      : () => true;
+    return events
+      .filter(event => byId.has(event.asyncId) && shown(event))
+      .filter(event => event.kind !== 'after')
+      .map(event => {
+        const span = byId.get(event.asyncId);
+        const trigger = byId.get(span.triggerAsyncId);
+        const what = {
+          init: `created${trigger ? ` (by ${trigger.name})` : ''}`,
+          before: 'callback ran',
+          settle: span.state,
+          destroy: 'done'
+        }[event.kind];
+        return `${event.ts.toFixed(1).padStart(9)}ms  ${span.name}  ${what}`;
+      })
+      .join('\n');
+  }
+
+  const timeline = {
+    start,
+    stop,
+    reset,
+    label,
+    spans,
+    toTraceEvents,
+    toAscii,
+    format,
+    get events() {
+      return events.slice();
+    }
+  };
+  return timeline;
+}
+
+function defaultName(asyncId, type, resource) {
+  switch (type) {
+    case 'PROMISE':
+      return `promise #${asyncId}`;
+    case 'Timeout':
+      // _idleTimeout and _repeat are Node internals; without them it is still a Timeout.
+      if (resource && typeof resource._idleTimeout === 'number') {
+        return `${resource._repeat ? 'setInterval' : 'setTimeout'}(${resource._idleTimeout})`;
+      }
+      return `Timeout #${asyncId}`;
+    case 'Immediate':
+      return 'setImmediate';
+    case 'TickObject':
+      return 'process.nextTick';
+    case 'Microtask':
+      return 'queueMicrotask';
+    default:
+      return `${type} #${asyncId}`;
+  }
+}
+
+// async_hooks says when a promise settles, but not how. By the time we draw the chart the promise knows.
+function promiseState(promise) {
+  if (!promise) return null;
+  const match = /^Promise \{\s*<(pending|rejected)>/.exec(util.inspect(promise, { depth: 0 }));
+  return match ? match[1] : 'fulfilled';
+}
+
+// Node reports destroyed timers in batches, often long after they fired or were cleared, so a timer that ran
+// ends with its last run.
+function endOf(span, end) {
+  if (span.settledAt !== null) {
+    return span.settledAt;
+  }
+  if (TIMER_TYPES.includes(span.type) && span.runs.length > 0) {
+    return span.runs[span.runs.length - 1].end;
+  }
+  return span.endedAt !== null ? span.endedAt : end;
+}
+
+function axis(end, width, nameWidth) {
+  const labels = [0, end / 2, end].map(ms => `${Math.round(ms)}ms`);
+  const line = new Array(width).fill(' ');
+  const place = (text, at) => text.split('').forEach((char, i) => { line[at + i] = char; });
+  place(labels[0], 0);
+  place(labels[1], Math.round((width - 1) / 2) - Math.floor(labels[1].length / 2));
+  place(labels[2], width - labels[2].length);
+  return ' '.repeat(nameWidth) + line.join('');
+}
+
+function truncate(text, length) {
+  return text.length > length ? text.slice(0, length - 1) + '…' : text;
+}
+
+module.exports = {
+  createTimeline
+};
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createTimeline } = require('./timeline');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('records when a labelled promise is created and how it settles', async () => {
+  const timeline = createTimeline().start();
+  const p = timeline.label(Promise.reject(new Error('fail')), 'p');
+  const q = timeline.label(Promise.resolve(1), 'q');
+  await p.catch(() => {});
+  await q;
+  timeline.stop();
+
+  const spans = timeline.spans().filter(span => span.labelled);
+  assert.deepStrictEqual(spans.map(span => [span.name, span.type, span.state]), [
+    ['p', 'PROMISE', 'rejected'],
+    ['q', 'PROMISE', 'fulfilled']
+  ]);
+  spans.forEach(span => assert.ok(span.settledAt >= span.createdAt));
+  assert.match(timeline.format(), /p {2}created[\s\S]*p {2}rejected/);
+});
+
+test('a promise resolved with another one settles only when that one does', async () => {
+  const timeline = createTimeline().start();
+  let rejectP;
+  const p = timeline.label(new Promise((resolve, reject) => { rejectP = reject; }), 'p');
+  const p2 = timeline.label(new Promise(resolve => setTimeout(() => resolve(p), 1)), 'p2');
+  p2.catch(() => {});
+  await new Promise(resolve => setTimeout(resolve, 10));
+  const early = timeline.spans().filter(span => span.labelled);
+  rejectP(new Error('fail'));
+  await tick();
+  timeline.stop();
+
+  assert.deepStrictEqual(early.map(span => [span.name, span.state]), [['p', null], ['p2', null]]);
+  const lines = timeline.format().split('\n').map(line => line.trim().replace(/^\S+ms {2}/, ''));
+  assert.deepStrictEqual(lines.filter(line => / rejected$/.test(line)), ['p  rejected', 'p2  rejected']);
+  assert.ok(lines.includes('p2  callback ran'));
+});
+
+test('names timers after their delay', async () => {
+  const timeline = createTimeline().start();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  timeline.stop();
+
+  const timer = timeline.spans().find(span => span.type === 'Timeout');
+  assert.strictEqual(timer.name, 'setTimeout(5)');
+  assert.strictEqual(timer.runs.length, 1);
+  assert.strictEqual(timer.endedAt, timer.runs[0].end);
+});
+
+test('label() refuses what was created before recording started', () => {
+  const before = Promise.resolve();
+  const timeline = createTimeline().start();
+  assert.throws(() => timeline.label(before, 'before'), /before wasn't created while the timeline was recording/);
+  timeline.stop();
+});
+
+test('records nothing after stop() and forgets everything on reset()', async () => {
+  const timeline = createTimeline().start();
+  timeline.label(Promise.resolve(), 'p');
+  timeline.stop();
+  const count = timeline.events.length;
+  await Promise.resolve();
+  await tick();
+  assert.strictEqual(timeline.events.length, count);
+
+  timeline.reset();
+  assert.deepStrictEqual(timeline.events, []);
+  assert.strictEqual(timeline.toAscii(), 'Nothing was recorded');
+});
+
+test('uses the given clock', async () => {
+  let ms = 0;
+  const timeline = createTimeline({ now: () => ms }).start();
+  ms = 10;
+  const p = timeline.label(Promise.resolve(), 'p');
+  ms = 25;
+  await p;
+  timeline.stop();
+
+  const span = timeline.spans().find(span => span.labelled);
+  assert.strictEqual(span.createdAt, 10);
+  assert.strictEqual(span.settledAt, 10);
+  assert.strictEqual(timeline.format().split('\n')[0], '     10.0ms  p  created');
+});
+
+test('toAscii() draws the labelled resources and the timers', async () => {
+  const timeline = createTimeline().start();
+  const p = timeline.label(new Promise(resolve => setTimeout(resolve, 5)), 'p');
+  Promise.resolve('not labelled');
+  await p;
+  timeline.stop();
+
+  const lines = timeline.toAscii({ width: 20 }).split('\n');
+  assert.match(lines[0], /^ +0ms .*ms$/);
+  const rows = lines.slice(1, -2).map(line => line.split(/ {2,}/)[0]);
+  assert.deepStrictEqual(rows, ['p', 'setTimeout(5)']);
+  assert.match(lines[1], /^p +o-*F$/);
+  assert.strictEqual(lines[lines.length - 1], 'o created  - pending  * callback ran  F fulfilled  X rejected');
+  assert.ok(timeline.toAscii({ all: true }).split('\n').length > lines.length);
+});
+
+test('toTraceEvents() opens and closes an async slice for every resource', async () => {
+  const timeline = createTimeline().start();
+  await timeline.label(new Promise(resolve => setTimeout(resolve, 1)), 'p');
+  timeline.stop();
+
+  const { traceEvents, displayTimeUnit } = timeline.toTraceEvents();
+  assert.strictEqual(displayTimeUnit, 'ms');
+  assert.deepStrictEqual(traceEvents.slice(0, 2).map(event => event.ph), ['M', 'M']);
+  const begins = traceEvents.filter(event => event.ph === 'b');
+  const ends = traceEvents.filter(event => event.ph === 'e');
+  assert.strictEqual(begins.length, timeline.spans().length);
+  assert.deepStrictEqual(ends.map(event => event.id), begins.map(event => event.id));
+  assert.ok(traceEvents.some(event => event.ph === 'i' && event.name === 'p fulfilled'));
+  assert.ok(traceEvents.some(event => event.ph === 'X' && event.cat === 'Timeout'));
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(traceEvents)), traceEvents);
+});
@@ -0,0 +1,105 @@
+/**
+ * Timeouts
+ *
+ * The Promise.race() timeout in 2-promises.js works, but it has two problems:
+ * * The setTimeout keeps running after the race is over, holding on to the process (and memory) for nothing.
+ * * The losing request is never told to stop, so it keeps downloading a response nobody is waiting for.
+ *
+ * withTimeout() clears its timer as soon as the race is decided, and when the work is passed as a function
+ * it gets an AbortSignal that is aborted on timeout, so fetch() and friends can actually cancel the request.
+ *
+ * @Reference:
+ * https://developer.mozilla.org/en-US/docs/Web/API/AbortController
+ * https://github.com/sindresorhus/p-timeout
+ */
+
+/**
+ * The error withTimeout() rejects with when time runs out.
+ */
+class TimeoutError extends Error {
+  constructor(message = 'Operation timed out', ms) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.ms = ms;
+  }
+}
+
+/**
+ * Settles like `promiseOrFn`, unless that takes longer than `ms` milliseconds.
+ *
+ * `promiseOrFn` is either a promise or a function `signal => promise`. The function gets an AbortSignal that
+ * is aborted when the timeout fires (or when the outer `signal` option is aborted).
+ *
+ * Options:
+ * * signal - an AbortSignal to give up early; the promise rejects with the signal's reason
+ * * message - message of the TimeoutError
+ * * fallback - instead of rejecting on timeout, resolve with this value (a function is called and its result used)
+ */
+function withTimeout(promiseOrFn, ms, { signal, message, fallback } = {}) {
+  if (!(ms >= 0)) {
+    return Promise.reject(new TypeError('Expected ms to be a non-negative number, got ' + ms));
+  }
+
+  return new Promise((resolve, reject) => {
+    const controller = new AbortController();
+    let timer;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    const onAbort = () => {
+      cleanup();
+      controller.abort(signal.reason);
+      reject(signal.reason);
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        return onAbort();
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    let work;
+    try {
+      work = typeof promiseOrFn === 'function' ? promiseOrFn(controller.signal) : promiseOrFn;
+    } catch (err) {
+      cleanup();
+      return reject(err);
+    }
+
+    if (ms !== Infinity) {
+      timer = setTimeout(() => {
+        cleanup();
+        const error = new TimeoutError(message || `Operation timed out after ${ms} ms`, ms);
+        controller.abort(error);
+        if (fallback === undefined) {
+          return reject(error);
+        }
+        try {
+          resolve(typeof fallback === 'function' ? fallback(error) : fallback);
+        } catch (err) {
+          reject(err);
+        }
+      }, ms);
+    }
+
+    Promise.resolve(work).then(
+      value => {
+        cleanup();
+        resolve(value);
+      },
+      err => {
+        cleanup();
+        reject(err);
+      }
+    );
+  });
+}
+
+module.exports = {
+  withTimeout,
+  TimeoutError
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('assert');
+const { withTimeout, TimeoutError } = require('./timeout');
+const { createClock } = require('./fake-timers');
+
+// Runs `fn(clock)` with the fake clock installed in place of the global timers
+async function withFakeClock(fn) {
+  const clock = createClock().install();
+  try {
+    return await fn(clock);
+  } finally {
+    clock.uninstall();
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('settles like the promise when it is in time, and clears its timer', () => withFakeClock(async clock => {
+  const promise = withTimeout(sleep(100).then(() => 'done'), 1000);
+  await clock.tick(100);
+  assert.strictEqual(await promise, 'done');
+  assert.strictEqual(clock.countTimers(), 0);
+
+  const failing = withTimeout(Promise.reject(new Error('failed')), 1000);
+  await assert.rejects(failing, /failed/);
+  assert.strictEqual(clock.countTimers(), 0);
+}));
+
+test('rejects with a TimeoutError when time runs out', () => withFakeClock(async clock => {
+  const rejected = assert.rejects(withTimeout(sleep(5000), 3000), err => {
+    assert.ok(err instanceof TimeoutError);
+    assert.strictEqual(err.name, 'TimeoutError');
+    assert.strictEqual(err.message, 'Operation timed out after 3000 ms');
+    assert.strictEqual(err.ms, 3000);
+    return true;
+  });
+  await clock.tick(3000);
+  await rejected;
+}));
+
+test('the work function gets a signal that is aborted with the TimeoutError', () => withFakeClock(async clock => {
+  let signal;
+  const promise = withTimeout(s => {
+    signal = s;
+    return sleep(5000);
+  }, 10, { message: 'too slow' });
+  const rejected = assert.rejects(promise, /too slow/);
+  assert.strictEqual(signal.aborted, false);
+  await clock.tick(10);
+  await rejected;
+  assert.strictEqual(signal.aborted, true);
+  assert.ok(signal.reason instanceof TimeoutError);
+}));
+
+test('a fallback value or function resolves instead of rejecting', () => withFakeClock(async clock => {
+  const value = withTimeout(sleep(100), 10, { fallback: 'cached' });
+  const computed = withTimeout(sleep(100), 10, { fallback: err => err.ms });
+  await clock.tick(10);
+  assert.strictEqual(await value, 'cached');
+  assert.strictEqual(await computed, 10);
+}));
+
+test('an outer signal gives up early, also when it is already aborted', async () => {
+  const controller = new AbortController();
+  let inner;
+  const promise = withTimeout(signal => {
+    inner = signal;
+    return new Promise(() => {});
+  }, Infinity, { signal: controller.signal });
+  controller.abort(new Error('user left'));
+  await assert.rejects(promise, /user left/);
+  assert.strictEqual(inner.aborted, true);
+
+  let called = false;
+  await assert.rejects(withTimeout(() => {
+    called = true;
+  }, 10, { signal: controller.signal }), /user left/);
+  assert.strictEqual(called, false);
+});
+
+test('a work function that throws rejects, and so does an invalid ms', async () => {
+  await assert.rejects(withTimeout(() => {
+    throw new Error('sync');
+  }, 10), /sync/);
+  await assert.rejects(withTimeout(Promise.resolve(), -1), TypeError);
+});